@@ -90,6 +90,9 @@ sap.ui.define([
             const category = categoryRaw || 'Notification';
             formatted.category = category;
             formatted.categoryState = this.mapCategoryToState(category);
+            // Keyword fallback of the server while the LLM classifier was unavailable
+            const heuristic = Boolean(item.agentContext?.classification?.heuristic);
+            formatted.categoryText = heuristic ? `${category} (heuristisch)` : category;
 
             const rawSummary = typeof item.summary === 'string'
                 ? item.summary
@@ -587,6 +590,21 @@ sap.ui.define([
             return false;
         }
 
+        updateNotification(item) {
+            if (item.isRead) {
+                this.removeNotificationById(item.id);
+                return;
+            }
+            const items = this.notificationsModel.getProperty('/items') || [];
+            const index = items.findIndex(x => x.id === item.id);
+            if (index === -1) {
+                this.addNotification(item);
+                return;
+            }
+            items[index] = this.formatNotificationForDisplay(item);
+            this.setNotifications(items);
+        }
+
         removeNotificationById(id) {
             const items = this.notificationsModel.getProperty('/items') || [];
             const filtered = items.filter(x => x.id !== id);
@@ -626,7 +644,9 @@ sap.ui.define([
                                 this.setHasNew(!isOpen);
                                 this.announceNewMail(msg.item);
                             }
-                        } else if (msg.type === 'read' && msg.id) {
+                        } else if (msg.type === 'updated' && msg.item) {
+                            this.updateNotification(msg.item);
+                        } else if ((msg.type === 'read' || msg.type === 'deleted') && msg.id) {
                             this.removeNotificationById(msg.id);
                         } else if (msg.type === 'error' && msg.message) {
                             console.warn('Notifications error:', msg.message);
@@ -704,6 +724,17 @@ sap.ui.define([
             }
         }
 
+        async createClaimFromMail(messageId) {
+            const oDataModel = this.feAppComponentInstance?.getModel();
+            if (!oDataModel) {
+                throw new Error("OData Model not found");
+            }
+            const oOperationBinding = oDataModel.bindContext("/createClaimFromMail(...)");
+            oOperationBinding.setParameter("messageId", messageId);
+            await oOperationBinding.execute();
+            return oOperationBinding.getBoundContext().getObject();
+        }
+
         // Update status message with auto-clear
         setStatusMessage(message, duration = 3000) {
             this.chatModel.setProperty("/statusMessage", message);
@@ -1335,6 +1366,28 @@ sap.ui.define([
             chatManager.sendMailContextToAgent(mailItem);
         },
 
+        async onCreateClaimFromNotification(event) {
+            const control = event?.getSource?.();
+            const context = control?.getBindingContext('notifications');
+            const mailItem = context?.getObject();
+
+            if (!mailItem || !mailItem.id) {
+                chatManager.setStatusMessage('Keine Mail ausgewählt', 2000);
+                return;
+            }
+
+            control?.setEnabled?.(false);
+            try {
+                const claim = await chatManager.createClaimFromMail(mailItem.id);
+                chatManager.updateNotification({ ...mailItem, claimId: claim.ID });
+                chatManager.setStatusMessage('Schadenfall-Entwurf aus E-Mail angelegt', 2000);
+                window.location.hash = `#/Claims(ID=${claim.ID},IsActiveEntity=false)`;
+            } catch (error) {
+                control?.setEnabled?.(true);
+                MessageToast.show(error.message || 'Schadenfall konnte nicht angelegt werden');
+            }
+        },
+
         onCloseNotification(event) {
             const control = event?.getSource?.();
             const context = control?.getBindingContext('notifications');
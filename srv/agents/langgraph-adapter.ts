@@ -10,6 +10,7 @@ import { jsonSchemaToZod } from '../m365-mcp/mcp-jsonschema.js';
 import type { initAllMCPClients } from '../lib/mcp-client.js';
 import type { AgentAdapter, AgentCallOptions } from './agent-adapter.js';
 import { analyzeImageAttachment } from '../utils/vision.js';
+import { assessDamagePhoto } from '../lib/damage-assessment.js';
 
 const isTruthy = (value: string | undefined): boolean => {
   if (!value) return false;
@@ -313,7 +314,7 @@ export class LangGraphAgentAdapter implements AgentAdapter {
         allTools.push(mailDraftTool, calendarDraftTool);
       }
 
-      // Local Vision tool to describe images (aligns with productive service behavior)
+      // Local Vision tools: free-text description and structured damage assessment (aligns with productive service behavior)
       const imageDescribeTool = new DynamicStructuredTool({
         name: 'image.describe',
         description: 'Beschreibt eine lokale Bilddatei (png/jpg/jpeg/webp) und liefert EXIF-Metadaten.',
@@ -327,7 +328,20 @@ export class LangGraphAgentAdapter implements AgentAdapter {
           return JSON.stringify(result);
         }
       });
-      allTools.push(imageDescribeTool);
+      const imageAssessDamageTool = new DynamicStructuredTool({
+        name: 'image.assessDamage',
+        description: 'Bewertet den Schaden auf einer lokalen Bilddatei (png/jpg/jpeg/webp): Beschreibung, betroffene Bauteile, Schadenart, Schwere 0-100, Fahrbereitschaft, Sicherheit, dazu EXIF-Metadaten.',
+        schema: z.object({
+          fileAbsolutePath: z.string().min(1).describe('Absoluter Pfad zur Bilddatei.'),
+          hint: z.string().optional().describe('Optionaler Hinweis für die Schadenbewertung.'),
+        }),
+        func: async (input) => {
+          const { fileAbsolutePath, hint } = input as { fileAbsolutePath: string; hint?: string };
+          const result = await assessDamagePhoto(fileAbsolutePath, { hint });
+          return JSON.stringify(result);
+        }
+      });
+      allTools.push(imageDescribeTool, imageAssessDamageTool);
 
       if (clients.cap) {
         const triageToolSchema = z.object({
@@ -0,0 +1,127 @@
+// srv/lib/attachment-cache.ts
+// Persistent cache of attachment enrichments (vision description and damage
+// assessment, EXIF, Excel sheet previews) in AttachmentEnrichments. Rows are keyed by Graph attachment
+// id and sha256 of the content. The local file of an attachment is stored under
+// a name keyed by its mail and attachment id (never shared with another
+// attachment), so a known attachment id whose file is still present is neither
+// downloaded nor analyzed again, and the same content under another id (other
+// mailbox, forwarded mail) reuses the stored analysis. Failed analyses are not
+// cached, so they are retried; image rows without a damage assessment (stored
+// before it existed) count as stale and are analyzed again.
+
+import cds from '@sap/cds';
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { naturalKeyId } from '../utils/keys.js';
+import type { DamageAssessment } from './damage-assessment.js';
+
+export type EnrichmentKind = 'image' | 'excel' | 'file';
+
+export interface AttachmentEnrichment {
+  attachmentId: string;
+  sha256: string;
+  kind: EnrichmentKind;
+  fileName: string | null;
+  contentType: string | null;
+  size: number | null;
+  /** Absolute path of the downloaded file. */
+  path: string | null;
+  vision: { description: string | null; exif: Record<string, unknown>; assessment?: DamageAssessment | null } | null;
+  excel: unknown;
+}
+
+const ENRICHMENTS = 'kfz.claims.AttachmentEnrichments';
+
+export const sha256OfFile = async (filePath: string): Promise<string> =>
+  createHash('sha256').update(await readFile(filePath)).digest('hex');
+
+const parseJson = (value: unknown): any => {
+  if (typeof value !== 'string' || !value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+// EXIF values may contain Buffers (UNDEFINED type); store them as hex
+const exifReplacer = (_key: string, value: unknown): unknown => {
+  if (value && typeof value === 'object' && (value as any).type === 'Buffer' && Array.isArray((value as any).data)) {
+    return Buffer.from((value as any).data).toString('hex');
+  }
+  return value;
+};
+
+// Image rows lacking the damage assessment are not reused
+const isStale = (row: Record<string, any>): boolean => row.kind === 'image' && !row.damageAssessment;
+
+const toEnrichment = (row: Record<string, any>): AttachmentEnrichment => ({
+  attachmentId: row.attachmentId,
+  sha256: row.sha256,
+  kind: row.kind,
+  fileName: row.fileName ?? null,
+  contentType: row.contentType ?? null,
+  size: row.size ?? null,
+  path: row.sourcePath ? path.resolve(row.sourcePath) : null,
+  vision: row.kind === 'image'
+    ? { description: row.visionDescription ?? null, exif: parseJson(row.exif) || {}, assessment: parseJson(row.damageAssessment) }
+    : null,
+  excel: parseJson(row.excel)
+});
+
+/**
+ * Cached enrichment of a Graph attachment id whose file is still present,
+ * i.e. neither download nor analysis is needed. The file belongs to this
+ * attachment alone, so it is not hashed again.
+ */
+export const findFreshEnrichment = async (db: cds.Service, attachmentId: string): Promise<AttachmentEnrichment | null> => {
+  const rows = await db.run(
+    SELECT.from(ENRICHMENTS).where({ attachmentId }).orderBy('modifiedAt desc')
+  ) as Array<Record<string, any>>;
+  for (const row of rows || []) {
+    if (isStale(row)) continue;
+    const entry = toEnrichment(row);
+    if (entry.path && existsSync(entry.path)) return entry;
+  }
+  return null;
+};
+
+/** Cached enrichment of the content `sha256`, preferably recorded for `attachmentId`. */
+export const findEnrichmentByHash = async (
+  db: cds.Service,
+  sha256: string,
+  attachmentId?: string | null
+): Promise<AttachmentEnrichment | null> => {
+  const rows = await db.run(
+    SELECT.from(ENRICHMENTS).where({ sha256 }).orderBy('modifiedAt desc')
+  ) as Array<Record<string, any>>;
+  const current = (rows || []).filter((row) => !isStale(row));
+  if (!current.length) return null;
+  const own = attachmentId ? current.find((row) => row.attachmentId === attachmentId) : null;
+  return toEnrichment(own || current[0]);
+};
+
+/** Stores (or refreshes) the enrichment of an attachment id and content hash. */
+export const saveEnrichment = async (db: cds.Service, entry: AttachmentEnrichment): Promise<void> => {
+  const fields = {
+    kind: entry.kind,
+    fileName: entry.fileName ? entry.fileName.slice(0, 255) : null,
+    contentType: entry.contentType ? entry.contentType.slice(0, 255) : null,
+    size: entry.size ?? null,
+    sourcePath: entry.path ? path.relative(process.cwd(), entry.path) : null,
+    visionDescription: entry.vision?.description ?? null,
+    exif: entry.vision ? JSON.stringify(entry.vision.exif || {}, exifReplacer) : null,
+    damageAssessment: entry.vision?.assessment ? JSON.stringify(entry.vision.assessment) : null,
+    excel: entry.excel != null ? JSON.stringify(entry.excel) : null
+  };
+  const key = { attachmentId: entry.attachmentId, sha256: entry.sha256 };
+  const existing = await db.run(SELECT.one.from(ENRICHMENTS).columns('ID').where(key));
+  if (existing) {
+    await db.run(UPDATE(ENRICHMENTS).set(fields).where({ ID: existing.ID }));
+    return;
+  }
+  // Keyed by attachment id and hash: a row stored concurrently by another session is refreshed
+  await db.run(UPSERT.into(ENRICHMENTS).entries({ ID: naturalKeyId(key.attachmentId, key.sha256), ...key, ...fields }));
+};
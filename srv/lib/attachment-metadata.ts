@@ -0,0 +1,103 @@
+// srv/lib/attachment-metadata.ts
+// Content-derived columns of Attachments (size, sha256, EXIF and the per-image
+// forensic analysis of images), computed when the content is stored so the
+// analyses after a claim save (forensics, damage assessment, fraud score) work
+// on the rows read once by loadClaimPhotos, without loading the binaries.
+// Rows stored without them (streamed uploads, older data) are completed from
+// the content on first use.
+
+import cds from '@sap/cds';
+import { createHash } from 'node:crypto';
+import { toBuffer } from '../utils/binary.js';
+import { extractExifMetadata } from '../utils/vision.js';
+import { analyzeImageForensics, type ImageForensics } from './image-forensics.js';
+
+export interface AttachmentMetadata {
+  size: number;
+  sha256: string;
+  /** JSON of the EXIF tags, '{}' for images without EXIF, null for other files. */
+  exif: string | null;
+  /** dHash of images (srv/lib/image-forensics.ts), null for other files. */
+  perceptualHash: string | null;
+  /** JSON `{ analysis }` with the per-image forensic checks of images, null for other files. */
+  forensicDetails: string | null;
+}
+
+export interface ClaimPhoto {
+  attachmentId: string;
+  fileName: string | null;
+  mediaType: string;
+  sha256: string;
+  exif: Record<string, unknown>;
+  forensics: ImageForensics;
+  /** Stored damage assessment JSON (srv/lib/damage-assessment.ts), null if not assessed. */
+  damageAssessment: string | null;
+}
+
+const isImage = (mediaType: unknown): boolean => String(mediaType || '').toLowerCase().startsWith('image/');
+
+const parseExif = (value: unknown): Record<string, unknown> | null => {
+  if (typeof value !== 'string' || !value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+// Per-image analysis stored in forensicDetails, if it belongs to the content `sha256`
+const parseForensics = (value: unknown, sha256: string | null): ImageForensics | null => {
+  if (typeof value !== 'string' || !value || !sha256) return null;
+  try {
+    const analysis = JSON.parse(value)?.analysis;
+    return analysis && analysis.sha256 === sha256 && Array.isArray(analysis.findings) ? analysis : null;
+  } catch {
+    return null;
+  }
+};
+
+/** Columns to store along with `buffer` as content of an Attachments row. */
+export const attachmentMetadata = (buffer: Buffer, mediaType: string | null | undefined): AttachmentMetadata => {
+  if (!isImage(mediaType)) {
+    return { size: buffer.length, sha256: createHash('sha256').update(buffer).digest('hex'), exif: null, perceptualHash: null, forensicDetails: null };
+  }
+  const analysis = analyzeImageForensics(buffer);
+  return {
+    size: buffer.length,
+    sha256: analysis.sha256,
+    exif: JSON.stringify(extractExifMetadata(buffer)),
+    perceptualHash: analysis.perceptualHash,
+    forensicDetails: JSON.stringify({ analysis })
+  };
+};
+
+/**
+ * Image attachments of a claim with their stored metadata. Only rows lacking
+ * sha256, EXIF or the forensic analysis are read with content; their metadata
+ * is stored right away.
+ */
+export const loadClaimPhotos = async (db: cds.Service, claimId: string): Promise<ClaimPhoto[]> => {
+  const rows = await db.run(
+    SELECT.from('kfz.claims.Attachments').columns('ID', 'fileName', 'mediaType', 'sha256', 'exif', 'forensicDetails', 'damageAssessment').where({ refClaim_ID: claimId })
+  ) as Array<Record<string, any>>;
+  const photos: ClaimPhoto[] = [];
+  for (const row of rows || []) {
+    if (!isImage(row.mediaType)) continue;
+    let sha256: string | null = row.sha256 || null;
+    let exif = parseExif(row.exif);
+    let forensics = parseForensics(row.forensicDetails, sha256);
+    if (!sha256 || !exif || !forensics) {
+      const stored = await db.run(SELECT.one.from('kfz.claims.Attachments').columns('content').where({ ID: row.ID })) as { content?: unknown } | null;
+      const buffer = await toBuffer(stored?.content);
+      if (!buffer.length) continue;
+      const metadata = attachmentMetadata(buffer, row.mediaType);
+      await db.run(UPDATE('kfz.claims.Attachments').set(metadata).where({ ID: row.ID }));
+      sha256 = metadata.sha256;
+      exif = parseExif(metadata.exif) ?? {};
+      forensics = parseForensics(metadata.forensicDetails, sha256)!;
+    }
+    photos.push({ attachmentId: row.ID, fileName: row.fileName ?? null, mediaType: row.mediaType, sha256, exif, forensics, damageAssessment: row.damageAssessment ?? null });
+  }
+  return photos;
+};
@@ -0,0 +1,159 @@
+// srv/lib/claim-correspondence.ts
+// Mail correspondence of claims. A message is linked to every claim whose
+// claim number or policy number occurs as a whole token in its subject or body;
+// replies in an already linked conversation follow their thread. Mails of the
+// Sent Items folder ("sentitems") or sent by the watched shared mailbox itself
+// are recorded as outbound. Links are stored as ClaimCorrespondence rows (one
+// per claim and message).
+
+import cds from '@sap/cds';
+import { claimNumberExpression } from './claim-number.js';
+
+export type CorrespondenceDirection = 'Inbound' | 'Outbound';
+
+export type CorrespondenceMatch = 'claim_number' | 'policy_number' | 'conversation' | 'source_mail';
+
+export interface CorrespondenceMail {
+  messageId: string;
+  conversationId?: string | null;
+  direction?: CorrespondenceDirection;
+  subject?: string | null;
+  /** Plain text body used for matching (not stored). */
+  text?: string | null;
+  sender?: string | null;
+  summary?: string | null;
+  sentAt?: string | null;
+  webLink?: string | null;
+}
+
+export interface ClaimReference {
+  ID: string;
+  claim_number?: string | null;
+  policy_number?: string | null;
+}
+
+export interface ClaimMatch {
+  claimId: string;
+  matchedBy: CorrespondenceMatch;
+}
+
+const CORRESPONDENCE = 'kfz.claims.ClaimCorrespondence';
+
+// Numbers shorter than this are too likely to occur by chance in mail text
+const MIN_REFERENCE_LENGTH = 5;
+// Upper bound of the candidates looked up per mail (long mails, tables)
+const MAX_CANDIDATES = 200;
+
+// Token of letters/digits, inner separators allowed: "ACME-P-884231", "CLM-CH-LU-2025-002"
+const TOKEN = /[A-Z0-9]+(?:[-./][A-Z0-9]+)*/gi;
+
+const normalize = (value: unknown): string => String(value ?? '').trim().toUpperCase();
+
+/**
+ * Possible claim and policy numbers in `text`: claim numbers of the configured
+ * pattern plus every token with a digit, upper-cased. A number only matches as
+ * a whole token, so "...-100" is not found in "...-1000" and policy numbers are
+ * not found inside phone numbers or IBANs.
+ */
+export const referenceCandidates = (text: string): string[] => {
+  const candidates = new Set<string>();
+  let claimNumbers: RegExp | null = null;
+  try {
+    claimNumbers = claimNumberExpression();
+  } catch {
+    // invalid CLAIMAI_CLAIM_NUMBER_PATTERN: tokens only
+  }
+  for (const match of claimNumbers ? text.match(claimNumbers) || [] : []) candidates.add(normalize(match));
+  for (const match of text.match(TOKEN) || []) {
+    if (match.length >= MIN_REFERENCE_LENGTH && /\d/.test(match)) candidates.add(normalize(match));
+  }
+  return [...candidates].slice(0, MAX_CANDIDATES);
+};
+
+/** Claims referenced by claim number or policy number in `text` (no database access). */
+export const findClaimReferences = (text: string, claims: ClaimReference[]): ClaimMatch[] => {
+  const candidates = new Set(referenceCandidates(text));
+  if (!candidates.size) return [];
+  const matches = new Map<string, ClaimMatch>();
+  for (const claim of claims) {
+    if (candidates.has(normalize(claim.claim_number))) {
+      matches.set(claim.ID, { claimId: claim.ID, matchedBy: 'claim_number' });
+    }
+  }
+  for (const claim of claims) {
+    if (!matches.has(claim.ID) && candidates.has(normalize(claim.policy_number))) {
+      matches.set(claim.ID, { claimId: claim.ID, matchedBy: 'policy_number' });
+    }
+  }
+  return [...matches.values()];
+};
+
+/** Outbound for mails of the Sent Items folder or sent by the watched shared mailbox. */
+export const correspondenceDirection = (
+  senderEmail: string | null | undefined,
+  folder?: { mailbox: string | null; folderId: string } | null
+): CorrespondenceDirection => {
+  if (!folder) return 'Inbound';
+  if (folder.folderId.toLowerCase() === 'sentitems') return 'Outbound';
+  const sender = normalize(senderEmail);
+  return sender && folder.mailbox && sender === normalize(folder.mailbox) ? 'Outbound' : 'Inbound';
+};
+
+/** Claims matching a mail: references in subject/body plus claims already linked to its conversation. */
+export const matchMailToClaims = async (db: cds.Service, mail: CorrespondenceMail): Promise<ClaimMatch[]> => {
+  const text = `${mail.subject || ''}\n${mail.text || ''}`;
+  const candidates = referenceCandidates(text);
+  const claims = candidates.length
+    ? await db.run(
+      SELECT.from('kfz.claims.Claims').columns('ID', 'claim_number', 'policy_number')
+        .where('upper(claim_number) in', candidates, 'or upper(policy_number) in', candidates)
+    ) as ClaimReference[]
+    : [];
+  const matches = findClaimReferences(text, claims || []);
+  if (mail.conversationId) {
+    const thread = await db.run(
+      SELECT.from(CORRESPONDENCE).columns('claim_ID').where({ conversationId: mail.conversationId })
+    ) as Array<{ claim_ID: string | null }>;
+    for (const row of thread || []) {
+      if (row.claim_ID && !matches.some((match) => match.claimId === row.claim_ID)) {
+        matches.push({ claimId: row.claim_ID, matchedBy: 'conversation' });
+      }
+    }
+  }
+  return matches;
+};
+
+/**
+ * Stores the correspondence rows of `mail` for `matches`; existing rows of the
+ * same claim and message are refreshed. Returns the linked claim IDs.
+ */
+export const recordCorrespondence = async (db: cds.Service, mail: CorrespondenceMail, matches: ClaimMatch[]): Promise<string[]> => {
+  const fields = {
+    conversationId: mail.conversationId ?? null,
+    direction: mail.direction || 'Inbound',
+    subject: mail.subject ? mail.subject.slice(0, 500) : null,
+    sender: mail.sender ? mail.sender.slice(0, 255) : null,
+    summary: mail.summary ? mail.summary.slice(0, 1000) : null,
+    sentAt: mail.sentAt ?? null,
+    webLink: mail.webLink ?? null
+  };
+  const linked: string[] = [];
+  for (const match of matches) {
+    const existing = await db.run(
+      SELECT.one.from(CORRESPONDENCE).columns('ID').where({ claim_ID: match.claimId, messageId: mail.messageId })
+    );
+    if (existing) {
+      await db.run(UPDATE(CORRESPONDENCE).set(fields).where({ ID: existing.ID }));
+    } else {
+      await db.run(INSERT.into(CORRESPONDENCE).entries({
+        ID: cds.utils.uuid(),
+        claim_ID: match.claimId,
+        messageId: mail.messageId,
+        matchedBy: match.matchedBy,
+        ...fields
+      }));
+    }
+    linked.push(match.claimId);
+  }
+  return linked;
+};
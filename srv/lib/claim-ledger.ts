@@ -0,0 +1,200 @@
+// srv/lib/claim-ledger.ts
+// Reserve and payment ledger of a claim (ClaimReserves / ClaimPayments).
+// Approved reserves minus open or approved payments give the outstanding
+// reserve stored on Claims. Entries in other currencies are converted into the
+// claim currency at the rate of their booking date. The save guard rejects
+// payments above the reserve and new payments on rejected claims.
+
+import cds from '@sap/cds';
+import { DEFAULT_CURRENCY, loadCurrencyConverter, reportingCurrency, type CurrencyConverter } from './exchange-rates.js';
+
+export interface LedgerEntry {
+  ID?: string;
+  amount?: number | string | null;
+  currency_code?: string | null;
+  approval_state?: string | null;
+  payment_date?: string | null;
+  createdAt?: string | null;
+}
+
+export interface LedgerTotals {
+  currency: string;
+  reserveTotal: number;
+  paidTotal: number;
+  outstanding: number;
+  missingRates: string[];
+}
+
+export interface LedgerViolation {
+  status: 400 | 409;
+  message: string;
+  target?: string;
+}
+
+const toAmount = (value: unknown): number => {
+  const amount = Number(value);
+  return Number.isFinite(amount) ? amount : 0;
+};
+
+const round = (value: number): number => Math.round(value * 100) / 100;
+
+const currencyOf = (entry: LedgerEntry): string => (entry.currency_code || DEFAULT_CURRENCY).toUpperCase();
+
+const isApproved = (entry: LedgerEntry): boolean => entry.approval_state === 'Freigegeben';
+
+// Open payments are booked against the reserve as well; only rejected ones are released
+const isBooked = (entry: LedgerEntry): boolean => entry.approval_state !== 'Abgelehnt';
+
+const formatAmount = (amount: number, currency: string): string => `${currency} ${amount.toFixed(2)}`;
+
+/** Totals of the ledger in `currency`; entries without an effective rate are listed in missingRates. */
+export const summarizeLedger = (
+  reserves: LedgerEntry[],
+  payments: LedgerEntry[],
+  currency: string = DEFAULT_CURRENCY,
+  rates?: CurrencyConverter
+): LedgerTotals => {
+  const missingRates = new Set<string>();
+  const total = (entries: LedgerEntry[]) => round(entries.reduce((sum, entry) => {
+    const source = currencyOf(entry);
+    const date = entry.payment_date || entry.createdAt || null;
+    const amount = source === currency ? toAmount(entry.amount) : rates?.convert(toAmount(entry.amount), source, currency, date) ?? null;
+    if (amount === null) {
+      missingRates.add(`${source}/${currency}`);
+      return sum;
+    }
+    return sum + amount;
+  }, 0));
+  const reserveTotal = total(reserves.filter(isApproved));
+  const paidTotal = total(payments.filter(isBooked));
+  return { currency, reserveTotal, paidTotal, outstanding: round(reserveTotal - paidTotal), missingRates: [...missingRates] };
+};
+
+/**
+ * Validates the ledger of a claim before it is saved. `existingPayments` are
+ * the currently active payments; only new or re-opened payments are refused
+ * on a rejected claim, so older claims stay editable.
+ */
+export const checkLedger = (input: {
+  status?: string | null;
+  currency?: string | null;
+  reserves: LedgerEntry[];
+  payments: LedgerEntry[];
+  existingPayments?: LedgerEntry[];
+  rates?: CurrencyConverter;
+}): LedgerViolation[] => {
+  const { status, reserves, payments, existingPayments = [], rates } = input;
+  const violations: LedgerViolation[] = [];
+
+  for (const payment of payments) {
+    if (toAmount(payment.amount) <= 0) {
+      violations.push({ status: 400, message: 'Zahlungsbeträge müssen grösser als 0 sein.', target: 'payments' });
+      break;
+    }
+  }
+
+  if (status === 'Abgelehnt') {
+    const booked = new Map(existingPayments.filter(isBooked).map((entry) => [entry.ID, toAmount(entry.amount)]));
+    const added = payments.filter(isBooked).filter((entry) => !booked.has(entry.ID) || booked.get(entry.ID) !== toAmount(entry.amount));
+    if (added.length) {
+      violations.push({ status: 409, message: 'Auf einen abgelehnten Schadenfall dürfen keine Zahlungen gebucht werden.', target: 'payments' });
+    }
+  }
+
+  const totals = summarizeLedger(reserves, payments, (input.currency || DEFAULT_CURRENCY).toUpperCase(), rates);
+  if (totals.missingRates.length) {
+    violations.push({
+      status: 400,
+      message: `Für die Umrechnung in ${totals.currency} fehlt ein Wechselkurs (${totals.missingRates.join(', ')}).`,
+      target: 'payments'
+    });
+    return violations;
+  }
+  if (totals.paidTotal > totals.reserveTotal) {
+    violations.push({
+      status: 409,
+      message: `Zahlungen von ${formatAmount(totals.paidTotal, totals.currency)} übersteigen die freigegebene Reserve von ${formatAmount(totals.reserveTotal, totals.currency)}.`,
+      target: 'payments'
+    });
+  }
+  return violations;
+};
+
+/**
+ * Recomputes reserve_total, paid_total and outstanding_reserve of an active
+ * claim in its currency.
+ */
+export const applyLedgerTotals = async (db: cds.Service, claimId: string): Promise<LedgerTotals | null> => {
+  const claim = await db.run(SELECT.one.from('kfz.claims.Claims').columns('currency_code').where({ ID: claimId }));
+  if (!claim) return null;
+  const reserves = await db.run(
+    SELECT.from('kfz.claims.ClaimReserves').columns('amount', 'currency_code', 'approval_state', 'createdAt').where({ claim_ID: claimId })
+  ) as LedgerEntry[];
+  const payments = await db.run(
+    SELECT.from('kfz.claims.ClaimPayments').columns('amount', 'currency_code', 'approval_state', 'payment_date', 'createdAt').where({ claim_ID: claimId })
+  ) as LedgerEntry[];
+  const rates = await loadCurrencyConverter(db);
+  const totals = summarizeLedger(reserves || [], payments || [], (claim.currency_code || DEFAULT_CURRENCY).toUpperCase(), rates);
+  await db.run(UPDATE('kfz.claims.Claims').set({
+    reserve_total: totals.reserveTotal,
+    paid_total: totals.paidTotal,
+    outstanding_reserve: totals.outstanding
+  }).where({ ID: claimId }));
+  return totals;
+};
+
+export interface ReportingTotals {
+  currency: string;
+  keyDate: string;
+  claims: number;
+  estimated_cost: number;
+  reserve_total: number;
+  paid_total: number;
+  outstanding_reserve: number;
+  missingRates: string[];
+}
+
+const MONEY_FIELDS = ['estimated_cost', 'reserve_total', 'paid_total', 'outstanding_reserve'] as const;
+
+/**
+ * Sums the money fields of all active claims in `currency` (default
+ * CLAIMAI_REPORTING_CURRENCY) at the rates effective on `keyDate`. Claims
+ * whose currency has no rate are left out and reported in missingRates.
+ */
+export const computeReportingTotals = async (
+  db: cds.Service,
+  currency?: string | null,
+  keyDate?: string | null
+): Promise<ReportingTotals> => {
+  const target = (currency || '').trim().toUpperCase() || reportingCurrency();
+  const day = keyDate || new Date().toISOString().slice(0, 10);
+  const rates = await loadCurrencyConverter(db);
+  const claims = await db.run(
+    SELECT.from('kfz.claims.Claims').columns('currency_code', ...MONEY_FIELDS)
+  ) as Array<Record<string, any>>;
+
+  const totals: ReportingTotals = {
+    currency: target,
+    keyDate: day,
+    claims: 0,
+    estimated_cost: 0,
+    reserve_total: 0,
+    paid_total: 0,
+    outstanding_reserve: 0,
+    missingRates: []
+  };
+  const missing = new Set<string>();
+  for (const claim of claims || []) {
+    const source = (claim.currency_code || DEFAULT_CURRENCY).toUpperCase();
+    const rate = rates.rate(source, target, day);
+    if (rate === null) {
+      missing.add(`${source}/${target}`);
+      continue;
+    }
+    totals.claims += 1;
+    for (const field of MONEY_FIELDS) totals[field] += toAmount(claim[field]) * rate;
+  }
+  for (const field of MONEY_FIELDS) totals[field] = round(totals[field]);
+  totals.missingRates = [...missing];
+  return totals;
+};
@@ -0,0 +1,138 @@
+// srv/lib/claim-number.ts
+// Claim number allocation per region (canton) and year, e.g. CLM-CH-LU-2025-001.
+// Numbers come from ClaimNumberSequences and are incremented inside the caller's
+// transaction: the row lock serializes concurrent activations and a rollback
+// returns the number, so sequences stay gap-free.
+//
+// Configuration (environment):
+//   CLAIMAI_CLAIM_NUMBER_PATTERN  tokens {region} {year} {yy} {seq} / {seq:N} (zero padded)
+//                                 default "CLM-CH-{region}-{year}-{seq:3}"
+//   CLAIMAI_CLAIM_NUMBER_REGION   fallback region if none can be derived, default "XX"
+
+import cds from '@sap/cds';
+
+export interface ClaimNumberConfig {
+  pattern: string;
+  defaultRegion: string;
+}
+
+export interface ClaimNumberInput {
+  vehicle_license?: string | null;
+  received_at?: string | Date | null;
+}
+
+const SEQUENCES = 'kfz.claims.ClaimNumberSequences';
+const CLAIMS = 'kfz.claims.Claims';
+
+const DEFAULT_PATTERN = 'CLM-CH-{region}-{year}-{seq:3}';
+
+// Swiss cantons; license plates start with the canton code (e.g. "LU 52134")
+const CANTONS = new Set([
+  'AG', 'AI', 'AR', 'BE', 'BL', 'BS', 'FR', 'GE', 'GL', 'GR', 'JU', 'LU', 'NE',
+  'NW', 'OW', 'SG', 'SH', 'SO', 'SZ', 'TG', 'TI', 'UR', 'VD', 'VS', 'ZG', 'ZH'
+]);
+
+const SEQ_TOKEN = /\{seq(?::(\d+))?\}/;
+
+export const claimNumberConfig = (): ClaimNumberConfig => {
+  const pattern = (process.env.CLAIMAI_CLAIM_NUMBER_PATTERN || '').trim() || DEFAULT_PATTERN;
+  if (!SEQ_TOKEN.test(pattern)) {
+    throw new Error(`CLAIMAI_CLAIM_NUMBER_PATTERN "${pattern}" must contain {seq}.`);
+  }
+  const defaultRegion = (process.env.CLAIMAI_CLAIM_NUMBER_REGION || '').trim().toUpperCase() || 'XX';
+  return { pattern, defaultRegion };
+};
+
+/** Canton from the license plate prefix, else the configured fallback. */
+export const resolveRegion = (vehicleLicense: string | null | undefined, fallback: string): string => {
+  const prefix = String(vehicleLicense || '').trim().slice(0, 2).toUpperCase();
+  return CANTONS.has(prefix) ? prefix : fallback;
+};
+
+const resolveYear = (receivedAt: string | Date | null | undefined): number => {
+  const date = receivedAt ? new Date(receivedAt) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date().getUTCFullYear() : date.getUTCFullYear();
+};
+
+const fillStaticTokens = (pattern: string, region: string, year: number): string => pattern
+  .replace(/\{region\}/g, region)
+  .replace(/\{year\}/g, String(year))
+  .replace(/\{yy\}/g, String(year).slice(-2));
+
+export const formatClaimNumber = (pattern: string, region: string, year: number, seq: number): string =>
+  fillStaticTokens(pattern, region, year).replace(SEQ_TOKEN, (_match, width?: string) => String(seq).padStart(Number(width || 0), '0'));
+
+const escapeRegExp = (text: string): string => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Global, case-insensitive expression for claim numbers of `pattern` in free
+ * text (any region, year and sequence), e.g. to find references in mails.
+ */
+export const claimNumberExpression = (pattern: string = claimNumberConfig().pattern): RegExp => {
+  const source = pattern
+    .split(/(\{region\}|\{year\}|\{yy\}|\{seq(?::\d+)?\})/)
+    .map((part) => {
+      if (part === '{region}') return '[A-Z]{2}';
+      if (part === '{year}') return '\\d{4}';
+      if (part === '{yy}') return '\\d{2}';
+      if (SEQ_TOKEN.test(part)) return '\\d+';
+      return escapeRegExp(part);
+    })
+    .join('');
+  return new RegExp(`\\b${source}\\b`, 'gi');
+};
+
+/**
+ * Highest sequence already used by existing claims of region/year, so a
+ * sequence continues after seeded or manually entered numbers.
+ */
+const highestExistingSequence = async (db: cds.Service, pattern: string, region: string, year: number): Promise<number> => {
+  const [before, after = ''] = fillStaticTokens(pattern, region, year).split(/\{seq(?::\d+)?\}/);
+  const matcher = new RegExp(`^${escapeRegExp(before)}(\\d+)${escapeRegExp(after)}$`);
+  const rows = await db.run(
+    SELECT.from(CLAIMS).columns('claim_number').where({ claim_number: { like: `${before}%` } })
+  ) as Array<{ claim_number: string | null }>;
+  return rows.reduce((max, row) => {
+    const match = matcher.exec(row.claim_number || '');
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+};
+
+/**
+ * Allocates the next claim number for the claim's region/year within `db`
+ * (the caller's transaction). The first allocation of a region/year, or a
+ * collision with a manually entered number, continues after the highest
+ * existing number.
+ */
+export const allocateClaimNumber = async (db: cds.Service, claim: ClaimNumberInput, config = claimNumberConfig()): Promise<string> => {
+  const region = resolveRegion(claim.vehicle_license, config.defaultRegion);
+  const year = resolveYear(claim.received_at);
+
+  // Creates the row if missing without failing the transaction on a concurrent insert
+  await db.run(UPSERT.into(SEQUENCES).entries({ region, year }));
+  await db.run(UPDATE(SEQUENCES).set({ lastNumber: { '+=': 1 } }).where({ region, year }));
+  const row = await db.run(SELECT.one.from(SEQUENCES).columns('lastNumber').where({ region, year }));
+  let seq = Number(row?.lastNumber ?? 0);
+  if (seq < 1) {
+    throw new Error(`Claim number sequence ${region}/${year} could not be allocated.`);
+  }
+
+  let claimNumber = formatClaimNumber(config.pattern, region, year, seq);
+  if (seq === 1 || await findDuplicateClaimNumber(db, claimNumber)) {
+    const highest = await highestExistingSequence(db, config.pattern, region, year);
+    if (highest >= seq) {
+      seq = highest + 1;
+      await db.run(UPDATE(SEQUENCES).set({ lastNumber: seq }).where({ region, year }));
+      claimNumber = formatClaimNumber(config.pattern, region, year, seq);
+    }
+  }
+  return claimNumber;
+};
+
+/** Returns the ID of another claim already using `claimNumber`, if any. */
+export const findDuplicateClaimNumber = async (db: cds.Service, claimNumber: string, claimId?: string | null): Promise<string | null> => {
+  const query = SELECT.one.from(CLAIMS).columns('ID').where({ claim_number: claimNumber });
+  if (claimId) query.where({ ID: { '!=': claimId } });
+  const row = await db.run(query);
+  return row?.ID ?? null;
+};
@@ -0,0 +1,50 @@
+// srv/lib/claim-status.ts
+// Claim status state machine: allowed transitions of the bound status actions
+// on ClaimsService.Claims. Persistence (status update + ClaimStatusHistory
+// entry) happens in the service handler.
+
+export type ClaimStatusCode = 'Eingegangen' | 'In Prüfung' | 'Freigegeben' | 'Abgelehnt';
+
+export type ClaimStatusAction = 'startReview' | 'approve' | 'rejectClaim' | 'reopen';
+
+export interface StatusTransition {
+  from: ClaimStatusCode[];
+  to: ClaimStatusCode;
+  reasonRequired: boolean;
+}
+
+export interface TransitionViolation {
+  status: 400 | 409;
+  message: string;
+}
+
+export const CLAIM_STATUS_TRANSITIONS: Record<ClaimStatusAction, StatusTransition> = {
+  startReview: { from: ['Eingegangen'], to: 'In Prüfung', reasonRequired: false },
+  approve: { from: ['In Prüfung'], to: 'Freigegeben', reasonRequired: false },
+  rejectClaim: { from: ['Eingegangen', 'In Prüfung'], to: 'Abgelehnt', reasonRequired: true },
+  reopen: { from: ['Freigegeben', 'Abgelehnt'], to: 'In Prüfung', reasonRequired: false }
+};
+
+export const CLAIM_STATUS_ACTIONS = Object.keys(CLAIM_STATUS_TRANSITIONS) as ClaimStatusAction[];
+
+/**
+ * Checks whether `action` may run on a claim in `currentStatus`. Returns the
+ * violation (HTTP status + German message for req.error) or null if allowed.
+ */
+export const checkStatusTransition = (
+  action: ClaimStatusAction,
+  currentStatus: string | null | undefined,
+  reason: string | null
+): TransitionViolation | null => {
+  const transition = CLAIM_STATUS_TRANSITIONS[action];
+  if (!transition.from.includes(currentStatus as ClaimStatusCode)) {
+    return {
+      status: 409,
+      message: `Statuswechsel "${action}" ist im Status "${currentStatus || 'leer'}" nicht erlaubt (erlaubt ab: ${transition.from.join(', ')}).`
+    };
+  }
+  if (transition.reasonRequired && !reason) {
+    return { status: 400, message: 'Für diesen Statuswechsel ist eine Begründung erforderlich.' };
+  }
+  return null;
+};
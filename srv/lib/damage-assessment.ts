@@ -0,0 +1,259 @@
+// srv/lib/damage-assessment.ts
+// Structured damage assessment of claim photos. The vision model answers with
+// JSON (affected parts from DAMAGE_PARTS, damage type, severity 0-100,
+// drivability, confidence and a short German description) that is validated
+// against damageAssessmentSchema. Assessments are stored per attachment
+// (Attachments, and AttachmentEnrichments for mail attachments) and aggregated
+// into severity_score of the claim.
+//
+// Configuration (environment):
+//   CLAIMAI_DAMAGE_MIN_CONFIDENCE  confidence (0-1) from which an assessment
+//                                  counts for severity_score, default 0.5
+
+import cds from '@sap/cds';
+import { z } from 'zod';
+import { toBuffer } from '../utils/binary.js';
+import { analyzeImageAttachment, type VisionResult } from '../utils/vision.js';
+import { findEnrichmentByHash } from './attachment-cache.js';
+import type { ClaimPhoto } from './attachment-metadata.js';
+
+/** Parts catalog: code → German label. */
+export const DAMAGE_PARTS = {
+  FRONT_BUMPER: 'Stossfänger vorne',
+  REAR_BUMPER: 'Stossfänger hinten',
+  GRILLE: 'Kühlergrill',
+  HOOD: 'Motorhaube',
+  TRUNK_LID: 'Heckklappe/Kofferraumdeckel',
+  ROOF: 'Dach',
+  WINDSHIELD: 'Frontscheibe',
+  REAR_WINDOW: 'Heckscheibe',
+  SIDE_WINDOW: 'Seitenscheibe',
+  HEADLIGHT_LEFT: 'Scheinwerfer links',
+  HEADLIGHT_RIGHT: 'Scheinwerfer rechts',
+  TAILLIGHT_LEFT: 'Rückleuchte links',
+  TAILLIGHT_RIGHT: 'Rückleuchte rechts',
+  FENDER_FRONT_LEFT: 'Kotflügel vorne links',
+  FENDER_FRONT_RIGHT: 'Kotflügel vorne rechts',
+  QUARTER_PANEL_LEFT: 'Seitenwand hinten links',
+  QUARTER_PANEL_RIGHT: 'Seitenwand hinten rechts',
+  DOOR_FRONT_LEFT: 'Tür vorne links',
+  DOOR_FRONT_RIGHT: 'Tür vorne rechts',
+  DOOR_REAR_LEFT: 'Tür hinten links',
+  DOOR_REAR_RIGHT: 'Tür hinten rechts',
+  MIRROR_LEFT: 'Aussenspiegel links',
+  MIRROR_RIGHT: 'Aussenspiegel rechts',
+  SILL_LEFT: 'Schweller links',
+  SILL_RIGHT: 'Schweller rechts',
+  WHEEL: 'Rad/Felge/Reifen',
+  UNDERBODY: 'Unterboden',
+  ENGINE_BAY: 'Motorraum',
+  INTERIOR: 'Innenraum'
+} as const;
+
+export const DAMAGE_TYPES = {
+  NONE: 'kein Schaden erkennbar',
+  SCRATCH: 'Kratzer',
+  DENT: 'Delle',
+  DEFORMATION: 'Verformung',
+  CRACK: 'Riss/Bruch',
+  GLASS_BREAKAGE: 'Glasbruch',
+  HAIL: 'Hagel',
+  FIRE: 'Brand',
+  WATER: 'Wasser',
+  OTHER: 'anderer Schaden'
+} as const;
+
+export const DRIVABILITY = {
+  DRIVABLE: 'fahrbereit',
+  LIMITED: 'eingeschränkt fahrbereit',
+  NOT_DRIVABLE: 'nicht fahrbereit',
+  UNKNOWN: 'nicht beurteilbar'
+} as const;
+
+export type DamagePart = keyof typeof DAMAGE_PARTS;
+export type DamageType = keyof typeof DAMAGE_TYPES;
+export type Drivability = keyof typeof DRIVABILITY;
+
+const codes = <T extends Record<string, string>>(catalog: T) => Object.keys(catalog) as [keyof T & string, ...Array<keyof T & string>];
+
+export const damageAssessmentSchema = z.object({
+  parts: z.array(z.enum(codes(DAMAGE_PARTS))).max(Object.keys(DAMAGE_PARTS).length),
+  damageType: z.enum(codes(DAMAGE_TYPES)),
+  severity: z.number().int().min(0).max(100),
+  drivability: z.enum(codes(DRIVABILITY)),
+  confidence: z.number().min(0).max(1),
+  description: z.string().min(1).max(1000)
+});
+
+export type DamageAssessment = z.infer<typeof damageAssessmentSchema>;
+
+export interface DamageVisionResult extends VisionResult {
+  assessment: DamageAssessment | null;
+}
+
+export interface ClaimDamageAssessments {
+  /** Aggregated severity, null without usable assessments. */
+  severityScore: number | null;
+  /** Attachment ID → assessment of all assessed photos of the claim. */
+  assessments: Map<string, DamageAssessment>;
+  /** Photos whose analysis failed, with the error. */
+  failed: Array<{ attachmentId: string; fileName: string | null; error: string }>;
+}
+
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+const list = (catalog: Record<string, string>): string => Object.entries(catalog)
+  .map(([code, label]) => `${code} (${label})`)
+  .join(', ');
+
+export const DAMAGE_ASSESSMENT_PROMPT = [
+  'Bewerte den sichtbaren Fahrzeugschaden auf dem Foto. Antworte ausschliesslich mit einem JSON-Objekt ohne Markdown mit den Feldern:',
+  `"parts": Liste der betroffenen Bauteile, nur Codes aus: ${list(DAMAGE_PARTS)};`,
+  `"damageType": überwiegende Schadenart, einer von: ${list(DAMAGE_TYPES)};`,
+  '"severity": Schwere als ganze Zahl 0-100 (0 kein Schaden, 20 Bagatelle, 50 mehrere Bauteile oder Teile zu ersetzen, 80 schwere Strukturschäden, 100 Totalschaden);',
+  `"drivability": einer von: ${list(DRIVABILITY)};`,
+  '"confidence": Sicherheit der Bewertung 0-1 (niedrig bei unscharfen, dunklen oder fahrzeugfremden Fotos);',
+  '"description": höchstens drei Sätze auf Deutsch (Fahrzeugtyp, Schaden, Umfeld).',
+  'Nutze EXIF-Informationen nicht in der Bewertung.'
+].join('\n');
+
+const minConfidence = (): number => {
+  const value = Number(process.env.CLAIMAI_DAMAGE_MIN_CONFIDENCE);
+  return Number.isFinite(value) && value >= 0 && value <= 1 ? value : DEFAULT_MIN_CONFIDENCE;
+};
+
+// The model may wrap the object in a code fence or prose; take the outermost braces
+const jsonObjectText = (text: string): string | null => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start >= 0 && end > start ? text.slice(start, end + 1) : null;
+};
+
+const upper = (value: unknown): unknown => (typeof value === 'string' ? value.trim().toUpperCase().replace(/[\s-]+/g, '_') : value);
+
+/** Validates a model answer; enum codes are accepted case-insensitively, parts deduplicated. */
+export const parseDamageAssessment = (text: string | null | undefined): { assessment: DamageAssessment | null; error: string | null } => {
+  const json = jsonObjectText(String(text ?? ''));
+  if (!json) return { assessment: null, error: 'Vision answer contains no JSON object' };
+  let raw: any;
+  try {
+    raw = JSON.parse(json);
+  } catch (error: any) {
+    return { assessment: null, error: `Vision answer is not valid JSON: ${error?.message || error}` };
+  }
+  if (raw && typeof raw === 'object') {
+    if (Array.isArray(raw.parts)) raw.parts = [...new Set(raw.parts.map(upper))];
+    raw.damageType = upper(raw.damageType);
+    raw.drivability = upper(raw.drivability);
+    if (typeof raw.description === 'string') raw.description = raw.description.trim();
+  }
+  const result = damageAssessmentSchema.safeParse(raw);
+  if (!result.success) {
+    const issues = result.error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ');
+    return { assessment: null, error: `Invalid damage assessment: ${issues}` };
+  }
+  return { assessment: result.data, error: null };
+};
+
+/**
+ * Runs the vision model with DAMAGE_ASSESSMENT_PROMPT; `hint` is appended as
+ * additional instruction. The description of the result is the one of the
+ * assessment.
+ */
+export const assessDamagePhoto = async (source: string | Buffer, options?: { hint?: string }): Promise<DamageVisionResult> => {
+  const hint = options?.hint?.trim();
+  const vision = await analyzeImageAttachment(source, {
+    prompt: hint ? `${DAMAGE_ASSESSMENT_PROMPT}\nZusätzlicher Hinweis: ${hint}` : DAMAGE_ASSESSMENT_PROMPT
+  });
+  if (vision.error) return { ...vision, assessment: null };
+  const { assessment, error } = parseDamageAssessment(vision.description);
+  return assessment
+    ? { description: assessment.description, exif: vision.exif, assessment }
+    : { description: null, exif: vision.exif, assessment: null, error: error! };
+};
+
+/**
+ * Claim severity from the photo assessments: the highest severity among the
+ * assessments with at least the minimum confidence, else the
+ * confidence-weighted mean of all. Null without assessments.
+ */
+export const aggregateSeverity = (assessments: DamageAssessment[]): number | null => {
+  if (!assessments.length) return null;
+  const confident = assessments.filter((assessment) => assessment.confidence >= minConfidence());
+  if (confident.length) return Math.max(...confident.map((assessment) => assessment.severity));
+  const weight = assessments.reduce((sum, assessment) => sum + assessment.confidence, 0);
+  if (!weight) return null;
+  return Math.round(assessments.reduce((sum, assessment) => sum + assessment.severity * assessment.confidence, 0) / weight);
+};
+
+/** German one-line summary of the parts, for the Attachments table. */
+export const partLabels = (parts: DamagePart[]): string => parts.map((part) => DAMAGE_PARTS[part]).join(', ');
+
+const validAssessment = (value: unknown): DamageAssessment | null => {
+  const result = damageAssessmentSchema.safeParse(value);
+  return result.success ? result.data : null;
+};
+
+const parseStored = (value: unknown): { assessment: DamageAssessment; sha256: string | null } | null => {
+  if (typeof value !== 'string' || !value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    const assessment = validAssessment(parsed);
+    return assessment ? { assessment, sha256: typeof parsed.sha256 === 'string' ? parsed.sha256 : null } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Assesses the photos of a claim (loadClaimPhotos). Per photo the stored
+ * assessment is kept while the content is unchanged; otherwise the assessment
+ * of the same content from the attachment enrichment cache is taken over or,
+ * with `analyze`, the vision model is called (only then is the content read).
+ * severity_score of the claim is set when an assessment was added (always with
+ * `analyze`), so a manually entered value is kept until new photos are
+ * assessed.
+ */
+export const applyDamageAssessments = async (
+  db: cds.Service,
+  claimId: string,
+  photos: ClaimPhoto[],
+  options?: { analyze?: boolean }
+): Promise<ClaimDamageAssessments> => {
+  const assessments = new Map<string, DamageAssessment>();
+  const failed: ClaimDamageAssessments['failed'] = [];
+  let added = false;
+  for (const photo of photos) {
+    const stored = parseStored(photo.damageAssessment);
+    if (stored && stored.sha256 === photo.sha256) {
+      assessments.set(photo.attachmentId, stored.assessment);
+      continue;
+    }
+
+    let assessment = validAssessment((await findEnrichmentByHash(db, photo.sha256))?.vision?.assessment);
+    if (!assessment && options?.analyze) {
+      const row = await db.run(SELECT.one.from('kfz.claims.Attachments').columns('content').where({ ID: photo.attachmentId })) as { content?: unknown } | null;
+      const result = await assessDamagePhoto(await toBuffer(row?.content));
+      assessment = result.assessment;
+      if (!assessment) failed.push({ attachmentId: photo.attachmentId, fileName: photo.fileName, error: result.error || 'no assessment' });
+    }
+    if (!assessment) continue;
+
+    await db.run(UPDATE('kfz.claims.Attachments').set({
+      damageParts: partLabels(assessment.parts).slice(0, 500) || null,
+      damageType: assessment.damageType,
+      damageSeverity: assessment.severity,
+      drivability: assessment.drivability,
+      damageConfidence: Math.round(assessment.confidence * 100) / 100,
+      damageAssessment: JSON.stringify({ ...assessment, sha256: photo.sha256 })
+    }).where({ ID: photo.attachmentId }));
+    assessments.set(photo.attachmentId, assessment);
+    added = true;
+  }
+
+  const severityScore = aggregateSeverity([...assessments.values()]);
+  if (severityScore !== null && (added || options?.analyze)) {
+    await db.run(UPDATE('kfz.claims.Claims').set({ severity_score: severityScore }).where({ ID: claimId }));
+  }
+  return { severityScore, assessments, failed };
+};
@@ -0,0 +1,164 @@
+// srv/lib/duplicate-detection.ts
+// Probable duplicate claims: compares a claim with the other claims sharing its
+// VIN, license plate, policy number or an attachment hash (only those can
+// reach the threshold) on these criteria and the incident date window.
+// Candidates above the threshold are stored as ClaimDuplicateCandidates rows
+// of the newer claim.
+
+import cds from '@sap/cds';
+
+export interface DuplicateClaimFacts {
+  ID: string;
+  claim_number?: string | null;
+  vehicle_vin?: string | null;
+  vehicle_license?: string | null;
+  policy_number?: string | null;
+  incident_date?: string | null;
+}
+
+export interface DuplicateCandidate {
+  duplicateId: string;
+  claimNumber: string | null;
+  score: number;
+  reasons: string[];
+  details: Record<string, unknown>;
+}
+
+// Points per matching criterion; the same VIN or attachment alone reaches the
+// threshold, a date match alone never does
+const WEIGHTS = {
+  vin: 50,
+  license: 30,
+  policy: 20,
+  incidentDate: 15,
+  attachment: 50
+};
+
+export const DUPLICATE_THRESHOLD = 50;
+export const INCIDENT_WINDOW_DAYS = 7;
+
+const DAY_MS = 86_400_000;
+
+const CLAIM_COLUMNS = ['ID', 'claim_number', 'vehicle_vin', 'vehicle_license', 'policy_number', 'incident_date'];
+
+const normalize = (value: unknown): string => String(value ?? '').replace(/[\s.\-]+/g, '').toUpperCase();
+
+// SQL counterpart of normalize (spaces, dots and dashes removed, upper case)
+const normalizedColumn = (column: string): string =>
+  `replace(replace(replace(upper(${column}), ' ', ''), '.', ''), '-', '')`;
+
+const toTime = (value: unknown): number | null => {
+  if (!value) return null;
+  const time = new Date(value as string).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Scores `claim` against `others`. `sharedHashes` maps claim IDs to the
+ * attachment sha256 values they share with `claim`.
+ */
+export const scoreDuplicateCandidates = (
+  claim: DuplicateClaimFacts,
+  others: DuplicateClaimFacts[],
+  sharedHashes: Map<string, string[]> = new Map()
+): DuplicateCandidate[] => {
+  const vin = normalize(claim.vehicle_vin);
+  const license = normalize(claim.vehicle_license);
+  const policy = normalize(claim.policy_number);
+  const incident = toTime(claim.incident_date);
+
+  const candidates: DuplicateCandidate[] = [];
+  for (const other of others) {
+    if (other.ID === claim.ID) continue;
+    const reasons: string[] = [];
+    let score = 0;
+    if (vin && normalize(other.vehicle_vin) === vin) {
+      score += WEIGHTS.vin;
+      reasons.push('Fahrgestellnummer');
+    }
+    if (license && normalize(other.vehicle_license) === license) {
+      score += WEIGHTS.license;
+      reasons.push('Kennzeichen');
+    }
+    if (policy && normalize(other.policy_number) === policy) {
+      score += WEIGHTS.policy;
+      reasons.push('Police');
+    }
+    const otherIncident = toTime(other.incident_date);
+    const dayDiff = incident !== null && otherIncident !== null ? Math.abs(incident - otherIncident) / DAY_MS : null;
+    if (dayDiff !== null && dayDiff <= INCIDENT_WINDOW_DAYS) {
+      score += WEIGHTS.incidentDate;
+      reasons.push('Schadendatum');
+    }
+    const hashes = sharedHashes.get(other.ID) || [];
+    if (hashes.length) {
+      score += WEIGHTS.attachment;
+      reasons.push('identischer Anhang');
+    }
+    if (score < DUPLICATE_THRESHOLD) continue;
+    candidates.push({
+      duplicateId: other.ID,
+      claimNumber: other.claim_number ?? null,
+      score: Math.min(100, score),
+      reasons,
+      details: {
+        incidentDayDiff: dayDiff === null ? null : Math.round(dayDiff * 10) / 10,
+        sharedAttachmentHashes: hashes
+      }
+    });
+  }
+  return candidates.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Finds probable duplicates of an active claim within `db` and replaces its
+ * ClaimDuplicateCandidates rows. Returns the candidates for req.warn.
+ */
+export const detectDuplicateClaims = async (db: cds.Service, claimId: string): Promise<DuplicateCandidate[]> => {
+  const claim = await db.run(SELECT.one.from('kfz.claims.Claims').columns(...CLAIM_COLUMNS).where({ ID: claimId })) as DuplicateClaimFacts | null;
+  if (!claim) return [];
+
+  const ownHashes = (await db.run(
+    SELECT.from('kfz.claims.Attachments').columns('sha256').where({ refClaim_ID: claimId })
+  ) as Array<{ sha256: string | null }>).map((row) => row.sha256).filter((hash): hash is string => Boolean(hash));
+  const sharedHashes = new Map<string, string[]>();
+  if (ownHashes.length) {
+    const matches = await db.run(
+      SELECT.from('kfz.claims.Attachments').columns('refClaim_ID', 'sha256')
+        .where({ sha256: { in: ownHashes }, refClaim_ID: { '!=': claimId } })
+    ) as Array<{ refClaim_ID: string | null; sha256: string }>;
+    for (const match of matches) {
+      if (!match.refClaim_ID) continue;
+      const list = sharedHashes.get(match.refClaim_ID) || [];
+      if (!list.includes(match.sha256)) list.push(match.sha256);
+      sharedHashes.set(match.refClaim_ID, list);
+    }
+  }
+
+  // Candidates: claims matching on at least one identifying criterion
+  // (alternating CQL fragments and values for .where)
+  const conditions: unknown[] = [];
+  const or = () => (conditions.length ? 'or ' : '');
+  for (const column of ['vehicle_vin', 'vehicle_license', 'policy_number'] as const) {
+    const value = normalize(claim[column]);
+    if (value) conditions.push(`${or()}${normalizedColumn(column)} =`, value);
+  }
+  if (sharedHashes.size) conditions.push(`${or()}ID in`, [...sharedHashes.keys()]);
+  const others = conditions.length
+    ? await db.run(SELECT.from('kfz.claims.Claims').columns(...CLAIM_COLUMNS).where(...(conditions as string[]))) as DuplicateClaimFacts[]
+    : [];
+
+  const candidates = scoreDuplicateCandidates(claim, others || [], sharedHashes);
+  await db.run(DELETE.from('kfz.claims.ClaimDuplicateCandidates').where({ claim_ID: claimId }));
+  if (candidates.length) {
+    await db.run(INSERT.into('kfz.claims.ClaimDuplicateCandidates').entries(candidates.map((candidate) => ({
+      ID: cds.utils.uuid(),
+      claim_ID: claimId,
+      duplicate_ID: candidate.duplicateId,
+      score: candidate.score,
+      reasons: candidate.reasons.join(', '),
+      details: JSON.stringify(candidate.details)
+    }))));
+  }
+  return candidates;
+};
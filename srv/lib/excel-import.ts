@@ -0,0 +1,855 @@
+// srv/lib/excel-import.ts
+// Background worker that processes queued ExcelImports jobs: reads the linked
+// attachment, maps the header / position sheets with the selected mapping
+// profile and writes the result into Claims and ClaimDocuments (doc_type
+// "kalkulation"). A job is leased by setting it to PROCESSING; a lease older
+// than the timeout (worker crashed or server restarted mid-job) is released
+// back to NEW and picked up by the next drain.
+//
+// Configuration (environment):
+//   CLAIMAI_IMPORT_LEASE_MINUTES  minutes after which a PROCESSING job counts as abandoned, default 15
+
+import cds from '@sap/cds';
+import path from 'node:path';
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import { toBuffer } from '../utils/binary.js';
+import { allocateClaimNumber } from './claim-number.js';
+import { checkPolicyCoverage, findPolicy } from './policy-coverage.js';
+import { DEFAULT_CURRENCY, loadCurrencyConverter, type CurrencyConverter } from './exchange-rates.js';
+
+type LoggerLike = Console | { log?: (...args: unknown[]) => void; warn?: (...args: unknown[]) => void; error?: (...args: unknown[]) => void };
+
+export type ImportStatus = 'NEW' | 'PROCESSING' | 'DONE' | 'ERROR';
+
+export interface WorkbookSheet {
+  sheetName: string;
+  data?: unknown;
+  error?: string;
+}
+
+export interface WorkbookContent {
+  describe: unknown;
+  sheets: WorkbookSheet[];
+}
+
+export type WorkbookLoader = (filePath: string) => Promise<WorkbookContent>;
+
+export interface ImportLogEntry {
+  at: string;
+  level: 'info' | 'warn' | 'error';
+  step: string;
+  message: string;
+  [key: string]: unknown;
+}
+
+export interface CostLine {
+  posNo: number | null;
+  category: string | null;
+  item: string | null;
+  qty: number | null;
+  unitPrice: number | null;
+  laborHours: number | null;
+  laborRate: number | null;
+  lineTotal: number | null;
+  note: string | null;
+}
+
+export interface ClaimHeaderMapping {
+  fields: Record<string, unknown>;
+  parts: number | null;
+  labor: number | null;
+  total: number | null;
+  currency: string | null;
+}
+
+export interface ExcelImportWorkerOptions {
+  loadWorkbook: WorkbookLoader;
+  workDir: string;
+  intervalMs?: number;
+  /** Age of a PROCESSING lease after which the job is reset to NEW. */
+  leaseMs?: number;
+  logger?: LoggerLike;
+}
+
+export interface MappingConversions {
+  /** Currency of the workbook amounts; overrides the Currency column. */
+  currency?: string;
+  /** Currency the amounts are converted into (rate from `rates` or the ExchangeRates table). */
+  targetCurrency?: string;
+  /** Fixed conversion rates per source currency code (1 unit source = rate units target). */
+  rates?: Record<string, number>;
+  /** Factor applied to all amounts, e.g. 0.01 for sheets in Rappen. */
+  amountFactor?: number;
+  /** Factor applied to labor hours, e.g. 0.0166667 when the garage lists minutes. */
+  laborHoursFactor?: number;
+}
+
+/**
+ * Describes how a garage workbook maps onto a claim. Header aliases are keyed
+ * by Claims element (plus total/parts/labor/currency), position aliases by
+ * CostLine property. Cell anchors ("B4" or "Sheet!B4") read single header
+ * values from fixed cells and win over column matches.
+ */
+export interface MappingProfile {
+  name: string;
+  headerSheets: string[];
+  positionSheets: string[];
+  headerAliases: Record<string, string[]>;
+  positionAliases: Record<string, string[]>;
+  cellAnchors: Record<string, string>;
+  conversions: MappingConversions;
+}
+
+export interface WorkbookMapping {
+  profile: string;
+  headerSheet: string | null;
+  positionSheet: string | null;
+  header: ClaimHeaderMapping;
+  lines: CostLine[];
+  warnings: string[];
+}
+
+const DEFAULT_INTERVAL_MS = 30_000;
+const DEFAULT_LEASE_MINUTES = 15;
+
+const leaseTimeoutMs = (): number => {
+  const minutes = Number(process.env.CLAIMAI_IMPORT_LEASE_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_LEASE_MINUTES) * 60_000;
+};
+
+const HEADER_AMOUNT_KEYS = ['total', 'parts', 'labor', 'currency'];
+
+export const DEFAULT_MAPPING_PROFILE: MappingProfile = {
+  name: 'default',
+  headerSheets: ['ClaimHeader', 'Header', 'Kopf', 'Schadenkopf'],
+  positionSheets: ['Positions', 'Positionen', 'Kalkulation', 'Lines'],
+  headerAliases: {
+    claim_number: ['ClaimNumber', 'Schadennummer'],
+    policy_number: ['PolicyNumber', 'Policennummer'],
+    claimant_name: ['ClaimantName', 'Versicherungsnehmer'],
+    claimant_email: ['ClaimantEmail'],
+    claimant_phone: ['ClaimantPhone'],
+    vehicle_license: ['VehicleLicense', 'Kennzeichen'],
+    vehicle_vin: ['VIN', 'Fahrgestellnummer'],
+    incident_date: ['IncidentDate', 'Schadendatum'],
+    incident_location: ['IncidentLocation', 'Schadenort'],
+    description_short: ['Description', 'Beschreibung'],
+    notes: ['Notes', 'Bemerkungen'],
+    total: ['Total', 'Gesamttotal'],
+    parts: ['PartsSum', 'Teilesumme'],
+    labor: ['LaborSum', 'Lohnsumme'],
+    currency: ['Currency', 'Währung']
+  },
+  positionAliases: {
+    posNo: ['PosNo', 'Pos'],
+    category: ['Category', 'Kategorie'],
+    item: ['Item', 'Bezeichnung'],
+    qty: ['Qty', 'Menge'],
+    unitPrice: ['UnitPrice', 'Einzelpreis'],
+    laborHours: ['LaborHours', 'Stunden'],
+    laborRate: ['LaborRate', 'Stundensatz'],
+    lineTotal: ['LineTotal', 'Betrag'],
+    note: ['Notes', 'Bemerkung']
+  },
+  cellAnchors: {},
+  conversions: {}
+};
+
+export const logEntry = (level: ImportLogEntry['level'], step: string, message: string, extra: Record<string, unknown> = {}): ImportLogEntry => ({
+  at: new Date().toISOString(),
+  level,
+  step,
+  message,
+  ...extra
+});
+
+export const appendLog = (previous: string | null | undefined, entries: ImportLogEntry[]): string => {
+  const lines = entries.map((entry) => JSON.stringify(entry));
+  return [previous || '', ...lines].filter(Boolean).join('\n');
+};
+
+const errorMessage = (err: unknown): string => {
+  if (err && typeof err === 'object' && 'message' in err) {
+    const message = (err as { message?: unknown }).message;
+    return typeof message === 'string' ? message : String(message);
+  }
+  return String(err);
+};
+
+export const htmlTableToRows = (html: string): string[][] => {
+  const rows: string[][] = [];
+  const trRe = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
+  let trMatch: RegExpExecArray | null;
+  while ((trMatch = trRe.exec(html))) {
+    const cells: string[] = [];
+    const tdRe = /<(?:td|th)[^>]*>([\s\S]*?)<\/(?:td|th)>/gi;
+    let tdMatch: RegExpExecArray | null;
+    while ((tdMatch = tdRe.exec(trMatch[1]))) {
+      cells.push(tdMatch[1].replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').trim());
+    }
+    if (cells.length) rows.push(cells);
+  }
+  return rows;
+};
+
+/**
+ * Normalizes the sheet payload of the Excel reader (HTML table text from the
+ * Excel MCP server, or plain row arrays) into a string matrix.
+ */
+export const toSheetRows = (data: unknown): string[][] => {
+  if (data === null || data === undefined) return [];
+  if (typeof data === 'string') return htmlTableToRows(data);
+  if (Array.isArray(data)) {
+    if (data.every((row) => Array.isArray(row))) {
+      return (data as unknown[][]).map((row) => row.map((cell) => (cell === null || cell === undefined ? '' : String(cell).trim())));
+    }
+    return data.flatMap((entry) => toSheetRows(entry));
+  }
+  if (typeof data === 'object') {
+    const record = data as Record<string, unknown>;
+    if (record.rows !== undefined) return toSheetRows(record.rows);
+    if (record.text !== undefined) return toSheetRows(record.text);
+  }
+  return [];
+};
+
+/** Parses amounts in Swiss/German notation, e.g. 13'100.00, 1.234,50 or 920.5. */
+export const parseAmount = (raw: unknown): number | null => {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+  if (typeof raw !== 'string') return null;
+  let text = raw.replace(/[\s'’]/g, '').replace(/[^0-9.,-]/g, '');
+  if (!text) return null;
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+/** Accepts ISO timestamps and dd.mm.yyyy[ hh:mm] (local Swiss notation). */
+export const parseDateTime = (raw: unknown): string | null => {
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+  const text = raw.trim();
+  const swiss = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+  if (swiss) {
+    const [, d, m, y, hh = '0', mm = '0'] = swiss;
+    const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm)));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const normalizeHeader = (value: string): string => value.replace(/[\s_-]+/g, '').toLowerCase();
+
+const findHeaderRow = (rows: string[][], expected: string[]): number => {
+  const wanted = new Set(expected.map(normalizeHeader));
+  let bestIndex = -1;
+  let bestHits = 0;
+  rows.forEach((row, index) => {
+    const hits = row.filter((cell) => wanted.has(normalizeHeader(cell))).length;
+    if (hits > bestHits) {
+      bestHits = hits;
+      bestIndex = index;
+    }
+  });
+  return bestHits >= 2 ? bestIndex : -1;
+};
+
+/** Returns a lookup resolving a mapping key to the first column matching one of its aliases. */
+const columnIndex = (headerRow: string[], aliases: Record<string, string[]>) => {
+  const index = new Map<string, number>();
+  headerRow.forEach((cell, i) => {
+    const key = normalizeHeader(cell);
+    if (key && !index.has(key)) index.set(key, i);
+  });
+  return (name: string): number => {
+    for (const alias of aliases[name] || [name]) {
+      const i = index.get(normalizeHeader(alias));
+      if (i !== undefined) return i;
+    }
+    return -1;
+  };
+};
+
+export const findSheet = (workbook: WorkbookContent, candidates: string[]): WorkbookSheet | null => {
+  const wanted = candidates.map((name) => name.trim().toLowerCase());
+  for (const name of wanted) {
+    const sheet = workbook.sheets.find((entry) => String(entry.sheetName || '').trim().toLowerCase() === name);
+    if (sheet) return sheet;
+  }
+  return null;
+};
+
+const parseHeaderValue = (element: string, value: string): unknown => (element === 'incident_date' ? parseDateTime(value) : value);
+
+export const mapClaimHeader = (rows: string[][], profile: MappingProfile = DEFAULT_MAPPING_PROFILE): ClaimHeaderMapping | null => {
+  const aliases = profile.headerAliases;
+  const headerIndex = findHeaderRow(rows, Object.values(aliases).flat());
+  if (headerIndex < 0) return null;
+  const values = rows.slice(headerIndex + 1).find((row) => row.some((cell) => cell)) || [];
+  const col = columnIndex(rows[headerIndex], aliases);
+  const pick = (name: string): string | null => {
+    const i = col(name);
+    const value = i >= 0 ? (values[i] ?? '').trim() : '';
+    return value || null;
+  };
+
+  const fields: Record<string, unknown> = {};
+  for (const element of Object.keys(aliases)) {
+    if (HEADER_AMOUNT_KEYS.includes(element)) continue;
+    const value = pick(element);
+    if (value === null) continue;
+    fields[element] = parseHeaderValue(element, value);
+  }
+  const total = parseAmount(pick('total'));
+  if (total !== null) fields.estimated_cost = total;
+
+  return {
+    fields,
+    parts: parseAmount(pick('parts')),
+    labor: parseAmount(pick('labor')),
+    total,
+    currency: pick('currency')
+  };
+};
+
+export const mapCostLines = (rows: string[][], profile: MappingProfile = DEFAULT_MAPPING_PROFILE): CostLine[] => {
+  const aliases = profile.positionAliases;
+  const headerIndex = findHeaderRow(rows, Object.values(aliases).flat());
+  if (headerIndex < 0) return [];
+  const col = columnIndex(rows[headerIndex], aliases);
+  const cell = (row: string[], name: string): string | null => {
+    const i = col(name);
+    const value = i >= 0 ? (row[i] ?? '').trim() : '';
+    return value || null;
+  };
+  return rows.slice(headerIndex + 1)
+    .filter((row) => cell(row, 'item') || cell(row, 'lineTotal'))
+    .map((row) => {
+      const qty = parseAmount(cell(row, 'qty'));
+      const unitPrice = parseAmount(cell(row, 'unitPrice'));
+      const laborHours = parseAmount(cell(row, 'laborHours'));
+      const laborRate = parseAmount(cell(row, 'laborRate'));
+      // Formula cells without cached value arrive empty; recompute them
+      let lineTotal = parseAmount(cell(row, 'lineTotal'));
+      if (lineTotal === null && qty !== null && unitPrice !== null) lineTotal = Math.round(qty * unitPrice * 100) / 100;
+      if (lineTotal === null && laborHours !== null && laborRate !== null) lineTotal = Math.round(laborHours * laborRate * 100) / 100;
+      return {
+        posNo: parseAmount(cell(row, 'posNo')),
+        category: cell(row, 'category'),
+        item: cell(row, 'item'),
+        qty,
+        unitPrice,
+        laborHours,
+        laborRate,
+        lineTotal,
+        note: cell(row, 'note')
+      };
+    });
+};
+
+const sum = (values: Array<number | null>): number | null => {
+  const numbers = values.filter((value): value is number => typeof value === 'number');
+  return numbers.length ? Math.round(numbers.reduce((acc, value) => acc + value, 0) * 100) / 100 : null;
+};
+
+const round2 = (value: number | null): number | null => (value === null ? null : Math.round(value * 100) / 100);
+
+/** Reads an anchor like "B4" or "Kopf!B4" from the (A1-based) sheet rows. */
+const readAnchor = (workbook: WorkbookContent, fallbackSheet: WorkbookSheet | null, anchor: string): string | null => {
+  const match = anchor.trim().match(/^(?:'?([^'!]+)'?!)?\$?([A-Z]{1,3})\$?(\d+)$/i);
+  if (!match) return null;
+  const [, sheetName, column, row] = match;
+  const sheet = sheetName ? findSheet(workbook, [sheetName]) : fallbackSheet;
+  if (!sheet) return null;
+  const columnIndex = column.toUpperCase().split('').reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+  const value = toSheetRows(sheet.data)[Number(row) - 1]?.[columnIndex];
+  return value ? value.trim() || null : null;
+};
+
+const parseJsonField = <T>(raw: unknown, fallback: T): T => {
+  if (raw === null || raw === undefined || raw === '') return fallback;
+  if (typeof raw !== 'string') return raw as T;
+  return JSON.parse(raw) as T;
+};
+
+const mergeAliases = (own: Record<string, string[]>, defaults: Record<string, string[]>): Record<string, string[]> => {
+  const merged: Record<string, string[]> = {};
+  for (const key of new Set([...Object.keys(own), ...Object.keys(defaults)])) {
+    const ownAliases = Array.isArray(own[key]) ? own[key] : typeof own[key] === 'string' ? [own[key] as unknown as string] : [];
+    merged[key] = [...new Set([...ownAliases, ...(defaults[key] || [])])];
+  }
+  return merged;
+};
+
+/**
+ * Builds a MappingProfile from an ExcelMappingProfiles row. Profile settings
+ * take precedence; the built-in aliases and sheet names stay as fallback.
+ */
+export const profileFromRow = (row: Record<string, any>): MappingProfile => ({
+  name: row.name,
+  headerSheets: [...(row.headerSheet ? [row.headerSheet] : []), ...DEFAULT_MAPPING_PROFILE.headerSheets],
+  positionSheets: [...(row.positionSheet ? [row.positionSheet] : []), ...DEFAULT_MAPPING_PROFILE.positionSheets],
+  headerAliases: mergeAliases(parseJsonField(row.headerAliases, {}), DEFAULT_MAPPING_PROFILE.headerAliases),
+  positionAliases: mergeAliases(parseJsonField(row.positionAliases, {}), DEFAULT_MAPPING_PROFILE.positionAliases),
+  cellAnchors: parseJsonField(row.cellAnchors, {}),
+  conversions: parseJsonField(row.conversions, {})
+});
+
+/** Thrown by resolveMappingProfile for a target without a profile of that name. */
+export class MappingProfileNotFoundError extends Error {
+  constructor(readonly profileName: string) {
+    super(`Mapping profile "${profileName}" not found.`);
+    this.name = 'MappingProfileNotFoundError';
+  }
+}
+
+/**
+ * Resolves the mapping profile for an import target: the profile with that
+ * name, else the profile flagged isDefault, else the built-in default.
+ */
+export const resolveMappingProfile = async (tx: cds.Service, target?: string | null): Promise<MappingProfile> => {
+  const name = (target || '').trim();
+  const row = name
+    ? await tx.run(SELECT.one.from('kfz.claims.ExcelMappingProfiles').where({ name }))
+    : await tx.run(SELECT.one.from('kfz.claims.ExcelMappingProfiles').where({ isDefault: true }));
+  if (row) return profileFromRow(row);
+  if (name && name !== DEFAULT_MAPPING_PROFILE.name) {
+    throw new MappingProfileNotFoundError(name);
+  }
+  return DEFAULT_MAPPING_PROFILE;
+};
+
+/**
+ * Applies amount/labor factors and the currency conversion of the profile in
+ * place. Profile rates take precedence over the ExchangeRates table.
+ */
+const applyConversions = (
+  header: ClaimHeaderMapping,
+  lines: CostLine[],
+  conversions: MappingConversions,
+  warnings: string[],
+  exchangeRates?: CurrencyConverter
+) => {
+  const source = (conversions.currency || header.currency || DEFAULT_CURRENCY).toUpperCase();
+  let factor = conversions.amountFactor ?? 1;
+  let currency = source;
+  const target = conversions.targetCurrency?.toUpperCase();
+  if (target && target !== source) {
+    const rate = conversions.rates?.[source] ?? exchangeRates?.rate(source, target) ?? null;
+    if (typeof rate === 'number' && rate > 0) {
+      factor *= rate;
+      currency = target;
+    } else {
+      warnings.push(`No conversion rate ${source} -> ${target}; amounts kept in ${source}.`);
+    }
+  }
+  const hoursFactor = conversions.laborHoursFactor ?? 1;
+  const convert = (value: number | null) => (value === null || factor === 1 ? value : round2(value * factor));
+
+  header.total = convert(header.total);
+  header.parts = convert(header.parts);
+  header.labor = convert(header.labor);
+  header.currency = currency;
+  header.fields.currency_code = currency;
+  if (header.total !== null) header.fields.estimated_cost = header.total;
+  for (const line of lines) {
+    line.unitPrice = convert(line.unitPrice);
+    line.laborRate = convert(line.laborRate);
+    line.lineTotal = convert(line.lineTotal);
+    if (line.laborHours !== null && hoursFactor !== 1) line.laborHours = round2(line.laborHours * hoursFactor);
+  }
+};
+
+/**
+ * Maps a workbook onto claim fields and cost lines using the given profile.
+ * Throws when neither a header row nor an anchored cell yields claim data.
+ */
+export const mapWorkbook = (
+  workbook: WorkbookContent,
+  profile: MappingProfile = DEFAULT_MAPPING_PROFILE,
+  exchangeRates?: CurrencyConverter
+): WorkbookMapping => {
+  const warnings: string[] = [];
+  const headerSheet = findSheet(workbook, profile.headerSheets) || workbook.sheets[0] || null;
+  const header: ClaimHeaderMapping = (headerSheet && mapClaimHeader(toSheetRows(headerSheet.data), profile))
+    || { fields: {}, parts: null, labor: null, total: null, currency: null };
+
+  for (const [key, anchor] of Object.entries(profile.cellAnchors || {})) {
+    const value = readAnchor(workbook, headerSheet, anchor);
+    if (value === null) {
+      warnings.push(`Cell anchor ${key} (${anchor}) is empty or unknown.`);
+      continue;
+    }
+    if (key === 'total' || key === 'parts' || key === 'labor') {
+      header[key] = parseAmount(value);
+    } else if (key === 'currency') {
+      header.currency = value;
+    } else {
+      header.fields[key] = parseHeaderValue(key, value);
+    }
+  }
+  if (!Object.keys(header.fields).length && header.total === null) {
+    throw new Error(`No ClaimHeader sheet with recognizable columns found (profile "${profile.name}").`);
+  }
+
+  const positionSheet = findSheet(workbook, profile.positionSheets);
+  const lines = positionSheet ? mapCostLines(toSheetRows(positionSheet.data), profile) : [];
+  if (header.total === null && lines.length) header.total = sum(lines.map((line) => line.lineTotal));
+  applyConversions(header, lines, profile.conversions || {}, warnings, exchangeRates);
+
+  return {
+    profile: profile.name,
+    headerSheet: headerSheet?.sheetName || null,
+    positionSheet: positionSheet?.sheetName || null,
+    header,
+    lines,
+    warnings
+  };
+};
+
+/**
+ * Fields the import may write into an existing claim: empty claim fields are
+ * filled, the calculated cost is always taken over, other values are kept.
+ */
+export const mergeClaimFields = (claim: Record<string, any>, fields: Record<string, unknown>) => {
+  const updates: Record<string, unknown> = {};
+  const keptExisting: string[] = [];
+  for (const [element, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) continue;
+    if (element === 'estimated_cost' || claim[element] === null || claim[element] === undefined || claim[element] === '') {
+      updates[element] = value;
+    } else if (String(claim[element]) !== String(value)) {
+      keptExisting.push(element);
+    }
+  }
+  return { updates, keptExisting };
+};
+
+/**
+ * Mapped fields for an existing claim: the claim keeps its currency and the
+ * calculated cost is converted into it. Without a rate the cost is skipped.
+ */
+export const alignToClaimCurrency = (
+  fields: Record<string, unknown>,
+  claimCurrency: string | null | undefined,
+  exchangeRates: CurrencyConverter,
+  warnings: string[]
+): Record<string, unknown> => {
+  const { currency_code: mappedCurrency, ...aligned } = fields;
+  const source = String(mappedCurrency || DEFAULT_CURRENCY).toUpperCase();
+  const target = String(claimCurrency || DEFAULT_CURRENCY).toUpperCase();
+  if (source === target || aligned.estimated_cost === null || aligned.estimated_cost === undefined) return aligned;
+  const converted = exchangeRates.convert(Number(aligned.estimated_cost), source, target);
+  if (converted === null) {
+    warnings.push(`No exchange rate ${source} -> ${target}; estimated cost not taken over.`);
+    delete aligned.estimated_cost;
+  } else {
+    aligned.estimated_cost = converted;
+  }
+  return aligned;
+};
+
+/** ClaimDocuments payload (doc_type "kalkulation") for a mapped calculation. */
+export const calculationDocument = (header: ClaimHeaderMapping, lines: CostLine[], fileName: string | null, extra: Record<string, unknown> = {}) => ({
+  filename: fileName,
+  doc_type: 'kalkulation',
+  parsed_meta: JSON.stringify({
+    total: header.total,
+    parts: header.parts ?? sum(lines.filter((line) => !line.laborHours).map((line) => line.lineTotal)),
+    labor: header.labor ?? sum(lines.filter((line) => line.laborHours).map((line) => line.lineTotal)),
+    currency: header.currency || 'CHF',
+    lines,
+    ...extra
+  }),
+  extracted_text: lines.length
+    ? `Positionen: ${lines.map((line) => line.item).filter(Boolean).join(', ')}`
+    : null
+});
+
+export class ExcelImportWorker {
+  private readonly loadWorkbook: WorkbookLoader;
+  private readonly workDir: string;
+  private readonly intervalMs: number;
+  private readonly leaseMs: number;
+  private readonly logger: LoggerLike;
+  private timer: NodeJS.Timeout | null;
+  private running: Promise<void> | null;
+  private pending: boolean;
+
+  constructor({ loadWorkbook, workDir, intervalMs = DEFAULT_INTERVAL_MS, leaseMs = leaseTimeoutMs(), logger = console }: ExcelImportWorkerOptions) {
+    this.loadWorkbook = loadWorkbook;
+    this.workDir = workDir;
+    this.intervalMs = intervalMs;
+    this.leaseMs = leaseMs;
+    this.logger = logger;
+    this.timer = null;
+    this.running = null;
+    this.pending = false;
+  }
+
+  start(): void {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.trigger(), this.intervalMs);
+    this.timer.unref?.();
+    this.trigger();
+  }
+
+  async stop(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.running?.catch(() => {});
+  }
+
+  /** Schedules a drain of all NEW jobs; calls while a drain is running are coalesced. */
+  trigger(): void {
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+    this.running = new Promise<void>((resolve) => setImmediate(resolve))
+      .then(() => this.drain())
+      .catch((error) => this.logger.error?.('[ExcelImport] drain failed:', errorMessage(error)))
+      .finally(() => {
+        this.running = null;
+        if (this.pending) {
+          this.pending = false;
+          this.trigger();
+        }
+      });
+  }
+
+  private async drain(): Promise<void> {
+    await this.releaseStaleJobs();
+    const queued = await cds.tx({}, (tx) => tx.run(
+      SELECT.from('kfz.claims.ExcelImports').columns('ID').where({ status: 'NEW' }).orderBy('createdAt asc')
+    )) as Array<{ ID: string }>;
+    for (const job of queued || []) {
+      await this.processJob(job.ID);
+    }
+  }
+
+  /** Claims the job (NEW -> PROCESSING) so concurrent workers never process it twice. */
+  private async claimJob(importId: string): Promise<boolean> {
+    const affected = await cds.tx({}, (tx) => tx.run(
+      UPDATE('kfz.claims.ExcelImports').set({ status: 'PROCESSING', processingStartedAt: new Date().toISOString() }).where({ ID: importId, status: 'NEW' })
+    ));
+    return Number(affected) > 0;
+  }
+
+  /** Resets PROCESSING jobs whose lease is older than the timeout (or has no start time) to NEW. */
+  private async releaseStaleJobs(): Promise<void> {
+    const cutoff = new Date(Date.now() - this.leaseMs).toISOString();
+    await cds.tx({}, async (tx) => {
+      const stale = await tx.run(
+        SELECT.from('kfz.claims.ExcelImports').columns('ID', 'log', 'processingStartedAt')
+          .where({ status: 'PROCESSING' })
+          .and({ processingStartedAt: { '<': cutoff }, or: { processingStartedAt: null } })
+      ) as Array<{ ID: string; log: string | null; processingStartedAt: string | null }>;
+      for (const job of stale || []) {
+        this.logger.warn?.(`[ExcelImport] job ${job.ID} was left in PROCESSING since ${job.processingStartedAt ?? 'unknown'}; requeued`);
+        await tx.run(UPDATE('kfz.claims.ExcelImports').set({
+          status: 'NEW',
+          processingStartedAt: null,
+          log: appendLog(job.log, [logEntry('warn', 'requeue', 'Processing lease expired; job requeued', { leaseStartedAt: job.processingStartedAt })])
+        }).where({ ID: job.ID, status: 'PROCESSING' }));
+      }
+    });
+  }
+
+  /**
+   * Maps an attachment with the profile selected by target without touching any
+   * claim data. Reads run through `db`, i.e. the caller's transaction when
+   * invoked from a request handler.
+   */
+  async preview(attachmentId: string, target?: string | null, db: cds.Service = cds.db): Promise<WorkbookMapping & { fileName: string | null }> {
+    const attachment = await this.loadAttachment(db, attachmentId);
+    return this.previewContent(attachment.fileName || null, attachment.content, target, db);
+  }
+
+  /** Like preview, for file content that is not (yet) stored as an active attachment. */
+  async previewContent(
+    fileName: string | null,
+    content: Buffer,
+    target?: string | null,
+    db: cds.Service = cds.db
+  ): Promise<WorkbookMapping & { fileName: string | null }> {
+    const profile = await resolveMappingProfile(db, target);
+    const exchangeRates = await loadCurrencyConverter(db);
+    const workbook = await this.readWorkbook({ fileName, content }, null, `preview-${cds.utils.uuid()}`);
+    return { ...mapWorkbook(workbook, profile, exchangeRates), fileName };
+  }
+
+  private async loadAttachment(db: cds.Service, attachmentId: string): Promise<Record<string, any>> {
+    const attachment = await db.run(
+      SELECT.one.from('kfz.claims.Attachments')
+        .columns('ID', 'fileName', 'content', 'refClaim_ID')
+        .where({ ID: attachmentId })
+    );
+    if (!attachment) {
+      throw new Error(`Attachment ${attachmentId} not found.`);
+    }
+    attachment.content = await toBuffer(attachment.content);
+    if (!attachment.content.length) {
+      throw new Error(`Attachment ${attachment.ID} has no content.`);
+    }
+    return attachment;
+  }
+
+  /** Writes the attachment content to the work dir and reads it with the configured loader. */
+  private async readWorkbook(attachment: Record<string, any>, fallbackName: string | null, tempName: string): Promise<WorkbookContent> {
+    await mkdir(this.workDir, { recursive: true });
+    const ext = path.extname(attachment.fileName || fallbackName || '') || '.xlsx';
+    const filePath = path.join(this.workDir, `${tempName}${ext}`);
+    try {
+      await writeFile(filePath, attachment.content);
+      return await this.loadWorkbook(filePath);
+    } finally {
+      await rm(filePath, { force: true }).catch(() => {});
+    }
+  }
+
+  async processJob(importId: string): Promise<void> {
+    if (!(await this.claimJob(importId))) return;
+
+    const entries: ImportLogEntry[] = [logEntry('info', 'start', 'Import started')];
+    try {
+      const job = await cds.tx({}, (tx) => tx.run(SELECT.one.from('kfz.claims.ExcelImports').where({ ID: importId })));
+      if (!job?.attachment_ID) {
+        throw new Error('Import job has no attachment.');
+      }
+      const profile = await cds.tx({}, (tx) => resolveMappingProfile(tx, job.target));
+      const exchangeRates = await cds.tx({}, (tx) => loadCurrencyConverter(tx));
+      const attachment = await cds.tx({}, (tx) => this.loadAttachment(tx, job.attachment_ID));
+      const workbook = await this.readWorkbook(attachment, job.fileName, importId);
+      entries.push(logEntry('info', 'read', `Workbook read with ${workbook.sheets.length} sheet(s)`, {
+        sheets: workbook.sheets.map((sheet) => sheet.sheetName)
+      }));
+
+      const { header, lines, headerSheet, positionSheet, warnings } = mapWorkbook(workbook, profile, exchangeRates);
+      entries.push(logEntry('info', 'map', `Mapped ${Object.keys(header.fields).length} claim field(s) and ${lines.length} cost line(s)`, {
+        profile: profile.name,
+        headerSheet,
+        positionSheet
+      }));
+      for (const warning of warnings) entries.push(logEntry('warn', 'map', warning));
+
+      const claimId = await cds.tx({}, (tx) => this.applyToClaim(tx, {
+        refClaimId: attachment.refClaim_ID || null,
+        fileName: attachment.fileName || job.fileName || null,
+        importId,
+        header,
+        lines,
+        entries,
+        exchangeRates
+      }));
+
+      const rowsImported = 1 + lines.length;
+      entries.push(logEntry('info', 'done', `Import finished (${rowsImported} row(s))`, { claimId }));
+      await cds.tx({}, async (tx) => {
+        const current = await tx.run(SELECT.one.from('kfz.claims.ExcelImports').columns('log').where({ ID: importId }));
+        await tx.run(UPDATE('kfz.claims.ExcelImports').set({
+          status: 'DONE',
+          rowsImported,
+          claim_ID: claimId,
+          log: appendLog(current?.log, entries)
+        }).where({ ID: importId }));
+      });
+    } catch (error) {
+      this.logger.warn?.(`[ExcelImport] job ${importId} failed:`, errorMessage(error));
+      entries.push(logEntry('error', 'failed', errorMessage(error)));
+      await cds.tx({}, async (tx) => {
+        const current = await tx.run(SELECT.one.from('kfz.claims.ExcelImports').columns('log').where({ ID: importId }));
+        await tx.run(UPDATE('kfz.claims.ExcelImports').set({
+          status: 'ERROR',
+          rowsImported: 0,
+          log: appendLog(current?.log, entries)
+        }).where({ ID: importId }));
+      }).catch((err) => this.logger.error?.('[ExcelImport] failed to record job error:', errorMessage(err)));
+    }
+  }
+
+  /**
+   * Resolves the target claim (linked attachment, then claim number, else a new
+   * claim), fills empty claim fields, always takes over the calculated cost and
+   * stores the calculation as ClaimDocuments row. Returns the claim ID.
+   */
+  private async applyToClaim(tx: cds.Transaction, input: {
+    refClaimId: string | null;
+    fileName: string | null;
+    importId: string;
+    header: ClaimHeaderMapping;
+    lines: CostLine[];
+    entries: ImportLogEntry[];
+    exchangeRates: CurrencyConverter;
+  }): Promise<string> {
+    const { refClaimId, fileName, importId, header, lines, entries, exchangeRates } = input;
+    const claimNumber = typeof header.fields.claim_number === 'string' ? header.fields.claim_number : null;
+
+    let claim: Record<string, any> | null = null;
+    if (refClaimId) {
+      claim = await tx.run(SELECT.one.from('kfz.claims.Claims').where({ ID: refClaimId }));
+    }
+    if (!claim && claimNumber) {
+      claim = await tx.run(SELECT.one.from('kfz.claims.Claims').where({ claim_number: claimNumber }));
+    }
+
+    let claimId: string;
+    if (claim) {
+      claimId = claim.ID;
+      const currencyWarnings: string[] = [];
+      const fields = alignToClaimCurrency(header.fields, claim.currency_code, exchangeRates, currencyWarnings);
+      for (const warning of currencyWarnings) entries.push(logEntry('warn', 'currency', warning));
+      const { updates, keptExisting } = mergeClaimFields(claim, fields);
+      if (Object.keys(updates).length) {
+        await tx.run(UPDATE('kfz.claims.Claims').set(updates).where({ ID: claimId }));
+      }
+      entries.push(logEntry('info', 'claim', `Updated claim ${claim.claim_number || claimId}`, {
+        claimId,
+        updated: Object.keys(updates),
+        keptExisting
+      }));
+    } else {
+      claimId = cds.utils.uuid();
+      const receivedAt = new Date().toISOString();
+      const number = claimNumber || await allocateClaimNumber(tx, { vehicle_license: header.fields.vehicle_license as string, received_at: receivedAt });
+      await tx.run(INSERT.into('kfz.claims.Claims').entries({
+        ID: claimId,
+        status: 'Eingegangen',
+        received_at: receivedAt,
+        ...header.fields,
+        claim_number: number
+      }));
+      entries.push(logEntry('info', 'claim', `Created claim ${number}`, { claimId, allocatedNumber: !claimNumber }));
+    }
+
+    // Imports are not rejected on coverage problems; they are logged for review
+    const saved = await tx.run(
+      SELECT.one.from('kfz.claims.Claims').columns('policy_number', 'incident_date', 'vehicle_vin', 'vehicle_license').where({ ID: claimId })
+    );
+    const policy = await findPolicy(tx, saved?.policy_number);
+    await tx.run(UPDATE('kfz.claims.Claims').set({ policy_ID: policy?.ID ?? null }).where({ ID: claimId }));
+    if (saved?.policy_number && !policy) {
+      entries.push(logEntry('warn', 'policy', `Policy ${saved.policy_number} not found in Policies`));
+    }
+    for (const violation of policy ? checkPolicyCoverage(policy, saved) : []) {
+      entries.push(logEntry('warn', 'policy', violation.message, { field: violation.target }));
+    }
+
+    const documentId = cds.utils.uuid();
+    await tx.run(INSERT.into('kfz.claims.ClaimDocuments').entries({
+      ID: documentId,
+      claim_ID: claimId,
+      ...calculationDocument(header, lines, fileName, { importId })
+    }));
+    entries.push(logEntry('info', 'document', 'Stored calculation document', { documentId, lines: lines.length }));
+    return claimId;
+  }
+}
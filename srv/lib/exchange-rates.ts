@@ -0,0 +1,78 @@
+// srv/lib/exchange-rates.ts
+// Currency conversion with the local ExchangeRates table. A rate applies from
+// its valid_from date until the next entry of the same pair; the inverse pair
+// is used when only the opposite direction is maintained.
+//
+// Configuration (environment):
+//   CLAIMAI_REPORTING_CURRENCY  currency of reporting totals, default "CHF"
+
+import cds from '@sap/cds';
+
+export interface ExchangeRate {
+  source_code: string;
+  target_code: string;
+  rate: number | string;
+  valid_from: string;
+}
+
+export interface CurrencyConverter {
+  /** Rate from -> to effective at `date` (default today), null if none is maintained. */
+  rate(from: string, to: string, date?: string | Date | null): number | null;
+  /** Converts `amount` (rounded to 2 decimals); null if no rate is effective. */
+  convert(amount: number, from: string, to: string, date?: string | Date | null): number | null;
+}
+
+export const DEFAULT_CURRENCY = 'CHF';
+
+export const reportingCurrency = (): string =>
+  (process.env.CLAIMAI_REPORTING_CURRENCY || '').trim().toUpperCase() || DEFAULT_CURRENCY;
+
+const toDay = (date: string | Date | null | undefined): string => {
+  const value = date ? new Date(date) : new Date();
+  return (Number.isNaN(value.getTime()) ? new Date() : value).toISOString().slice(0, 10);
+};
+
+const round2 = (value: number): number => Math.round(value * 100) / 100;
+
+export const createCurrencyConverter = (rates: ExchangeRate[]): CurrencyConverter => {
+  // Per pair, sorted by valid_from descending
+  const pairs = new Map<string, Array<{ validFrom: string; rate: number }>>();
+  for (const row of rates) {
+    const rate = Number(row.rate);
+    if (!row.source_code || !row.target_code || !Number.isFinite(rate) || rate <= 0) continue;
+    const key = `${row.source_code.toUpperCase()}>${row.target_code.toUpperCase()}`;
+    const list = pairs.get(key) || [];
+    list.push({ validFrom: toDay(row.valid_from), rate });
+    pairs.set(key, list);
+  }
+  for (const list of pairs.values()) list.sort((a, b) => b.validFrom.localeCompare(a.validFrom));
+
+  const effectiveRate = (from: string, to: string, day: string): number | null =>
+    pairs.get(`${from}>${to}`)?.find((entry) => entry.validFrom <= day)?.rate ?? null;
+
+  const rate = (from: string, to: string, date?: string | Date | null): number | null => {
+    const source = (from || DEFAULT_CURRENCY).toUpperCase();
+    const target = (to || DEFAULT_CURRENCY).toUpperCase();
+    if (source === target) return 1;
+    const day = toDay(date);
+    const direct = effectiveRate(source, target, day);
+    if (direct !== null) return direct;
+    const inverse = effectiveRate(target, source, day);
+    return inverse !== null ? 1 / inverse : null;
+  };
+
+  return {
+    rate,
+    convert: (amount, from, to, date) => {
+      const factor = rate(from, to, date);
+      return factor === null ? null : round2(amount * factor);
+    }
+  };
+};
+
+export const loadCurrencyConverter = async (db: cds.Service): Promise<CurrencyConverter> => {
+  const rows = await db.run(
+    SELECT.from('kfz.claims.ExchangeRates').columns('source_code', 'target_code', 'rate', 'valid_from')
+  ) as ExchangeRate[];
+  return createCurrencyConverter(rows || []);
+};
@@ -0,0 +1,355 @@
+// srv/lib/fraud-scoring.ts
+// Rule-based, explainable fraud score. Each active FraudRules entry is
+// evaluated against a claim; every hit contributes its weight to fraud_score
+// (capped at 100) and is stored as ClaimFraudExplanations row with a German
+// message for reviewers and the evidence as JSON.
+
+import cds from '@sap/cds';
+import { DEFAULT_CURRENCY, loadCurrencyConverter, reportingCurrency } from './exchange-rates.js';
+import { DEFAULT_MAX_DISTANCE_KM, checkPhotoLocation, loadGazetteer, resolveLocation, type ResolvedLocation } from './geo-plausibility.js';
+
+export type FraudRuleCode = 'EXIF_DATE_MISMATCH' | 'DUPLICATE_VIN' | 'LATE_REPORTING' | 'COST_OUTLIER' | 'GEO_MISMATCH';
+
+export interface FraudRule {
+  code: string;
+  weight: number;
+  parameters: Record<string, any>;
+}
+
+export interface FraudRuleHit {
+  rule: string;
+  points: number;
+  message: string;
+  details: Record<string, unknown>;
+}
+
+export interface FraudScoreResult {
+  fraudScore: number;
+  hits: FraudRuleHit[];
+}
+
+export interface ClaimFacts {
+  ID: string;
+  claim_number?: string | null;
+  vehicle_vin?: string | null;
+  incident_date?: string | null;
+  incident_location?: string | null;
+  received_at?: string | null;
+  estimated_cost?: number | string | null;
+  currency_code?: string | null;
+  /** coverage_type of the resolved policy, the line of business COST_OUTLIER compares within. */
+  coverage_type?: string | null;
+}
+
+export interface PhotoFacts {
+  attachmentId: string;
+  fileName: string | null;
+  exif: Record<string, unknown>;
+}
+
+export interface PeerClaim {
+  ID: string;
+  claim_number?: string | null;
+  vehicle_vin?: string | null;
+  incident_date?: string | null;
+  estimated_cost?: number | string | null;
+  currency_code?: string | null;
+}
+
+export interface ScoringContext {
+  claim: ClaimFacts;
+  photos: PhotoFacts[];
+  /** Other claims with the same VIN (DUPLICATE_VIN). */
+  sameVehicle: PeerClaim[];
+  /** Other claims with a policy of the same coverage type (COST_OUTLIER). */
+  sameCoverage: PeerClaim[];
+  /** incident_location resolved against the gazetteer (GEO_MISMATCH). */
+  incidentPlace?: ResolvedLocation | null;
+}
+
+type RuleEvaluator = (context: ScoringContext, rule: FraudRule) => FraudRuleHit[];
+
+const HOUR_MS = 3_600_000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Used when the FraudRules table is empty (e.g. fresh database without seed)
+export const DEFAULT_FRAUD_RULES: FraudRule[] = [
+  { code: 'EXIF_DATE_MISMATCH', weight: 30, parameters: { toleranceHours: 48 } },
+  { code: 'DUPLICATE_VIN', weight: 25, parameters: { windowDays: 365 } },
+  { code: 'LATE_REPORTING', weight: 15, parameters: { maxDays: 30 } },
+  { code: 'COST_OUTLIER', weight: 20, parameters: { factor: 2.5, minPeers: 3 } },
+  { code: 'GEO_MISMATCH', weight: 25, parameters: { maxDistanceKm: DEFAULT_MAX_DISTANCE_KM } }
+];
+
+const toTime = (value: unknown): number | null => {
+  if (!value) return null;
+  const time = new Date(value as string).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const toNumber = (value: unknown): number | null => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const formatDate = (time: number): string => new Date(time).toISOString().slice(0, 16).replace('T', ' ');
+
+// Capture date tags by preference, each with the tag holding its UTC offset
+const EXIF_CAPTURE_TAGS: Array<[string, string]> = [
+  ['DateTimeOriginal', 'OffsetTimeOriginal'],
+  ['DateTimeDigitized', 'OffsetTimeDigitized'],
+  ['DateTime', 'OffsetTime']
+];
+
+const exifTag = (exif: Record<string, unknown>, tag: string): unknown =>
+  Object.entries(exif).find(([key]) => key.endsWith(`.${tag}`))?.[1];
+
+/**
+ * Capture time of a photo from EXIF ("YYYY:MM:DD HH:MM:SS"). EXIF carries no
+ * zone unless the matching OffsetTime tag is present; without it the value is
+ * read as UTC. Photos without date tags fall back to the GPS timestamp (UTC).
+ */
+export const exifCaptureTime = (exif: Record<string, unknown>): number | null => {
+  for (const [dateTag, offsetTag] of EXIF_CAPTURE_TAGS) {
+    const raw = exifTag(exif, dateTag);
+    const match = typeof raw === 'string' ? raw.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/) : null;
+    if (!match) continue;
+    const offset = exifTag(exif, offsetTag);
+    const zone = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : 'Z';
+    return toTime(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${zone}`);
+  }
+  const gps = exif['GPS.Timestamp'];
+  return typeof gps === 'string' ? toTime(gps) : null;
+};
+
+const median = (values: number[]): number => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const RULE_EVALUATORS: Record<FraudRuleCode, RuleEvaluator> = {
+  // Photo taken well before or after the reported incident
+  EXIF_DATE_MISMATCH: ({ claim, photos }, rule) => {
+    const incident = toTime(claim.incident_date);
+    if (incident === null) return [];
+    const toleranceMs = (toNumber(rule.parameters.toleranceHours) ?? 48) * HOUR_MS;
+    const mismatches = photos
+      .map((photo) => ({ photo, captured: exifCaptureTime(photo.exif) }))
+      .filter((entry): entry is { photo: PhotoFacts; captured: number } => entry.captured !== null)
+      .filter((entry) => Math.abs(entry.captured - incident) > toleranceMs);
+    if (!mismatches.length) return [];
+    const worst = mismatches.reduce((a, b) => (Math.abs(b.captured - incident) > Math.abs(a.captured - incident) ? b : a));
+    const days = Math.round(Math.abs(worst.captured - incident) / DAY_MS * 10) / 10;
+    const direction = worst.captured < incident ? 'vor' : 'nach';
+    return [{
+      rule: rule.code,
+      points: rule.weight,
+      message: `Foto "${worst.photo.fileName || worst.photo.attachmentId}" wurde laut EXIF ${days} Tage ${direction} dem Schadendatum aufgenommen (${mismatches.length} Foto(s) ausserhalb der Toleranz).`,
+      details: {
+        incidentDate: formatDate(incident),
+        toleranceHours: toleranceMs / HOUR_MS,
+        photos: mismatches.map(({ photo, captured }) => ({
+          attachmentId: photo.attachmentId,
+          fileName: photo.fileName,
+          capturedAt: formatDate(captured)
+        }))
+      }
+    }];
+  },
+
+  // Same vehicle already involved in other claims within the window
+  DUPLICATE_VIN: ({ claim, sameVehicle }, rule) => {
+    const vin = String(claim.vehicle_vin || '').trim().toUpperCase();
+    if (!vin) return [];
+    const windowMs = (toNumber(rule.parameters.windowDays) ?? 365) * DAY_MS;
+    const incident = toTime(claim.incident_date);
+    const duplicates = sameVehicle.filter((peer) => {
+      if (String(peer.vehicle_vin || '').trim().toUpperCase() !== vin) return false;
+      const peerIncident = toTime(peer.incident_date);
+      return incident === null || peerIncident === null || Math.abs(peerIncident - incident) <= windowMs;
+    });
+    if (!duplicates.length) return [];
+    return [{
+      rule: rule.code,
+      points: rule.weight,
+      message: `Fahrgestellnummer ${vin} ist bereits in ${duplicates.length} weiteren Schadenfall/-fällen erfasst (${duplicates.map((peer) => peer.claim_number || peer.ID).join(', ')}).`,
+      details: { vin, windowDays: windowMs / DAY_MS, claims: duplicates.map((peer) => ({ ID: peer.ID, claim_number: peer.claim_number ?? null })) }
+    }];
+  },
+
+  // Claim received long after the incident
+  LATE_REPORTING: ({ claim }, rule) => {
+    const incident = toTime(claim.incident_date);
+    const received = toTime(claim.received_at);
+    if (incident === null || received === null) return [];
+    const maxDays = toNumber(rule.parameters.maxDays) ?? 30;
+    const delayDays = Math.floor((received - incident) / DAY_MS);
+    if (delayDays <= maxDays) return [];
+    return [{
+      rule: rule.code,
+      points: rule.weight,
+      message: `Schaden wurde ${delayDays} Tage nach dem Ereignis gemeldet (Grenze ${maxDays} Tage).`,
+      details: { incidentDate: formatDate(incident), receivedAt: formatDate(received), delayDays, maxDays }
+    }];
+  },
+
+  // Estimated cost far above the median of the other claims of the same coverage type
+  COST_OUTLIER: ({ claim, sameCoverage }, rule) => {
+    const cost = toNumber(claim.estimated_cost);
+    if (cost === null || !claim.coverage_type) return [];
+    const factor = toNumber(rule.parameters.factor) ?? 2.5;
+    const minPeers = toNumber(rule.parameters.minPeers) ?? 3;
+    const peerCosts = sameCoverage.map((peer) => toNumber(peer.estimated_cost)).filter((value): value is number => value !== null && value > 0);
+    if (peerCosts.length < minPeers) return [];
+    const reference = median(peerCosts);
+    if (cost <= reference * factor) return [];
+    const ratio = Math.round(cost / reference * 10) / 10;
+    return [{
+      rule: rule.code,
+      points: rule.weight,
+      message: `Kalkulierter Schadenbetrag ${claim.currency_code ? `${claim.currency_code} ` : ''}${cost.toFixed(2)} liegt beim ${ratio}-fachen des Medians der ${peerCosts.length} weiteren ${claim.coverage_type}-Fälle (${reference.toFixed(2)}).`,
+      details: { estimatedCost: cost, currency: claim.currency_code ?? null, coverageType: claim.coverage_type, median: reference, factor, peers: peerCosts.length }
+    }];
+  },
+
+  // Photo GPS position far away from the incident location
+  GEO_MISMATCH: ({ claim, photos, incidentPlace }, rule) => {
+    if (!incidentPlace) return [];
+    const maxDistanceKm = toNumber(rule.parameters.maxDistanceKm) ?? DEFAULT_MAX_DISTANCE_KM;
+    const mismatches = photos
+      .map((photo) => ({ photo, check: checkPhotoLocation(photo.exif, incidentPlace, maxDistanceKm) }))
+      .filter((entry) => entry.check.status === 'MISMATCH');
+    if (!mismatches.length) return [];
+    const worst = mismatches.reduce((a, b) => ((b.check.distanceKm ?? 0) > (a.check.distanceKm ?? 0) ? b : a));
+    return [{
+      rule: rule.code,
+      points: rule.weight,
+      message: `Foto "${worst.photo.fileName || worst.photo.attachmentId}" wurde laut GPS ${worst.check.distanceKm} km vom Schadenort "${claim.incident_location}" (${incidentPlace.label}) entfernt aufgenommen (Grenze ${maxDistanceKm} km, ${mismatches.length} Foto(s) ausserhalb).`,
+      details: {
+        incidentLocation: claim.incident_location ?? null,
+        reference: { label: incidentPlace.label, matchedBy: incidentPlace.matchedBy, latitude: incidentPlace.place.latitude, longitude: incidentPlace.place.longitude },
+        maxDistanceKm,
+        photos: mismatches.map((entry) => ({
+          attachmentId: entry.photo.attachmentId,
+          fileName: entry.photo.fileName,
+          latitude: entry.check.position?.latitude ?? null,
+          longitude: entry.check.position?.longitude ?? null,
+          distanceKm: entry.check.distanceKm
+        }))
+      }
+    }];
+  }
+};
+
+/** Evaluates the rules against prepared claim facts (no database access). */
+export const evaluateFraudRules = (context: ScoringContext, rules: FraudRule[]): FraudScoreResult => {
+  const hits: FraudRuleHit[] = [];
+  for (const rule of rules) {
+    const evaluator = RULE_EVALUATORS[rule.code as FraudRuleCode];
+    if (!evaluator) continue;
+    hits.push(...evaluator(context, rule));
+  }
+  const total = hits.reduce((sum, hit) => sum + hit.points, 0);
+  return { fraudScore: Math.max(0, Math.min(100, Math.round(total))), hits };
+};
+
+const loadRules = async (db: cds.Service): Promise<FraudRule[]> => {
+  const rows = await db.run(SELECT.from('kfz.claims.FraudRules')) as Array<Record<string, any>>;
+  if (!rows?.length) return DEFAULT_FRAUD_RULES;
+  return rows
+    .filter((row) => row.active !== false)
+    .map((row) => {
+      let parameters: Record<string, any> = {};
+      try {
+        parameters = row.parameters ? JSON.parse(row.parameters) : {};
+      } catch {
+        parameters = {};
+      }
+      return { code: row.code, weight: Number(row.weight) || 0, parameters };
+    });
+};
+
+/** Stores the geo plausibility result of every photo on its Attachments row. */
+const recordPhotoLocations = async (
+  db: cds.Service,
+  photos: PhotoFacts[],
+  incidentPlace: ResolvedLocation | null,
+  maxDistanceKm: number
+): Promise<void> => {
+  for (const photo of photos) {
+    const check = checkPhotoLocation(photo.exif, incidentPlace, maxDistanceKm);
+    await db.run(UPDATE('kfz.claims.Attachments').set({
+      gpsLatitude: check.position?.latitude ?? null,
+      gpsLongitude: check.position?.longitude ?? null,
+      geoCheck: check.status,
+      geoDistanceKm: check.distanceKm,
+      geoReference: check.distanceKm !== null && incidentPlace ? incidentPlace.label.slice(0, 255) : null
+    }).where({ ID: photo.attachmentId }));
+  }
+};
+
+const PEER_COLUMNS = ['ID', 'claim_number', 'vehicle_vin', 'incident_date', 'estimated_cost', 'currency_code'];
+
+/**
+ * Recomputes fraud_score of an active claim within `db` and replaces its
+ * ClaimFraudExplanations rows with the current rule hits. `photos` are the
+ * image attachments with their stored EXIF (see loadClaimPhotos).
+ */
+export const applyFraudScore = async (db: cds.Service, claimId: string, photos: PhotoFacts[]): Promise<FraudScoreResult | null> => {
+  const claim = await db.run(
+    SELECT.one.from('kfz.claims.Claims')
+      .columns('ID', 'claim_number', 'vehicle_vin', 'incident_date', 'incident_location', 'received_at', 'estimated_cost', 'currency_code', 'policy.coverage_type as coverage_type')
+      .where({ ID: claimId })
+  ) as ClaimFacts | null;
+  if (!claim) return null;
+
+  const rules = await loadRules(db);
+  const active = new Set(rules.map((rule) => rule.code));
+  const vin = String(claim.vehicle_vin || '').trim().toUpperCase();
+  const sameVehicle = active.has('DUPLICATE_VIN') && vin
+    ? await db.run(
+      SELECT.from('kfz.claims.Claims').columns(...PEER_COLUMNS).where({ ID: { '!=': claimId } }).and('upper(trim(vehicle_vin)) =', vin)
+    ) as PeerClaim[]
+    : [];
+  const sameCoverage = active.has('COST_OUTLIER') && claim.coverage_type && claim.estimated_cost !== null && claim.estimated_cost !== undefined
+    ? await db.run(
+      SELECT.from('kfz.claims.Claims').columns(...PEER_COLUMNS)
+        .where({ ID: { '!=': claimId }, 'policy.coverage_type': claim.coverage_type, estimated_cost: { '>': 0 } })
+    ) as PeerClaim[]
+    : [];
+
+  // Costs are compared in the reporting currency; claims without a rate drop out
+  const rates = await loadCurrencyConverter(db);
+  const currency = reportingCurrency();
+  const inReportingCurrency = <T extends ClaimFacts | PeerClaim>(row: T): T => {
+    const cost = toNumber(row.estimated_cost);
+    if (cost === null) return row;
+    return { ...row, estimated_cost: rates.convert(cost, row.currency_code || DEFAULT_CURRENCY, currency), currency_code: currency };
+  };
+  const incidentPlace = claim.incident_location ? resolveLocation(claim.incident_location, await loadGazetteer(db)) : null;
+  const result = evaluateFraudRules({
+    claim: inReportingCurrency(claim),
+    photos,
+    sameVehicle: sameVehicle || [],
+    sameCoverage: (sameCoverage || []).map(inReportingCurrency),
+    incidentPlace
+  }, rules);
+  const geoRule = rules.find((rule) => rule.code === 'GEO_MISMATCH');
+  await recordPhotoLocations(db, photos, incidentPlace, toNumber(geoRule?.parameters.maxDistanceKm) ?? DEFAULT_MAX_DISTANCE_KM);
+
+  await db.run(DELETE.from('kfz.claims.ClaimFraudExplanations').where({ claim_ID: claimId }));
+  if (result.hits.length) {
+    await db.run(INSERT.into('kfz.claims.ClaimFraudExplanations').entries(result.hits.map((hit) => ({
+      ID: cds.utils.uuid(),
+      claim_ID: claimId,
+      rule: hit.rule,
+      points: hit.points,
+      message: hit.message,
+      details: JSON.stringify(hit.details)
+    }))));
+  }
+  await db.run(UPDATE('kfz.claims.Claims').set({ fraud_score: result.fraudScore }).where({ ID: claimId }));
+  return result;
+};
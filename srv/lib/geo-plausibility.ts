@@ -0,0 +1,161 @@
+// srv/lib/geo-plausibility.ts
+// Geo plausibility of claim photos: the GPS position from EXIF is compared with
+// the incident_location, resolved against the bundled gazetteer of Swiss
+// municipalities, localities and streets (GeoPlaces, seeded from db/data; no
+// online geocoding). The seed covers only a sample of the municipalities; a
+// location outside it stays UNRESOLVED, i.e. the photo is not checked. Used by
+// the GEO_MISMATCH fraud rule, which also stores the result of every photo on
+// its Attachments row.
+
+import cds from '@sap/cds';
+
+export type GeoPlaceKind = 'MUNICIPALITY' | 'LOCALITY' | 'STREET';
+
+export type GeoCheckStatus = 'OK' | 'MISMATCH' | 'NO_GPS' | 'UNRESOLVED';
+
+export interface GeoPlace {
+  name: string;
+  kind: GeoPlaceKind;
+  /** Municipality of a locality or street; the place itself for municipalities. */
+  municipality: string;
+  postalCode: string | null;
+  canton: string | null;
+  /** Other names of a municipality, comma separated (e.g. "Genf,Geneva"). */
+  aliases: string | null;
+  latitude: number;
+  longitude: number;
+}
+
+export interface GeoPosition {
+  latitude: number;
+  longitude: number;
+}
+
+export interface ResolvedLocation {
+  place: GeoPlace;
+  matchedBy: 'street' | 'municipality' | 'postal_code';
+  /** Readable name, e.g. "Pilatusstrasse, Luzern". */
+  label: string;
+}
+
+export interface PhotoGeoCheck {
+  status: GeoCheckStatus;
+  position: GeoPosition | null;
+  distanceKm: number | null;
+}
+
+export const DEFAULT_MAX_DISTANCE_KM = 10;
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Lower case words without accents and punctuation; umlauts and their
+ * transcriptions (ü/ue) fold together, "Str." becomes "strasse", "Sankt" "st".
+ */
+export const normalizePlaceText = (value: unknown): string => String(value ?? '')
+  .toLowerCase()
+  .replace(/ß/g, 'ss')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/([aou])e/g, '$1')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .replace(/str\b/g, 'strasse')
+  .replace(/\bsankt\b/g, 'st')
+  .trim();
+
+const namesOf = (place: GeoPlace): string[] => [place.name, ...String(place.aliases ?? '').split(',')]
+  .map(normalizePlaceText)
+  .filter(Boolean);
+
+/** Position of `name` as whole words in the normalized text, -1 if absent. */
+const wordIndex = (text: string, name: string): number => ` ${text} `.indexOf(` ${name} `);
+
+/**
+ * Resolves a free-text incident location ("Luzern, Pilatusstrasse", "6010
+ * Kriens") to a gazetteer place: the municipality named first (else the one of
+ * a postal code), refined to a street or locality of that municipality.
+ */
+export const resolveLocation = (location: string | null | undefined, places: GeoPlace[]): ResolvedLocation | null => {
+  const text = normalizePlaceText(location);
+  if (!text) return null;
+  const municipalities = places.filter((place) => place.kind === 'MUNICIPALITY');
+
+  let municipality: GeoPlace | null = null;
+  let matchedBy: ResolvedLocation['matchedBy'] = 'municipality';
+  let bestIndex = Number.POSITIVE_INFINITY;
+  let bestLength = 0;
+  for (const place of municipalities) {
+    for (const name of namesOf(place)) {
+      const index = wordIndex(text, name);
+      // Earliest mention wins; the longer name wins at the same position ("Rapperswil Jona")
+      if (index >= 0 && (index < bestIndex || (index === bestIndex && name.length > bestLength))) {
+        municipality = place;
+        bestIndex = index;
+        bestLength = name.length;
+      }
+    }
+  }
+  if (!municipality) {
+    const postalCode = String(location ?? '').match(/\b\d{4}\b/g)?.find((code) => municipalities.some((place) => place.postalCode === code));
+    municipality = postalCode ? municipalities.find((place) => place.postalCode === postalCode)! : null;
+    matchedBy = 'postal_code';
+  }
+  if (!municipality) return null;
+
+  const street = places
+    .filter((place) => place.kind !== 'MUNICIPALITY' && place.municipality === municipality!.name)
+    .find((place) => wordIndex(text, normalizePlaceText(place.name)) >= 0);
+  if (street) {
+    return { place: street, matchedBy: 'street', label: `${street.name}, ${municipality.name}` };
+  }
+  return { place: municipality, matchedBy, label: municipality.name };
+};
+
+/** Great-circle distance in kilometres. */
+export const haversineKm = (a: GeoPosition, b: GeoPosition): number => {
+  const rad = (degrees: number): number => degrees * Math.PI / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/** GPS position of a photo from its EXIF (decoded by extractExifMetadata), null without GPS. */
+export const photoPosition = (exif: Record<string, unknown>): GeoPosition | null => {
+  const latitude = exif['GPS.Latitude'];
+  const longitude = exif['GPS.Longitude'];
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  // 0/0 is what some apps write when the fix is missing
+  if (latitude === 0 && longitude === 0) return null;
+  return { latitude, longitude };
+};
+
+/** Compares a photo position with the resolved incident location. */
+export const checkPhotoLocation = (
+  exif: Record<string, unknown>,
+  location: ResolvedLocation | null,
+  maxDistanceKm: number = DEFAULT_MAX_DISTANCE_KM
+): PhotoGeoCheck => {
+  const position = photoPosition(exif);
+  if (!position) return { status: 'NO_GPS', position: null, distanceKm: null };
+  if (!location) return { status: 'UNRESOLVED', position, distanceKm: null };
+  const distanceKm = Math.round(haversineKm(position, location.place) * 10) / 10;
+  return { status: distanceKm > maxDistanceKm ? 'MISMATCH' : 'OK', position, distanceKm };
+};
+
+export const loadGazetteer = async (db: cds.Service): Promise<GeoPlace[]> => {
+  const rows = await db.run(SELECT.from('kfz.claims.GeoPlaces')) as Array<Record<string, any>>;
+  return (rows || [])
+    .map((row) => ({
+      name: row.name,
+      kind: row.kind || 'MUNICIPALITY',
+      municipality: row.municipality || row.name,
+      postalCode: row.postalCode || null,
+      canton: row.canton || null,
+      aliases: row.aliases || null,
+      latitude: Number(row.latitude),
+      longitude: Number(row.longitude)
+    }))
+    .filter((place) => place.name && Number.isFinite(place.latitude) && Number.isFinite(place.longitude));
+};
@@ -0,0 +1,366 @@
+// srv/lib/image-forensics.ts
+// Forensic checks of claim photos, run after every save of a claim. Per image:
+// editing software in EXIF Software / Photoshop metadata / JPEG comments,
+// missing or inconsistent timestamps (capture vs. file change vs. GPS time),
+// recompression hints (JPEG quality estimated from the quantization table,
+// pixel size differing from EXIF) and a perceptual hash (dHash of the
+// luminance preview). The per-image part is computed once when the content is
+// stored (srv/lib/attachment-metadata.ts); after a save of the claim, outside
+// its transaction, photos whose hash is (nearly) equal to a photo of another
+// claim are reported as reused and the results are stored on the Attachments
+// rows.
+//
+// Configuration (environment):
+//   CLAIMAI_PHOTO_HASH_DISTANCE  max. differing bits (of 64) for two perceptual
+//                                hashes to count as the same photo, default 6
+
+import cds from '@sap/cds';
+import { createHash } from 'node:crypto';
+import { decodeLuminance, readJpegStructure, type LuminanceImage } from '../utils/image-decode.js';
+import { extractExifMetadata, isPng } from '../utils/vision.js';
+import { exifCaptureTime } from './fraud-scoring.js';
+
+export type ForensicStatus = 'OK' | 'NOTICE' | 'SUSPICIOUS';
+
+export type ForensicCode =
+  | 'EDITING_SOFTWARE'
+  | 'NO_EXIF'
+  | 'NO_CAPTURE_TIME'
+  | 'MODIFIED_AFTER_CAPTURE'
+  | 'TIMESTAMP_INCONSISTENT'
+  | 'RECOMPRESSED'
+  | 'RESIZED'
+  | 'PHOTO_REUSED';
+
+export interface ForensicFinding {
+  code: ForensicCode;
+  /** warning: points to manipulation or reuse; info: common for forwarded photos. */
+  severity: 'info' | 'warning';
+  message: string;
+  details?: Record<string, unknown>;
+}
+
+export interface ImageForensics {
+  sha256: string;
+  perceptualHash: string | null;
+  width: number | null;
+  height: number | null;
+  jpegQuality: number | null;
+  findings: ForensicFinding[];
+}
+
+/** Image attachment of a claim with its stored per-image analysis (see loadClaimPhotos). */
+export interface ForensicPhoto {
+  attachmentId: string;
+  fileName: string | null;
+  forensics: ImageForensics;
+}
+
+export interface ReusedPhoto {
+  attachmentId: string;
+  fileName: string | null;
+  claimId: string;
+  claimNumber: string | null;
+  distance: number;
+}
+
+const DEFAULT_HASH_DISTANCE = 6;
+
+const HOUR_MS = 3_600_000;
+
+// Below this estimated quality a JPEG was most likely re-encoded (messenger, editor)
+const MIN_CAMERA_QUALITY = 75;
+
+// Tolerance between EXIF capture time and GPS time: with a UTC offset tag the
+// clocks should agree, without it the capture time may be off by the time zone
+const GPS_TOLERANCE_WITH_OFFSET_MS = 10 * 60_000;
+const GPS_TOLERANCE_WITHOUT_OFFSET_MS = 14 * HOUR_MS + 10 * 60_000;
+
+const EDITING_SOFTWARE = /photoshop|lightroom|gimp|snapseed|picsart|pixelmator|affinity|paint\.net|canva|facetune|luminar|capture one|acdsee|photoscape|fotor|polarr|meitu|photodirector|inpaint/i;
+
+// IJG luminance table (quality 50), used to estimate the quality of a JPEG
+const STANDARD_LUMINANCE_TABLE = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+
+const STANDARD_LUMINANCE_SUM = STANDARD_LUMINANCE_TABLE.reduce((sum, value) => sum + value, 0);
+
+const hashDistanceLimit = (): number => {
+  const value = Number(process.env.CLAIMAI_PHOTO_HASH_DISTANCE);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_HASH_DISTANCE;
+};
+
+/** JPEG quality (1-100) the luminance table corresponds to with the IJG scaling. */
+export const estimateJpegQuality = (table: number[] | undefined): number | null => {
+  if (!table || table.length !== 64) return null;
+  const scale = table.reduce((sum, value) => sum + value, 0) * 100 / STANDARD_LUMINANCE_SUM;
+  const quality = scale <= 100 ? (200 - scale) / 2 : 5000 / scale;
+  return Math.max(1, Math.min(100, Math.round(quality)));
+};
+
+/** Image as displayed, i.e. with the EXIF orientation (1-8) applied. */
+const orient = (image: LuminanceImage, orientation: number): LuminanceImage => {
+  if (!orientation || orientation === 1 || orientation > 8) return image;
+  const { width, height } = image;
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const data = new Float32Array(outWidth * outHeight);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sx = x;
+      let sy = y;
+      switch (orientation) {
+        case 2: sx = width - 1 - x; break;
+        case 3: sx = width - 1 - x; sy = height - 1 - y; break;
+        case 4: sy = height - 1 - y; break;
+        case 5: sx = y; sy = x; break;
+        case 6: sx = y; sy = height - 1 - x; break;
+        case 7: sx = width - 1 - y; sy = height - 1 - x; break;
+        case 8: sx = width - 1 - y; sy = x; break;
+        default: break;
+      }
+      data[y * outWidth + x] = image.data[sy * width + sx];
+    }
+  }
+  return { width: outWidth, height: outHeight, data };
+};
+
+/**
+ * 64-bit difference hash (16 hex digits): the displayed image is averaged
+ * down to 9x8 cells and each bit tells whether a cell is brighter than its
+ * right neighbour. Survives rescaling and recompression.
+ */
+export const perceptualHash = (image: LuminanceImage, orientation = 1): string | null => {
+  const oriented = orient(image, orientation);
+  const { width, height, data } = oriented;
+  if (width < 9 || height < 8) return null;
+  const cells: number[] = [];
+  for (let cy = 0; cy < 8; cy++) {
+    const y0 = Math.floor(cy * height / 8);
+    const y1 = Math.max(y0 + 1, Math.floor((cy + 1) * height / 8));
+    for (let cx = 0; cx < 9; cx++) {
+      const x0 = Math.floor(cx * width / 9);
+      const x1 = Math.max(x0 + 1, Math.floor((cx + 1) * width / 9));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) sum += data[y * width + x];
+      }
+      cells.push(sum / ((y1 - y0) * (x1 - x0)));
+    }
+  }
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (cells[row * 9 + col] > cells[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+/** Number of differing bits of two perceptual hashes. */
+export const hammingDistance = (a: string, b: string): number => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+// Naive EXIF date ("YYYY:MM:DD HH:MM:SS") as UTC milliseconds, for comparisons between EXIF dates
+const naiveTime = (value: unknown): number | null => {
+  const match = typeof value === 'string' ? value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/) : null;
+  if (!match) return null;
+  const time = Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +match[6]);
+  return Number.isNaN(time) ? null : time;
+};
+
+const formatDuration = (ms: number): string => (ms >= 48 * HOUR_MS
+  ? `${Math.round(ms / (24 * HOUR_MS))} Tage`
+  : ms >= HOUR_MS ? `${Math.round(ms / HOUR_MS * 10) / 10} Std.` : `${Math.round(ms / 60_000)} Min.`);
+
+const pngSize = (buffer: Buffer): { width: number; height: number } | null =>
+  (buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null);
+
+/** Per-image forensic checks (no database access). */
+export const analyzeImageForensics = (buffer: Buffer, now: Date = new Date()): ImageForensics => {
+  const findings: ForensicFinding[] = [];
+  const exif = extractExifMetadata(buffer);
+  const jpeg = readJpegStructure(buffer);
+  const size = jpeg ? { width: jpeg.width, height: jpeg.height } : isPng(buffer) ? pngSize(buffer) : null;
+  const jpegQuality = jpeg ? estimateJpegQuality(jpeg.quantTables[0]) : null;
+
+  // Editing software
+  const software = String(exif['IFD0.Software'] ?? '').trim();
+  const editorHints: string[] = [];
+  if (software && EDITING_SOFTWARE.test(software)) editorHints.push(`EXIF Software "${software}"`);
+  if (jpeg?.appSegments.some((segment) => segment.startsWith('APP13:Photoshop'))) editorHints.push('Photoshop-Metadaten (APP13)');
+  const editorComment = jpeg?.comments.find((comment) => EDITING_SOFTWARE.test(comment));
+  if (editorComment) editorHints.push(`JPEG-Kommentar "${editorComment.slice(0, 80)}"`);
+  if (editorHints.length) {
+    findings.push({
+      code: 'EDITING_SOFTWARE',
+      severity: 'warning',
+      message: `Bearbeitungsspuren: ${editorHints.join(', ')}.`,
+      details: { software: software || null, hints: editorHints }
+    });
+  }
+
+  // Timestamps
+  const hasExif = Object.keys(exif).length > 0;
+  const original = naiveTime(exif['Exif.DateTimeOriginal']) ?? naiveTime(exif['Exif.DateTimeDigitized']);
+  if (!hasExif) {
+    findings.push({ code: 'NO_EXIF', severity: 'info', message: 'Keine EXIF-Daten (typisch für weitergeleitete oder bearbeitete Fotos).' });
+  } else if (original === null) {
+    findings.push({ code: 'NO_CAPTURE_TIME', severity: 'info', message: 'Kein Aufnahmezeitpunkt in den EXIF-Daten.' });
+  }
+  const modified = naiveTime(exif['IFD0.DateTime']);
+  if (original !== null && modified !== null && modified - original > 60_000) {
+    findings.push({
+      code: 'MODIFIED_AFTER_CAPTURE',
+      severity: 'warning',
+      message: `Datei wurde ${formatDuration(modified - original)} nach der Aufnahme gespeichert (EXIF DateTime).`,
+      details: { dateTimeOriginal: exif['Exif.DateTimeOriginal'] ?? null, dateTime: exif['IFD0.DateTime'] }
+    });
+  }
+  const captured = original !== null ? exifCaptureTime(exif) : null;
+  const gpsTime = typeof exif['GPS.Timestamp'] === 'string' ? new Date(exif['GPS.Timestamp'] as string).getTime() : null;
+  if (captured !== null && gpsTime !== null && !Number.isNaN(gpsTime)) {
+    const tolerance = exif['Exif.OffsetTimeOriginal'] ? GPS_TOLERANCE_WITH_OFFSET_MS : GPS_TOLERANCE_WITHOUT_OFFSET_MS;
+    const deviation = Math.abs(captured - gpsTime);
+    if (deviation > tolerance) {
+      findings.push({
+        code: 'TIMESTAMP_INCONSISTENT',
+        severity: 'warning',
+        message: `Aufnahmezeitpunkt und GPS-Zeit weichen um ${formatDuration(deviation)} voneinander ab.`,
+        details: { captured: new Date(captured).toISOString(), gps: exif['GPS.Timestamp'] }
+      });
+    }
+  }
+  if (captured !== null && captured - now.getTime() > 24 * HOUR_MS) {
+    findings.push({
+      code: 'TIMESTAMP_INCONSISTENT',
+      severity: 'warning',
+      message: 'Aufnahmezeitpunkt liegt in der Zukunft.',
+      details: { captured: new Date(captured).toISOString() }
+    });
+  }
+
+  // Recompression / rescaling
+  const recompressionHints: string[] = [];
+  if (jpegQuality !== null && jpegQuality < MIN_CAMERA_QUALITY) recompressionHints.push(`JPEG-Qualität ca. ${jpegQuality}`);
+  const encoderComment = jpeg?.comments.find((comment) => /gd-jpeg|quality\s*=|libjpeg|created with/i.test(comment));
+  if (encoderComment && encoderComment !== editorComment) recompressionHints.push(`Encoder-Kommentar "${encoderComment.slice(0, 80)}"`);
+  if (recompressionHints.length) {
+    findings.push({
+      code: 'RECOMPRESSED',
+      severity: 'info',
+      message: `Hinweise auf erneute Komprimierung: ${recompressionHints.join(', ')}.`,
+      details: { jpegQuality, comment: encoderComment ?? null }
+    });
+  }
+  const exifWidth = Number(exif['Exif.PixelXDimension']);
+  const exifHeight = Number(exif['Exif.PixelYDimension']);
+  if (size && exifWidth > 0 && exifHeight > 0
+    && !(size.width === exifWidth && size.height === exifHeight)
+    && !(size.width === exifHeight && size.height === exifWidth)) {
+    findings.push({
+      code: 'RESIZED',
+      severity: 'info',
+      message: `Bildgrösse ${size.width}x${size.height} weicht von den EXIF-Angaben (${exifWidth}x${exifHeight}) ab (skaliert oder zugeschnitten).`,
+      details: { width: size.width, height: size.height, exifWidth, exifHeight }
+    });
+  }
+
+  const preview = decodeLuminance(buffer);
+  const orientation = Number(exif['IFD0.Orientation']) || 1;
+  return {
+    sha256: createHash('sha256').update(buffer).digest('hex'),
+    perceptualHash: preview ? perceptualHash(preview, orientation) : null,
+    width: size?.width ?? null,
+    height: size?.height ?? null,
+    jpegQuality,
+    findings
+  };
+};
+
+/** SUSPICIOUS with any warning, NOTICE with only infos, else OK. */
+export const forensicStatus = (findings: ForensicFinding[]): ForensicStatus => {
+  if (findings.some((finding) => finding.severity === 'warning')) return 'SUSPICIOUS';
+  return findings.length ? 'NOTICE' : 'OK';
+};
+
+export const reuseFinding = (reused: ReusedPhoto[]): ForensicFinding => {
+  const closest = reused.reduce((a, b) => (b.distance < a.distance ? b : a));
+  const claims = [...new Set(reused.map((photo) => photo.claimNumber || photo.claimId))];
+  return {
+    code: 'PHOTO_REUSED',
+    severity: 'warning',
+    message: `Gleiches Foto wie "${closest.fileName || closest.attachmentId}" in Schadenfall ${claims.join(', ')}${closest.distance ? ` (Abweichung ${closest.distance}/64 Bit)` : ''}.`,
+    details: { photos: reused }
+  };
+};
+
+/**
+ * Compares the image attachments of a claim (`photos`, with the analysis
+ * stored on upload) with the photos of other claims and stores
+ * forensicStatus, forensicFindings (German, for the Attachments table) and
+ * forensicDetails (JSON). No content is read.
+ */
+export const applyImageForensics = async (
+  db: cds.Service,
+  claimId: string,
+  photos: ForensicPhoto[]
+): Promise<Map<string, ImageForensics & { status: ForensicStatus }>> => {
+  const analyses = new Map(photos.map((photo) => [photo.attachmentId, photo.forensics]));
+  const results = new Map<string, ImageForensics & { status: ForensicStatus }>();
+  if (!analyses.size) return results;
+
+  // Photos of other claims with a perceptual hash or the same content
+  const hashes = [...analyses.values()].map((analysis) => analysis.sha256);
+  const others = await db.run(
+    SELECT.from('kfz.claims.Attachments').columns('ID', 'fileName', 'refClaim_ID', 'perceptualHash', 'sha256')
+      .where({ refClaim_ID: { '!=': claimId } })
+      .and({ perceptualHash: { '!=': null }, or: { sha256: { in: hashes } } })
+  ) as Array<{ ID: string; fileName: string | null; refClaim_ID: string | null; perceptualHash: string | null; sha256: string | null }>;
+  const claimIds = [...new Set(others.map((row) => row.refClaim_ID).filter((id): id is string => Boolean(id)))];
+  const claimNumbers = new Map<string, string | null>();
+  if (claimIds.length) {
+    const claims = await db.run(SELECT.from('kfz.claims.Claims').columns('ID', 'claim_number').where({ ID: { in: claimIds } })) as Array<{ ID: string; claim_number: string | null }>;
+    for (const claim of claims) claimNumbers.set(claim.ID, claim.claim_number);
+  }
+
+  const limit = hashDistanceLimit();
+  for (const [attachmentId, analysis] of analyses) {
+    const reused: ReusedPhoto[] = [];
+    for (const other of others) {
+      if (!other.refClaim_ID) continue;
+      const distance = other.sha256 === analysis.sha256
+        ? 0
+        : analysis.perceptualHash && other.perceptualHash ? hammingDistance(analysis.perceptualHash, other.perceptualHash) : null;
+      if (distance === null || distance > limit) continue;
+      reused.push({
+        attachmentId: other.ID,
+        fileName: other.fileName,
+        claimId: other.refClaim_ID,
+        claimNumber: claimNumbers.get(other.refClaim_ID) ?? null,
+        distance
+      });
+    }
+    const findings = reused.length ? [...analysis.findings, reuseFinding(reused)] : analysis.findings;
+    const status = forensicStatus(findings);
+    await db.run(UPDATE('kfz.claims.Attachments').set({
+      perceptualHash: analysis.perceptualHash,
+      forensicStatus: status,
+      forensicFindings: findings.length ? findings.map((finding) => finding.message).join(' ').slice(0, 1000) : null,
+      forensicDetails: JSON.stringify({ analysis, reused })
+    }).where({ ID: attachmentId }));
+    results.set(attachmentId, { ...analysis, findings, status });
+  }
+  return results;
+};
@@ -0,0 +1,59 @@
+// srv/lib/mail-claim.ts
+// Pre-filled claim drafts from a triaged mail (createClaimFromMail): claimant
+// from the sender, description from the mail summary, received_at from the
+// mail and the incident date from the earliest EXIF capture time of the
+// attached photos. Excel figures are merged by the caller via the import mapping.
+
+import { exifCaptureTime } from './fraud-scoring.js';
+
+export interface MailClaimSource {
+  messageId: string;
+  subject?: string | null;
+  senderName?: string | null;
+  senderEmail?: string | null;
+  receivedDateTime?: string | null;
+  webLink?: string | null;
+  summary?: string | null;
+}
+
+const DESCRIPTION_MAX = 500;
+const NAME_MAX = 100;
+const EMAIL_MAX = 120;
+
+const clip = (value: string | null | undefined, max: number): string | null => {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+};
+
+const formatDate = (value: string | null | undefined): string | null => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 10).split('-').reverse().join('.');
+};
+
+/** Claim draft fields taken from the mail itself. */
+export const claimFieldsFromMail = (source: MailClaimSource): Record<string, unknown> => {
+  const received = formatDate(source.receivedDateTime);
+  const notes = [
+    `Erstellt aus E-Mail "${source.subject || '(ohne Betreff)'}"${received ? ` vom ${received}` : ''}.`,
+    source.webLink ? `Outlook: ${source.webLink}` : null
+  ].filter(Boolean).join('\n');
+  return {
+    claimant_name: clip(source.senderName || source.senderEmail, NAME_MAX),
+    claimant_email: clip(source.senderEmail, EMAIL_MAX),
+    description_short: clip(source.summary || source.subject, DESCRIPTION_MAX),
+    received_at: source.receivedDateTime || new Date().toISOString(),
+    notes,
+    source_mail_id: source.messageId
+  };
+};
+
+/** Earliest EXIF capture time of the photos (ISO, seconds), null without EXIF dates. */
+export const incidentDateFromPhotos = (exifs: Array<Record<string, unknown>>): string | null => {
+  const times = exifs
+    .map((exif) => exifCaptureTime(exif))
+    .filter((time): time is number => time !== null);
+  // DateTime elements take seconds precision
+  return times.length ? new Date(Math.min(...times)).toISOString().replace(/\.\d{3}Z$/, 'Z') : null;
+};
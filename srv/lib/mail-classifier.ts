@@ -0,0 +1,313 @@
+// srv/lib/mail-classifier.ts
+// Summary and category of incoming mails. Categories come from MailCategories,
+// prompts per language from MailClassifierPrompts (built-in German and English
+// prompts when no row exists). Results are cached in MailClassifications by
+// message id, content hash and language, so a mail is classified only once
+// across users and restarts. Without a reachable model a keyword heuristic
+// (claim numbers, damage and calculation terms, meeting invites, auto-replies)
+// classifies the mail offline; such results are flagged and not cached.
+//
+// Configuration (environment):
+//   CLAIMAI_MAIL_CLASSIFIER_MODEL  model of the classifier, default gpt-4.1
+//   CLAIMAI_MAIL_LANGUAGE          summary language without a user locale, default de
+
+import cds from '@sap/cds';
+import { createHash } from 'node:crypto';
+import { naturalKeyId } from '../utils/keys.js';
+import { claimNumberExpression } from './claim-number.js';
+
+export interface MailCategory {
+  code: string;
+  description: string | null;
+  isDefault: boolean;
+}
+
+export interface ClassifierPrompts {
+  systemPrompt: string;
+  userPrompt: string;
+}
+
+export interface ClassifierConfig extends ClassifierPrompts {
+  language: string;
+  model: string;
+  categories: MailCategory[];
+  defaultCategory: string;
+}
+
+export interface ClassificationInput {
+  messageId: string;
+  subject: string;
+  /** Plain text body, already shortened to the model input limit. */
+  content: string;
+  locale?: string | null;
+  maxChars: number;
+}
+
+export interface Classification {
+  summary: string | null;
+  category: string;
+  language: string;
+  model: string;
+  cached: boolean;
+  /** Set when the keyword heuristic stood in for the model. */
+  heuristic?: HeuristicClassification;
+}
+
+export interface HeuristicClassification {
+  summary: string | null;
+  category: string;
+  claimReferences: string[];
+  /** Rules that fired, e.g. "auto-reply" or "keyword:schaden". */
+  signals: string[];
+  /** Why the model was not used. */
+  reason?: string;
+}
+
+export type ClassifierMessage = { role: 'system' | 'user'; content: string };
+
+/** Sends the prompt to `model` and returns the raw text of the answer. */
+export type ClassifierInvoke = (model: string, messages: ClassifierMessage[]) => Promise<string>;
+
+const CLASSIFICATIONS = 'kfz.claims.MailClassifications';
+
+export const DEFAULT_CLASSIFIER_MODEL = 'gpt-4.1';
+export const DEFAULT_MAIL_CATEGORY = 'Notification';
+
+// Used when the MailCategories table is empty (e.g. fresh database without seed)
+export const DEFAULT_MAIL_CATEGORIES: MailCategory[] = [
+  { code: 'To Respond', description: null, isDefault: false },
+  { code: 'Notification', description: null, isDefault: true },
+  { code: 'FYI', description: null, isDefault: false },
+  { code: 'Meeting Update', description: null, isDefault: false },
+  { code: 'Action needed', description: null, isDefault: false },
+  { code: 'Completed', description: null, isDefault: false }
+];
+
+// Placeholders: {maxChars}, {categories}, {subject}, {content}
+export const DEFAULT_CLASSIFIER_PROMPTS: Record<string, ClassifierPrompts> = {
+  de: {
+    systemPrompt: 'Du bist ein Assistent, der eingehende E-Mails prägnant in höchstens zwei Sätzen (maximal {maxChars} Zeichen) zusammenfasst und sie in eine vorgegebene Kategorie einordnet. Antworte ausschließlich mit gültigem JSON im Format {"summary":"...","category":"..."}.',
+    userPrompt: `Fasse die folgende E-Mail auf Deutsch in höchstens zwei Sätzen (maximal {maxChars} Zeichen) zusammen und kategorisiere sie.
+Gültige Kategorien: {categories}.
+Gib das Ergebnis ausschließlich als kompaktes JSON-Objekt zurück: {"summary":"...","category":"..."}.
+
+Betreff: {subject}
+
+{content}`
+  },
+  en: {
+    systemPrompt: 'You are an assistant that summarizes incoming e-mails concisely in at most two sentences (at most {maxChars} characters) and assigns them to one of the given categories. Answer only with valid JSON in the format {"summary":"...","category":"..."}.',
+    userPrompt: `Summarize the following e-mail in English in at most two sentences (at most {maxChars} characters) and categorize it.
+Valid categories: {categories}.
+Return the result only as a compact JSON object: {"summary":"...","category":"..."}.
+
+Subject: {subject}
+
+{content}`
+  }
+};
+
+export const classifierModel = (): string => (process.env.CLAIMAI_MAIL_CLASSIFIER_MODEL || '').trim() || DEFAULT_CLASSIFIER_MODEL;
+
+/** Primary language of a locale ("de-CH" -> "de"), else CLAIMAI_MAIL_LANGUAGE, else "de". */
+export const classifierLanguage = (locale?: string | null): string => {
+  const language = (locale || process.env.CLAIMAI_MAIL_LANGUAGE || '').trim().toLowerCase().split(/[-_,;]/)[0];
+  return /^[a-z]{2,3}$/.test(language) ? language : 'de';
+};
+
+/** Hash over subject and body; a changed mail (e.g. edited draft) is classified again. */
+export const contentHash = (subject: string, content: string): string =>
+  createHash('sha256').update(`${subject}\n${content}`).digest('hex');
+
+export const renderPrompt = (template: string, values: Record<string, string | number>): string =>
+  template.replace(/\{(\w+)\}/g, (placeholder, key: string) => (key in values ? String(values[key]) : placeholder));
+
+const loadCategories = async (db: cds.Service): Promise<MailCategory[]> => {
+  const rows = await db.run(
+    SELECT.from('kfz.claims.MailCategories').where({ active: true }).orderBy('sortOrder')
+  ) as Array<Record<string, any>>;
+  if (!rows?.length) return DEFAULT_MAIL_CATEGORIES;
+  return rows.map((row) => ({ code: row.code, description: row.description || null, isDefault: Boolean(row.isDefault) }));
+};
+
+/**
+ * Prompts for `language`: a MailClassifierPrompts row, else the built-in
+ * prompts of that language; unknown languages fall back to German.
+ */
+const loadPrompts = async (db: cds.Service, language: string): Promise<{ language: string; prompts: ClassifierPrompts; model: string | null }> => {
+  const row = await db.run(SELECT.one.from('kfz.claims.MailClassifierPrompts').where({ language }));
+  if (row?.systemPrompt && row?.userPrompt) {
+    return { language, prompts: { systemPrompt: row.systemPrompt, userPrompt: row.userPrompt }, model: row.model || null };
+  }
+  const builtin = DEFAULT_CLASSIFIER_PROMPTS[language] ? language : 'de';
+  return { language: builtin, prompts: DEFAULT_CLASSIFIER_PROMPTS[builtin], model: row?.model || null };
+};
+
+export const loadClassifierConfig = async (db: cds.Service, locale?: string | null): Promise<ClassifierConfig> => {
+  const categories = await loadCategories(db);
+  const { language, prompts, model } = await loadPrompts(db, classifierLanguage(locale));
+  const defaultCategory = categories.find((category) => category.isDefault)?.code
+    || categories.find((category) => category.code === DEFAULT_MAIL_CATEGORY)?.code
+    || categories[0]?.code
+    || DEFAULT_MAIL_CATEGORY;
+  return { ...prompts, language, model: model || classifierModel(), categories, defaultCategory };
+};
+
+const categoryList = (categories: MailCategory[]): string =>
+  categories.map((category) => (category.description ? `${category.code} (${category.description})` : category.code)).join(', ');
+
+export const buildClassifierMessages = (config: ClassifierConfig, input: ClassificationInput): ClassifierMessage[] => {
+  const values = {
+    maxChars: input.maxChars,
+    categories: categoryList(config.categories),
+    subject: input.subject || '—',
+    content: input.content
+  };
+  return [
+    { role: 'system', content: renderPrompt(config.systemPrompt, values) },
+    { role: 'user', content: renderPrompt(config.userPrompt, values) }
+  ];
+};
+
+/**
+ * Reads {"summary","category"} from the model answer. Unknown categories
+ * (compared case-insensitively) become the default; an answer without JSON is
+ * taken as the summary.
+ */
+export const parseClassification = (raw: string, config: ClassifierConfig): { summary: string | null; category: string } => {
+  const text = (raw || '').trim();
+  if (!text) return { summary: null, category: config.defaultCategory };
+  let parsed: Record<string, unknown> | null = null;
+  try {
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    parsed = JSON.parse(jsonMatch ? jsonMatch[0] : text);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || typeof parsed !== 'object') return { summary: text, category: config.defaultCategory };
+  const candidate = typeof parsed.category === 'string' ? parsed.category.trim().toLowerCase() : '';
+  const category = config.categories.find((entry) => entry.code.toLowerCase() === candidate)?.code || config.defaultCategory;
+  return { summary: typeof parsed.summary === 'string' ? parsed.summary : null, category };
+};
+
+export const findCachedClassification = async (
+  db: cds.Service,
+  messageId: string,
+  hash: string,
+  language: string
+): Promise<Record<string, any> | null> =>
+  await db.run(SELECT.one.from(CLASSIFICATIONS).where({ messageId, contentHash: hash, language }));
+
+/**
+ * Classifies a mail with the configured categories, prompts and model. A
+ * cached result for the same message, content and language is returned
+ * without calling the model; answers without a summary are not cached.
+ */
+export const classifyMail = async (db: cds.Service, input: ClassificationInput, invoke: ClassifierInvoke): Promise<Classification> => {
+  const config = await loadClassifierConfig(db, input.locale);
+  const hash = contentHash(input.subject, input.content);
+  const cached = await findCachedClassification(db, input.messageId, hash, config.language);
+  if (cached) {
+    const known = config.categories.some((category) => category.code === cached.category);
+    return {
+      summary: cached.summary,
+      category: known ? cached.category : config.defaultCategory,
+      language: config.language,
+      model: cached.model,
+      cached: true
+    };
+  }
+
+  let raw: string;
+  try {
+    raw = await invoke(config.model, buildClassifierMessages(config, input));
+  } catch (error) {
+    const heuristic = { ...classifyHeuristically(input, config.categories), reason: (error as Error)?.message || String(error) };
+    return { summary: heuristic.summary, category: heuristic.category, language: config.language, model: config.model, cached: false, heuristic };
+  }
+  const { summary, category } = parseClassification(raw, config);
+  if (summary) {
+    // Keyed by message, content and language: a result stored concurrently
+    // for another user is overwritten with an equivalent one
+    await db.run(UPSERT.into(CLASSIFICATIONS).entries({
+      ID: naturalKeyId(input.messageId, hash, config.language),
+      messageId: input.messageId,
+      contentHash: hash,
+      language: config.language,
+      model: config.model,
+      summary: summary.slice(0, 1000),
+      category
+    }));
+  }
+  return { summary, category, language: config.language, model: config.model, cached: false };
+};
+
+// Heuristic classifier: every matching rule is reported as signal, the first
+// one with a configured category decides
+const AUTO_REPLY_SUBJECT = /^(automatische antwort|abwesenheitsnotiz|automatic reply|auto(?:matic)?[- ]?reply|out of (?:the )?office|r[ée]ponse automatique)\b/i;
+const MEETING_SUBJECT = /^(einladung|aktualisierte einladung|angenommen|abgelehnt|mit vorbehalt angenommen|abgesagt|invitation|updated invitation|accepted|declined|tentative|canceled|cancelled)\s*:/i;
+const MEETING_CONTENT = /(microsoft teams[- ](?:besprechung|meeting)|an besprechung teilnehmen|join the meeting|zoom\.us\/j\/|webex\.com\/meet)/i;
+const CLAIM_KEYWORDS = /\b(schaden\w*|unfall\w*|kalkulation\w*|kostenvoranschlag\w*|reparatur\w*|gutachten\w*|offerte\w*|damage|accident|repair estimate)\b/i;
+const RESPOND_CONTENT = /(\?\s|\?$|bitte um (?:r[üu]ckmeldung|antwort|best[äa]tigung)|k[öo]nnen sie|could you|please (?:reply|confirm|let me know))/i;
+const COMPLETED_CONTENT = /\b(erledigt|abgeschlossen|ausbezahlt|completed|resolved|closed)\b/i;
+
+const SUMMARY_SENTENCES = 2;
+
+const firstSentences = (text: string, count: number): string => {
+  const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]*/g) || [];
+  return sentences.slice(0, count).map((sentence) => sentence.trim()).join(' ');
+};
+
+/** Claim numbers (CLAIMAI_CLAIM_NUMBER_PATTERN) occurring in `text`, upper-cased and unique. */
+export const extractClaimNumbers = (text: string): string[] => {
+  let expression: RegExp;
+  try {
+    expression = claimNumberExpression();
+  } catch {
+    return [];
+  }
+  return [...new Set((text.match(expression) || []).map((match) => match.toUpperCase()))];
+};
+
+/**
+ * Keyword classification without a model. The summary is the beginning of the
+ * body (or the subject); the category follows the first matching rule:
+ * auto-reply, meeting invite, claim reference or damage/calculation terms,
+ * question to the recipient, completion notice.
+ */
+export const classifyHeuristically = (
+  input: Pick<ClassificationInput, 'subject' | 'content'>,
+  categories: MailCategory[] = DEFAULT_MAIL_CATEGORIES
+): HeuristicClassification => {
+  const subject = (input.subject || '').trim();
+  const content = (input.content || '').trim();
+  const text = `${subject}\n${content}`;
+  const claimReferences = extractClaimNumbers(text);
+  const known = (code: string) => categories.find((category) => category.code.toLowerCase() === code.toLowerCase())?.code;
+  const defaultCategory = categories.find((category) => category.isDefault)?.code || known(DEFAULT_MAIL_CATEGORY) || categories[0]?.code || DEFAULT_MAIL_CATEGORY;
+
+  const rules: Array<{ signal: () => string | null; category: string }> = [
+    { signal: () => (AUTO_REPLY_SUBJECT.test(subject) ? 'auto-reply' : null), category: 'Notification' },
+    { signal: () => (MEETING_SUBJECT.test(subject) || MEETING_CONTENT.test(content) ? 'meeting' : null), category: 'Meeting Update' },
+    { signal: () => (claimReferences.length ? 'claim-number' : null), category: 'Action needed' },
+    { signal: () => { const match = text.match(CLAIM_KEYWORDS); return match ? `keyword:${match[1].toLowerCase()}` : null; }, category: 'Action needed' },
+    { signal: () => (RESPOND_CONTENT.test(content) ? 'question' : null), category: 'To Respond' },
+    { signal: () => (COMPLETED_CONTENT.test(text) ? 'completed' : null), category: 'Completed' }
+  ];
+
+  const signals: string[] = [];
+  let category: string | null = null;
+  for (const rule of rules) {
+    const signal = rule.signal();
+    if (!signal) continue;
+    signals.push(signal);
+    category = category || known(rule.category) || null;
+  }
+
+  return {
+    summary: firstSentences(content, SUMMARY_SENTENCES) || subject || null,
+    category: category || defaultCategory,
+    claimReferences,
+    signals
+  };
+};
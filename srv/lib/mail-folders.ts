@@ -0,0 +1,102 @@
+// srv/lib/mail-folders.ts
+// Mail folders watched by the notification poller. A target is a folder of
+// the signed-in user's mailbox (mailbox null, Graph /me) or of a shared team
+// mailbox (/users/{mailbox}). Targets are configured per user in
+// MailWatchFolders; users without rows get CLAIMAI_MAIL_FOLDERS, else their inbox.
+//
+// Configuration (environment):
+//   CLAIMAI_MAIL_FOLDERS  comma separated targets, "folder" or "mailbox:folder",
+//                         e.g. "inbox,claims@example.ch:inbox,claims@example.ch:AAMkADk...";
+//                         default "inbox"
+
+import cds from '@sap/cds';
+
+export interface MailFolderTarget {
+  /** Shared mailbox address; null for the signed-in user's mailbox. */
+  mailbox: string | null;
+  /** Well-known folder name (e.g. "inbox") or Graph folder id. */
+  folderId: string;
+  displayName: string | null;
+}
+
+export interface MailFolderLookup {
+  getMailFolder(input: { folderId?: string; mailbox?: string | null }): Promise<{ id: string; displayName: string }>;
+}
+
+const DEFAULT_TARGET: MailFolderTarget = { mailbox: null, folderId: 'inbox', displayName: null };
+
+const normalizeMailbox = (value: unknown): string | null => String(value ?? '').trim().toLowerCase() || null;
+
+/** Parses CLAIMAI_MAIL_FOLDERS-style specs; duplicates are dropped. */
+export const parseFolderTargets = (spec: string | null | undefined): MailFolderTarget[] => {
+  const targets: MailFolderTarget[] = [];
+  for (const entry of String(spec ?? '').split(',')) {
+    const value = entry.trim();
+    if (!value) continue;
+    const separator = value.lastIndexOf(':');
+    const target: MailFolderTarget = separator > 0
+      ? { mailbox: normalizeMailbox(value.slice(0, separator)), folderId: value.slice(separator + 1).trim() || 'inbox', displayName: null }
+      : { mailbox: null, folderId: value, displayName: null };
+    if (!targets.some((existing) => targetKey(existing) === targetKey(target))) targets.push(target);
+  }
+  return targets;
+};
+
+/** Stable key of a target, e.g. "inbox" or "claims@example.ch/inbox". */
+export const targetKey = (target: Pick<MailFolderTarget, 'mailbox' | 'folderId'>): string =>
+  target.mailbox ? `${target.mailbox}/${target.folderId}` : target.folderId;
+
+/** Watched folders of a user: MailWatchFolders rows, else CLAIMAI_MAIL_FOLDERS, else the inbox. */
+export const mailFolderTargets = async (db: cds.Service, userId: string): Promise<MailFolderTarget[]> => {
+  const rows = await db.run(
+    SELECT.from('kfz.claims.MailWatchFolders').where({ userId, active: true }).orderBy('createdAt')
+  ) as Array<Record<string, any>>;
+  if (rows?.length) {
+    return rows.map((row) => ({
+      mailbox: normalizeMailbox(row.mailbox),
+      folderId: row.folderId || 'inbox',
+      displayName: row.displayName || null
+    }));
+  }
+  const configured = parseFolderTargets(process.env.CLAIMAI_MAIL_FOLDERS);
+  return configured.length ? configured : [DEFAULT_TARGET];
+};
+
+/** Resource of the Graph change-notification subscription for a target. */
+export const subscriptionResource = (target: Pick<MailFolderTarget, 'mailbox' | 'folderId'>): string =>
+  `${target.mailbox ? `users/${target.mailbox}` : 'me'}/mailFolders('${target.folderId}')/messages`;
+
+/**
+ * Fills in missing display names from Graph (cached per target); a failed
+ * lookup keeps the folder id as name.
+ */
+export const resolveFolderNames = async (
+  graph: MailFolderLookup,
+  targets: MailFolderTarget[],
+  cache: Map<string, string>
+): Promise<MailFolderTarget[]> => {
+  const resolved: MailFolderTarget[] = [];
+  for (const target of targets) {
+    if (target.displayName) {
+      resolved.push(target);
+      continue;
+    }
+    const key = targetKey(target);
+    if (!cache.has(key)) {
+      try {
+        const folder = await graph.getMailFolder({ folderId: target.folderId, mailbox: target.mailbox });
+        cache.set(key, folder.displayName || target.folderId);
+      } catch {
+        cache.set(key, target.folderId);
+      }
+    }
+    resolved.push({ ...target, displayName: cache.get(key)! });
+  }
+  return resolved;
+};
+
+/** Folder name as shown in the notifications, prefixed with the shared mailbox. */
+export const folderLabel = (target: MailFolderTarget): string => {
+  const name = target.displayName || target.folderId;
+  return target.mailbox ? `${target.mailbox} / ${name}` : name;
+};
@@ -0,0 +1,284 @@
+// srv/lib/mail-inbox.ts
+// Persistence of the mail notification pipeline (MailInboxItems). The poller
+// stores every unread message with its LLM summary, category and agentContext
+// per user, so restarts neither lose state nor re-summarize the inbox. The SSE
+// `init` event is built from these rows. Changes arrive through the Graph
+// messages/delta feed of each watched folder (srv/lib/mail-folders.ts), whose
+// deltaLink is kept in MailDeltaTokens.
+//
+// Configuration (environment):
+//   CLAIMAI_MAIL_DELTA_DAYS  days of mail fetched by the initial delta sync, default 7
+
+import cds from '@sap/cds';
+import { folderLabel, type MailFolderTarget } from './mail-folders.js';
+
+export type MailInboxState = 'NEW' | 'PROCESSED' | 'FAILED';
+
+export interface MailInboxItem {
+  ID: string;
+  userId: string;
+  messageId: string;
+  subject: string | null;
+  fromName: string | null;
+  fromAddress: string | null;
+  receivedDateTime: string | null;
+  isRead: boolean;
+  webLink: string | null;
+  hasAttachments: boolean;
+  summary: string | null;
+  category: string | null;
+  agentContext: string | null;
+  state: MailInboxState;
+  processedAt: string | null;
+  claim_ID: string | null;
+  mailbox: string | null;
+  folderId: string | null;
+  folderName: string | null;
+  assignedTo: string | null;
+}
+
+/** Message header as delivered by Graph, reduced to the persisted fields. */
+export interface MailHeader {
+  id: string;
+  subject?: string | null;
+  from?: Record<string, any> | null;
+  receivedDateTime?: string | null;
+  isRead?: boolean;
+  webLink?: string | null;
+  hasAttachments?: boolean;
+}
+
+export interface MailSummary {
+  summary: string;
+  category: string;
+  agentContext: Record<string, unknown> | null;
+}
+
+export interface MailDelta {
+  messages: MailHeader[];
+  removedIds: string[];
+}
+
+export type MailInboxEvent =
+  | { type: 'new' | 'updated'; item: MailInboxItem }
+  | { type: 'read' | 'deleted'; id: string; folder: string | null };
+
+const ITEMS = 'kfz.claims.MailInboxItems';
+const DELTA_TOKENS = 'kfz.claims.MailDeltaTokens';
+const DEFAULT_DELTA_DAYS = 7;
+
+const senderOf = (from: MailHeader['from']): { fromName: string | null; fromAddress: string | null } => {
+  const address = (from?.emailAddress || from || {}) as Record<string, any>;
+  return {
+    fromName: address.name || address.displayName || null,
+    fromAddress: address.address || null
+  };
+};
+
+export const findInboxItem = async (db: cds.Service, userId: string, messageId: string): Promise<MailInboxItem | null> =>
+  await db.run(SELECT.one.from(ITEMS).where({ userId, messageId })) as MailInboxItem | null;
+
+/** Unread items of a user, newest first (optionally only the newest `limit`). */
+export const listUnreadInboxItems = async (db: cds.Service, userId: string, limit?: number): Promise<MailInboxItem[]> => {
+  const query = SELECT.from(ITEMS).where({ userId, isRead: false }).orderBy('receivedDateTime desc');
+  if (limit) query.limit(limit);
+  return await db.run(query) as MailInboxItem[];
+};
+
+const folderOf = (folder: MailFolderTarget | null | undefined) => (folder
+  ? { mailbox: folder.mailbox, folderId: folder.folderId, folderName: folder.displayName }
+  : {});
+
+/**
+ * Inserts or refreshes the header fields (and folder) of a message. Summary,
+ * state and the linked claim of an existing row are kept. Returns the row and
+ * whether it is new.
+ */
+export const upsertInboxMessage = async (
+  db: cds.Service,
+  userId: string,
+  message: MailHeader,
+  folder?: MailFolderTarget | null
+): Promise<{ item: MailInboxItem; created: boolean }> => {
+  const header = {
+    subject: message.subject ?? null,
+    ...senderOf(message.from),
+    receivedDateTime: message.receivedDateTime ?? null,
+    isRead: Boolean(message.isRead),
+    webLink: message.webLink ?? null,
+    hasAttachments: Boolean(message.hasAttachments),
+    ...folderOf(folder)
+  };
+  const existing = await findInboxItem(db, userId, message.id);
+  if (existing) {
+    await db.run(UPDATE(ITEMS).set(header).where({ ID: existing.ID }));
+    return { item: { ...existing, ...header }, created: false };
+  }
+  const item = {
+    ID: cds.utils.uuid(),
+    userId,
+    messageId: message.id,
+    mailbox: null,
+    folderId: null,
+    folderName: null,
+    assignedTo: null,
+    ...header,
+    summary: null,
+    category: null,
+    agentContext: null,
+    state: 'NEW' as MailInboxState,
+    processedAt: null,
+    claim_ID: null
+  };
+  await db.run(INSERT.into(ITEMS).entries(item));
+  return { item, created: true };
+};
+
+/** Stores the summary of a message and marks it processed (or failed). */
+export const saveInboxSummary = async (
+  db: cds.Service,
+  itemId: string,
+  summary: MailSummary,
+  state: MailInboxState = 'PROCESSED'
+): Promise<void> => {
+  await db.run(UPDATE(ITEMS).set({
+    summary: summary.summary,
+    category: summary.category,
+    agentContext: summary.agentContext ? JSON.stringify(summary.agentContext) : null,
+    state,
+    processedAt: new Date().toISOString()
+  }).where({ ID: itemId }));
+};
+
+export const markInboxItemRead = async (db: cds.Service, userId: string, messageId: string, isRead = true): Promise<void> => {
+  await db.run(UPDATE(ITEMS).set({ isRead }).where({ userId, messageId }));
+};
+
+/** Assigns a message to an adjuster (ASSIGN mail rule). */
+export const assignInboxItem = async (db: cds.Service, userId: string, messageId: string, adjuster: string): Promise<void> => {
+  await db.run(UPDATE(ITEMS).set({ assignedTo: adjuster }).where({ userId, messageId }));
+};
+
+export const linkInboxItemToClaim = async (db: cds.Service, userId: string, messageId: string, claimId: string): Promise<void> => {
+  await db.run(UPDATE(ITEMS).set({ claim_ID: claimId }).where({ userId, messageId }));
+};
+
+const parseAgentContext = (value: string | null): Record<string, unknown> | null => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+/** Persisted summary of a processed item, or null if it still has to be generated. */
+export const storedSummary = (item: MailInboxItem | null): MailSummary | null => {
+  if (!item || item.state !== 'PROCESSED' || !item.summary) return null;
+  return {
+    summary: item.summary,
+    category: item.category || '',
+    agentContext: parseAgentContext(item.agentContext)
+  };
+};
+
+const itemFolder = (item: MailInboxItem): string | null => (item.folderId
+  ? folderLabel({ mailbox: item.mailbox, folderId: item.folderId, displayName: item.folderName })
+  : null);
+
+/** Item payload of the SSE `init` / `new` events. */
+export const toNotificationItem = (item: MailInboxItem): Record<string, unknown> => ({
+  id: item.messageId,
+  subject: item.subject || '',
+  from: item.fromName || item.fromAddress ? { name: item.fromName, address: item.fromAddress } : null,
+  receivedDateTime: item.receivedDateTime,
+  isRead: Boolean(item.isRead),
+  webLink: item.webLink || '',
+  summary: item.summary || null,
+  category: item.category || null,
+  agentContext: parseAgentContext(item.agentContext),
+  hasAttachments: Boolean(item.hasAttachments),
+  claimId: item.claim_ID || null,
+  mailbox: item.mailbox || null,
+  folder: itemFolder(item),
+  assignedTo: item.assignedTo || null
+});
+
+/** Start of the initial delta sync window (ISO timestamp). */
+export const initialDeltaStart = (now: Date = new Date()): string => {
+  const days = Number(process.env.CLAIMAI_MAIL_DELTA_DAYS);
+  const window = Number.isFinite(days) && days > 0 ? days : DEFAULT_DELTA_DAYS;
+  return new Date(now.getTime() - window * 86_400_000).toISOString();
+};
+
+export const loadDeltaLink = async (db: cds.Service, userId: string, folderId = 'inbox', mailbox: string | null = null): Promise<string | null> => {
+  const row = await db.run(SELECT.one.from(DELTA_TOKENS).columns('deltaLink').where({ userId, mailbox, folderId }));
+  return row?.deltaLink || null;
+};
+
+/** Stores the deltaLink of a folder; null forgets it (next round is a full sync). */
+export const saveDeltaLink = async (
+  db: cds.Service,
+  userId: string,
+  folderId: string,
+  deltaLink: string | null,
+  mailbox: string | null = null
+): Promise<void> => {
+  const existing = await db.run(SELECT.one.from(DELTA_TOKENS).columns('ID').where({ userId, mailbox, folderId }));
+  if (existing) {
+    await db.run(UPDATE(DELTA_TOKENS).set({ deltaLink }).where({ ID: existing.ID }));
+  } else if (deltaLink) {
+    await db.run(INSERT.into(DELTA_TOKENS).entries({ ID: cds.utils.uuid(), userId, mailbox, folderId, deltaLink }));
+  }
+};
+
+const headerChanged = (item: MailInboxItem, message: MailHeader): boolean => {
+  const sender = senderOf(message.from);
+  return (message.subject ?? null) !== item.subject
+    || sender.fromName !== item.fromName
+    || sender.fromAddress !== item.fromAddress
+    || Boolean(message.hasAttachments) !== Boolean(item.hasAttachments);
+};
+
+/**
+ * Applies one round of the delta feed of `folder` and returns the resulting
+ * SSE events. Only unread messages are taken in; `ensureSummary` stores a
+ * message together with its summary. Read messages that were never stored are
+ * ignored, messages marked unread again or with a changed header are reported
+ * as `updated`.
+ */
+export const applyMailDelta = async (
+  db: cds.Service,
+  userId: string,
+  delta: MailDelta,
+  ensureSummary: (message: MailHeader) => Promise<MailInboxItem | null>,
+  folder?: MailFolderTarget | null
+): Promise<MailInboxEvent[]> => {
+  const events: MailInboxEvent[] = [];
+  for (const message of delta.messages) {
+    if (!message?.id) continue;
+    const existing = await findInboxItem(db, userId, message.id);
+    if (!existing) {
+      if (message.isRead) continue;
+      const item = await ensureSummary(message);
+      if (item) events.push({ type: 'new', item });
+      continue;
+    }
+    if (message.isRead) {
+      await upsertInboxMessage(db, userId, message, folder);
+      if (!existing.isRead) events.push({ type: 'read', id: message.id, folder: itemFolder(existing) });
+      continue;
+    }
+    if (existing.isRead || headerChanged(existing, message)) {
+      const item = await ensureSummary(message);
+      if (item) events.push({ type: 'updated', item });
+    }
+  }
+  for (const id of delta.removedIds) {
+    const existing = await findInboxItem(db, userId, id);
+    if (!existing) continue;
+    await db.run(DELETE.from(ITEMS).where({ ID: existing.ID }));
+    events.push({ type: 'deleted', id, folder: itemFolder(existing) });
+  }
+  return events;
+};
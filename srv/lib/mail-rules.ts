@@ -0,0 +1,243 @@
+// srv/lib/mail-rules.ts
+// Rule engine for incoming mails. After triage the notification poller matches
+// the active MailRules (category, sender domain, attachment type, keywords)
+// and runs their actions through the caller's executor: move, flag, create a
+// claim draft or assign an adjuster. Every action is logged in
+// MailRuleExecutions per mailbox, message and rule; a rule succeeds at most
+// once per message, so later delta rounds, restarts and the pollers of other
+// users watching the same shared mailbox do not repeat it. A failed action is
+// retried when the message is processed again (next delta round it appears
+// in), at most MAX_ATTEMPTS times in total; after that the FAILED entry is
+// final.
+
+import cds from '@sap/cds';
+
+export type MailRuleAction = 'MOVE' | 'FLAG' | 'CREATE_CLAIM' | 'ASSIGN';
+
+export interface MailRule {
+  ID: string;
+  name: string;
+  sortOrder: number | null;
+  category: string | null;
+  senderDomain: string | null;
+  attachmentType: string | null;
+  keywords: string | null;
+  action: MailRuleAction;
+  targetFolder: string | null;
+  adjuster: string | null;
+  stopProcessing: boolean;
+}
+
+export interface MailRuleContext {
+  /** Shared mailbox of the message; null for the user's own mailbox. */
+  mailbox?: string | null;
+  messageId: string;
+  subject: string | null;
+  senderAddress: string | null;
+  category: string | null;
+  /** Folder the message is in; a MOVE into the same folder is skipped. */
+  folderId?: string | null;
+  /** Plain text body. */
+  text: string;
+  attachments: Array<{ name?: string | null; contentType?: string | null; isInline?: boolean }>;
+}
+
+/** Performs the actions; results are logged by runMailRules. */
+export interface MailRuleExecutor {
+  move(targetFolder: string): Promise<void>;
+  flag(): Promise<void>;
+  /** Returns the ID of the created claim draft. */
+  createClaim(): Promise<string>;
+  assign(adjuster: string): Promise<void>;
+}
+
+export interface MailRuleExecution {
+  rule: string;
+  action: MailRuleAction;
+  status: 'DONE' | 'FAILED';
+  message: string | null;
+  claimId: string | null;
+}
+
+const RULES = 'kfz.claims.MailRules';
+const EXECUTIONS = 'kfz.claims.MailRuleExecutions';
+
+export const MAX_ATTEMPTS = 3;
+
+// Executions in progress in this process (pollers of several users run interleaved)
+const running = new Set<string>();
+
+const lower = (value: unknown): string => String(value ?? '').trim().toLowerCase();
+
+const keywordList = (value: string | null): string[] =>
+  String(value ?? '').split(',').map(lower).filter(Boolean);
+
+const senderDomain = (address: string | null): string => lower(address).split('@')[1] || '';
+
+const matchesAttachment = (pattern: string, attachment: MailRuleContext['attachments'][number]): boolean => {
+  if (attachment.isInline) return false;
+  if (pattern.startsWith('.')) return lower(attachment.name).endsWith(pattern);
+  return lower(attachment.contentType).startsWith(pattern);
+};
+
+/** True if all filled conditions of the rule hold; a rule without conditions never matches. */
+export const matchesRule = (rule: MailRule, context: MailRuleContext): boolean => {
+  const conditions: boolean[] = [];
+  if (lower(rule.category)) {
+    conditions.push(lower(rule.category) === lower(context.category));
+  }
+  const domain = lower(rule.senderDomain).replace(/^@/, '');
+  if (domain) {
+    const sender = senderDomain(context.senderAddress);
+    conditions.push(sender === domain || sender.endsWith(`.${domain}`));
+  }
+  const attachmentType = lower(rule.attachmentType);
+  if (attachmentType) {
+    conditions.push(context.attachments.some((attachment) => matchesAttachment(attachmentType, attachment)));
+  }
+  const keywords = keywordList(rule.keywords);
+  if (keywords.length) {
+    const haystack = lower(`${context.subject || ''}\n${context.text}`);
+    conditions.push(keywords.some((keyword) => haystack.includes(keyword)));
+  }
+  return conditions.length > 0 && conditions.every(Boolean);
+};
+
+/**
+ * Matching rules in the order they are executed: by sortOrder up to the first
+ * matching stopProcessing rule, MOVE last (Graph gives a moved message a new id).
+ */
+export const selectMailRules = (rules: MailRule[], context: MailRuleContext): MailRule[] => {
+  const selected: MailRule[] = [];
+  const sorted = [...rules].sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+  for (const rule of sorted) {
+    if (!matchesRule(rule, context)) continue;
+    if (rule.action === 'MOVE' && lower(rule.targetFolder) === lower(context.folderId)) continue;
+    selected.push(rule);
+    if (rule.stopProcessing) break;
+  }
+  return [...selected.filter((rule) => rule.action !== 'MOVE'), ...selected.filter((rule) => rule.action === 'MOVE')];
+};
+
+export const loadMailRules = async (db: cds.Service): Promise<MailRule[]> => {
+  const rows = await db.run(SELECT.from(RULES).where({ active: true })) as Array<Record<string, any>>;
+  return (rows || []).map((row) => ({
+    ID: row.ID,
+    name: row.name,
+    sortOrder: row.sortOrder ?? null,
+    category: row.category || null,
+    senderDomain: row.senderDomain || null,
+    attachmentType: row.attachmentType || null,
+    keywords: row.keywords || null,
+    action: row.action,
+    targetFolder: row.targetFolder || null,
+    adjuster: row.adjuster || null,
+    stopProcessing: Boolean(row.stopProcessing)
+  }));
+};
+
+const runAction = async (rule: MailRule, executor: MailRuleExecutor): Promise<{ message: string; claimId: string | null }> => {
+  switch (rule.action) {
+    case 'MOVE':
+      if (!rule.targetFolder) throw new Error('Kein Zielordner hinterlegt.');
+      await executor.move(rule.targetFolder);
+      return { message: `Verschoben nach "${rule.targetFolder}".`, claimId: null };
+    case 'FLAG':
+      await executor.flag();
+      return { message: 'Zur Nachverfolgung markiert.', claimId: null };
+    case 'CREATE_CLAIM': {
+      const claimId = await executor.createClaim();
+      return { message: 'Schadenfall-Entwurf angelegt.', claimId };
+    }
+    case 'ASSIGN':
+      if (!rule.adjuster) throw new Error('Kein Sachbearbeiter hinterlegt.');
+      await executor.assign(rule.adjuster);
+      return { message: `Zugewiesen an ${rule.adjuster}.`, claimId: null };
+    default:
+      throw new Error(`Unbekannte Aktion "${rule.action}".`);
+  }
+};
+
+/**
+ * Mailbox a message belongs to in MailRuleExecutions: the shared mailbox, else
+ * the owner of the own mailbox.
+ */
+export const executionMailbox = (userId: string, mailbox: string | null | undefined): string =>
+  lower(mailbox) || lower(userId);
+
+/**
+ * Runs the matching rules of a message that have not succeeded for it yet and
+ * logs each action. A failed action is logged as FAILED and does not stop the
+ * other rules; it is retried on the next call until MAX_ATTEMPTS is reached.
+ * A rule running for the same message in another call is skipped.
+ */
+export const runMailRules = async (
+  db: cds.Service,
+  userId: string,
+  context: MailRuleContext,
+  executor: MailRuleExecutor,
+  rules?: MailRule[]
+): Promise<MailRuleExecution[]> => {
+  const selected = selectMailRules(rules ?? await loadMailRules(db), context);
+  if (!selected.length) return [];
+  const mailbox = executionMailbox(userId, context.mailbox);
+
+  const executions: MailRuleExecution[] = [];
+  for (const rule of selected) {
+    const key = `${mailbox}\n${context.messageId}\n${rule.ID}`;
+    if (running.has(key)) continue;
+    running.add(key);
+    try {
+      const execution = await runRule(db, userId, mailbox, context, rule, executor);
+      if (execution) executions.push(execution);
+    } finally {
+      running.delete(key);
+    }
+  }
+  return executions;
+};
+
+// Runs and logs one rule unless it succeeded or failed finally for the message; null if skipped
+const runRule = async (
+  db: cds.Service,
+  userId: string,
+  mailbox: string,
+  context: MailRuleContext,
+  rule: MailRule,
+  executor: MailRuleExecutor
+): Promise<MailRuleExecution | null> => {
+  const last = await db.run(
+    SELECT.one.from(EXECUTIONS).columns('ID', 'status', 'attempts').where({ mailbox, messageId: context.messageId, rule_ID: rule.ID })
+  ) as { ID: string; status: string; attempts: number | null } | null;
+  const attempts = last ? last.attempts ?? 1 : 0;
+  if (last && (last.status !== 'FAILED' || attempts >= MAX_ATTEMPTS)) return null;
+  let execution: MailRuleExecution;
+  try {
+    const result = await runAction(rule, executor);
+    execution = { rule: rule.name, action: rule.action, status: 'DONE', message: result.message, claimId: result.claimId };
+  } catch (error) {
+    execution = { rule: rule.name, action: rule.action, status: 'FAILED', message: (error as Error)?.message || String(error), claimId: null };
+  }
+  const fields = {
+    userId,
+    status: execution.status,
+    message: execution.message ? execution.message.slice(0, 1000) : null,
+    claim_ID: execution.claimId,
+    attempts: attempts + 1
+  };
+  if (last) {
+    await db.run(UPDATE(EXECUTIONS).set(fields).where({ ID: last.ID }));
+  } else {
+    await db.run(INSERT.into(EXECUTIONS).entries({
+      ID: cds.utils.uuid(),
+      mailbox,
+      messageId: context.messageId,
+      subject: context.subject ? context.subject.slice(0, 500) : null,
+      rule_ID: rule.ID,
+      ruleName: rule.name,
+      action: rule.action,
+      ...fields
+    }));
+  }
+  return execution;
+};
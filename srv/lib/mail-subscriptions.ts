@@ -0,0 +1,246 @@
+// srv/lib/mail-subscriptions.ts
+// Microsoft Graph change notifications for the mail pipeline. Subscriptions on
+// the messages of each watched folder (own inbox by default, see
+// srv/lib/mail-folders.ts) are stored per user in MailSubscriptions together with a
+// random clientState; incoming callbacks are only accepted for a known
+// subscription with the matching clientState. Graph limits message
+// subscriptions to a few days, so they are renewed ahead of expiry while the
+// user's poller runs; subscriptions of stopped pollers or removed folders are
+// deleted on Graph and locally.
+//
+// Configuration (environment):
+//   CLAIMAI_GRAPH_WEBHOOK_URL  public URL of /service/claims/notifications/webhook;
+//                              without it the poller keeps its short interval
+
+import cds from '@sap/cds';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import type { GraphSubscription } from '../m365-mcp/graph-client.js';
+
+export interface MailSubscription {
+  ID: string;
+  userId: string;
+  subscriptionId: string;
+  resource: string;
+  clientState: string;
+  expirationDateTime: string | null;
+}
+
+export interface SubscriptionClient {
+  createSubscription(input: {
+    resource: string;
+    notificationUrl: string;
+    clientState: string;
+    expirationDateTime: string;
+    lifecycleNotificationUrl?: string;
+  }): Promise<GraphSubscription>;
+  renewSubscription(subscriptionId: string, expirationDateTime: string): Promise<GraphSubscription>;
+  deleteSubscription(subscriptionId: string): Promise<void>;
+}
+
+/** Entry of the `value` array of a Graph notification payload. */
+export interface GraphNotification {
+  subscriptionId?: string;
+  clientState?: string;
+  changeType?: string;
+  resource?: string;
+  lifecycleEvent?: string;
+  resourceData?: { id?: string } | null;
+}
+
+export interface AcceptedNotification {
+  subscription: MailSubscription;
+  notification: GraphNotification;
+}
+
+const SUBSCRIPTIONS = 'kfz.claims.MailSubscriptions';
+
+// Subscriptions of the local stand-in are never registered with Graph
+const LOCAL_PREFIX = 'local-';
+
+export const MAIL_RESOURCE = "me/mailFolders('inbox')/messages";
+
+// Below the Graph maximum for Outlook messages; renewed once less than RENEW_BEFORE_MS remain
+const SUBSCRIPTION_LIFETIME_MS = 2 * 24 * 60 * 60 * 1000;
+const RENEW_BEFORE_MS = 12 * 60 * 60 * 1000;
+
+export const webhookUrl = (): string | null => (process.env.CLAIMAI_GRAPH_WEBHOOK_URL || '').trim() || null;
+
+export const subscriptionExpiry = (now: Date = new Date()): string =>
+  new Date(now.getTime() + SUBSCRIPTION_LIFETIME_MS).toISOString();
+
+const needsRenewal = (subscription: MailSubscription, now: Date): boolean => {
+  const expires = subscription.expirationDateTime ? new Date(subscription.expirationDateTime).getTime() : 0;
+  return !Number.isFinite(expires) || expires - now.getTime() < RENEW_BEFORE_MS;
+};
+
+const sameSecret = (expected: string, actual: string | undefined): boolean => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual ?? '');
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+export const findUserSubscription = async (db: cds.Service, userId: string, resource = MAIL_RESOURCE): Promise<MailSubscription | null> =>
+  await db.run(SELECT.one.from(SUBSCRIPTIONS).where({ userId, resource })) as MailSubscription | null;
+
+/** Stores a subscription (replacing an older one of the same user and resource). */
+export const saveSubscription = async (
+  db: cds.Service,
+  userId: string,
+  subscription: GraphSubscription,
+  clientState: string,
+  resource = MAIL_RESOURCE
+): Promise<MailSubscription> => {
+  await db.run(DELETE.from(SUBSCRIPTIONS).where({ userId, resource }));
+  const row: MailSubscription = {
+    ID: cds.utils.uuid(),
+    userId,
+    subscriptionId: subscription.id,
+    resource,
+    clientState,
+    expirationDateTime: subscription.expirationDateTime
+  };
+  await db.run(INSERT.into(SUBSCRIPTIONS).entries(row));
+  return row;
+};
+
+/**
+ * Returns an active subscription of the user on `resource` (default: own
+ * inbox): an existing one is renewed when it is about to expire, a failed
+ * renewal (e.g. removed by Graph) falls back to creating a new one.
+ */
+export const ensureMailSubscription = async (
+  db: cds.Service,
+  graph: SubscriptionClient,
+  userId: string,
+  notificationUrl: string,
+  resource: string = MAIL_RESOURCE,
+  now: Date = new Date()
+): Promise<MailSubscription> => {
+  const existing = await findUserSubscription(db, userId, resource);
+  if (existing && !needsRenewal(existing, now)) return existing;
+  if (existing) {
+    try {
+      const renewed = await graph.renewSubscription(existing.subscriptionId, subscriptionExpiry(now));
+      await db.run(UPDATE(SUBSCRIPTIONS).set({ expirationDateTime: renewed.expirationDateTime }).where({ ID: existing.ID }));
+      return { ...existing, expirationDateTime: renewed.expirationDateTime };
+    } catch {
+      // Subscription is gone on the Graph side; create a new one below
+    }
+  }
+  const clientState = randomBytes(24).toString('hex');
+  const created = await graph.createSubscription({
+    resource,
+    notificationUrl,
+    lifecycleNotificationUrl: notificationUrl,
+    clientState,
+    expirationDateTime: subscriptionExpiry(now)
+  });
+  return await saveSubscription(db, userId, created, clientState, resource);
+};
+
+const deleteRow = async (db: cds.Service, graph: SubscriptionClient, row: MailSubscription): Promise<string | null> => {
+  let error: string | null = null;
+  if (!row.subscriptionId.startsWith(LOCAL_PREFIX)) {
+    try {
+      await graph.deleteSubscription(row.subscriptionId);
+    } catch (e: any) {
+      // Already gone on the Graph side (404) is fine; otherwise it expires on its own
+      if (e?.status !== 404) error = `${row.subscriptionId}: ${e?.message || e}`;
+    }
+  }
+  await db.run(DELETE.from(SUBSCRIPTIONS).where({ ID: row.ID }));
+  return error;
+};
+
+/**
+ * Deletes the subscriptions of the user whose resource is not in
+ * `keepResources` (default: all of them). Returns the failed Graph deletions;
+ * the local rows are removed in any case.
+ */
+export const removeSubscriptions = async (
+  db: cds.Service,
+  graph: SubscriptionClient,
+  userId: string,
+  keepResources: string[] = []
+): Promise<string[]> => {
+  const rows = await db.run(SELECT.from(SUBSCRIPTIONS).where({ userId })) as MailSubscription[];
+  const errors: string[] = [];
+  for (const row of rows || []) {
+    if (keepResources.includes(row.resource)) continue;
+    const error = await deleteRow(db, graph, row);
+    if (error) errors.push(error);
+  }
+  return errors;
+};
+
+/**
+ * Renews the stored subscriptions that expire soon. Subscriptions for which
+ * `isActive` is false (poller stopped, folder no longer watched) are deleted
+ * instead of renewed.
+ */
+export const renewExpiringSubscriptions = async (
+  db: cds.Service,
+  graph: SubscriptionClient,
+  notificationUrl: string,
+  isActive: (subscription: MailSubscription) => boolean | Promise<boolean>,
+  now: Date = new Date()
+): Promise<{ renewed: number; removed: number }> => {
+  const rows = await db.run(SELECT.from(SUBSCRIPTIONS)) as MailSubscription[];
+  let renewed = 0;
+  let removed = 0;
+  for (const row of rows || []) {
+    if (!await isActive(row)) {
+      await deleteRow(db, graph, row);
+      removed += 1;
+      continue;
+    }
+    if (!needsRenewal(row, now)) continue;
+    await ensureMailSubscription(db, graph, row.userId, notificationUrl, row.resource || MAIL_RESOURCE, now);
+    renewed += 1;
+  }
+  return { renewed, removed };
+};
+
+/**
+ * Checks the clientState of each notification against the stored
+ * subscription. Unknown subscriptions and mismatching secrets are rejected.
+ */
+export const verifyNotifications = async (
+  db: cds.Service,
+  notifications: GraphNotification[]
+): Promise<{ accepted: AcceptedNotification[]; rejected: number }> => {
+  const accepted: AcceptedNotification[] = [];
+  let rejected = 0;
+  for (const notification of notifications) {
+    const subscription = notification?.subscriptionId
+      ? await db.run(SELECT.one.from(SUBSCRIPTIONS).where({ subscriptionId: notification.subscriptionId })) as MailSubscription | null
+      : null;
+    if (!subscription || !sameSecret(subscription.clientState, notification.clientState)) {
+      rejected += 1;
+      continue;
+    }
+    accepted.push({ subscription, notification });
+  }
+  return { accepted, rejected };
+};
+
+/**
+ * Subscription for the local stand-in: stored like a Graph subscription, but
+ * never registered with Graph (the renewal replaces it once a webhook URL is set).
+ */
+export const ensureLocalSubscription = async (db: cds.Service, userId: string): Promise<MailSubscription> =>
+  await findUserSubscription(db, userId) || await saveSubscription(
+    db,
+    userId,
+    { id: `${LOCAL_PREFIX}${cds.utils.uuid()}`, resource: MAIL_RESOURCE, expirationDateTime: subscriptionExpiry() },
+    randomBytes(24).toString('hex')
+  );
+
+/** Sample notification for a new message, as Graph would post it (local stand-in). */
+export const sampleNotification = (subscription: MailSubscription, messageId: string): GraphNotification => ({
+  subscriptionId: subscription.subscriptionId,
+  clientState: subscription.clientState,
+  changeType: 'created',
+  resource: `Users/${subscription.userId}/Messages/${messageId}`,
+  resourceData: { id: messageId }
+});
@@ -0,0 +1,89 @@
+// srv/lib/policy-coverage.ts
+// Policy master data checks: a claim's policy must cover the incident date
+// (valid_from..valid_to) and the insured vehicle (VIN and license plate, each
+// compared only if both sides are filled). Shared by the Claims save handler
+// and the cap.policy.check agent tool.
+
+import cds from '@sap/cds';
+
+export interface PolicyFacts {
+  ID: string;
+  policy_number: string;
+  holder_name?: string | null;
+  vehicle_vin?: string | null;
+  vehicle_license?: string | null;
+  coverage_type?: string | null;
+  deductible?: number | string | null;
+  valid_from?: string | null;
+  valid_to?: string | null;
+}
+
+export interface CoverageInput {
+  incident_date?: string | Date | null;
+  vehicle_vin?: string | null;
+  vehicle_license?: string | null;
+}
+
+export interface CoverageViolation {
+  target: 'incident_date' | 'vehicle_vin' | 'vehicle_license';
+  message: string;
+}
+
+const POLICIES = 'kfz.claims.Policies';
+
+const normalize = (value: unknown): string => String(value ?? '').replace(/[\s.\-]+/g, '').toUpperCase();
+
+// Calendar day (YYYY-MM-DD) of a timestamp; validity dates are plain dates
+const toDay = (value: unknown): string | null => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+const formatDay = (day: string): string => {
+  const [year, month, date] = day.split('-');
+  return `${date}.${month}.${year}`;
+};
+
+/** Checks coverage of `claim` by `policy` (no database access). */
+export const checkPolicyCoverage = (policy: PolicyFacts, claim: CoverageInput): CoverageViolation[] => {
+  const violations: CoverageViolation[] = [];
+
+  const incident = toDay(claim.incident_date);
+  const from = toDay(policy.valid_from);
+  const to = toDay(policy.valid_to);
+  if (incident && ((from && incident < from) || (to && incident > to))) {
+    const period = `${from ? formatDay(from) : 'offen'} – ${to ? formatDay(to) : 'offen'}`;
+    violations.push({
+      target: 'incident_date',
+      message: `Schadendatum ${formatDay(incident)} liegt ausserhalb der Deckung von Police ${policy.policy_number} (${period}).`
+    });
+  }
+
+  const vin = normalize(claim.vehicle_vin);
+  const policyVin = normalize(policy.vehicle_vin);
+  if (vin && policyVin && vin !== policyVin) {
+    violations.push({
+      target: 'vehicle_vin',
+      message: `Fahrgestellnummer ${claim.vehicle_vin} stimmt nicht mit dem versicherten Fahrzeug der Police ${policy.policy_number} (${policy.vehicle_vin}) überein.`
+    });
+  }
+
+  const license = normalize(claim.vehicle_license);
+  const policyLicense = normalize(policy.vehicle_license);
+  if (license && policyLicense && license !== policyLicense) {
+    violations.push({
+      target: 'vehicle_license',
+      message: `Kennzeichen ${claim.vehicle_license} stimmt nicht mit dem versicherten Fahrzeug der Police ${policy.policy_number} (${policy.vehicle_license}) überein.`
+    });
+  }
+
+  return violations;
+};
+
+/** Looks up a policy by its number. */
+export const findPolicy = async (db: cds.Service, policyNumber: string | null | undefined): Promise<PolicyFacts | null> => {
+  const number = String(policyNumber ?? '').trim();
+  if (!number) return null;
+  return await db.run(SELECT.one.from(POLICIES).where({ policy_number: number })) as PolicyFacts | null;
+};
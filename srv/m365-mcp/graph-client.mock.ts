@@ -83,6 +83,11 @@ export class GraphClientMock {
     return message;
   }
 
+  async getMessage(messageId: string) {
+    const fixtures = this.ensureLoaded();
+    return fixtures.messages.find((m) => m.id === messageId) || null;
+  }
+
   async listMessages({ folderId = 'inbox', maxResults = 20 }: { folderId?: string; maxResults?: number } = {}) {
     const fixtures = this.ensureLoaded();
     const top = Math.max(1, Math.min(200, Number(maxResults || 20)));
@@ -96,6 +101,22 @@ export class GraphClientMock {
     return unread.slice(0, top);
   }
 
+  // The first round returns all fixtures, later rounds only report no changes
+  async listMessageDelta({ deltaLink }: { folderId?: string; mailbox?: string | null; deltaLink?: string | null } = {}) {
+    const fixtures = this.ensureLoaded();
+    return {
+      messages: deltaLink ? [] : fixtures.messages,
+      removedIds: [] as string[],
+      deltaLink: 'mock-delta'
+    };
+  }
+
+  async listMessageAttachments(messageId: string) {
+    const fixtures = this.ensureLoaded();
+    const msg = fixtures.messages.find((m) => m.id === messageId);
+    return msg?.attachments || [];
+  }
+
   async markMessageRead(messageId: string, isRead = true) {
     const fixtures = this.ensureLoaded();
     const msg = fixtures.messages.find((m) => m.id === messageId);
@@ -103,6 +124,18 @@ export class GraphClientMock {
     return { id: messageId, isRead: Boolean(isRead) };
   }
 
+  async moveMessage(messageId: string, _destinationId: string, _mailbox?: string | null) {
+    return { id: messageId };
+  }
+
+  async flagMessage(messageId: string, flagStatus = 'flagged', _mailbox?: string | null) {
+    return { id: messageId, flagStatus };
+  }
+
+  async getMailFolder({ folderId = 'inbox' }: { folderId?: string; mailbox?: string | null } = {}) {
+    return { id: folderId, displayName: folderId === 'inbox' ? 'Inbox' : folderId };
+  }
+
   async replyToMessage({ messageId, comment = '', body, contentType = 'Text', replyAll = false }: any) {
     if (!messageId) throw new Error('messageId is required');
     // Purely simulated; no mutation required
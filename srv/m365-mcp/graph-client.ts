@@ -42,6 +42,7 @@ interface RequestOptions {
 
 interface LatestMessageInput {
   folderId?: string;
+  mailbox?: string | null;
 }
 
 interface ReplyToMessageInput {
@@ -50,12 +51,14 @@ interface ReplyToMessageInput {
   body?: string;
   contentType?: string;
   replyAll?: boolean;
+  mailbox?: string | null;
 }
 
 interface DownloadAttachmentInput {
   messageId: string;
   attachmentId: string;
   targetPath: string;
+  mailbox?: string | null;
 }
 
 interface ListMessagesInput {
@@ -64,6 +67,44 @@ interface ListMessagesInput {
   endDateTime?: string;
   maxResults?: number;
   onlyUnread?: boolean;
+  mailbox?: string | null;
+}
+
+interface MessageDeltaInput {
+  folderId?: string;
+  /** Shared mailbox (UPN or address); the signed-in user's mailbox if omitted. */
+  mailbox?: string | null;
+  /** @odata.deltaLink of the previous round; omitted for the initial sync. */
+  deltaLink?: string | null;
+  /** Initial sync only: oldest receivedDateTime to include. */
+  startDateTime?: string;
+  pageSize?: number;
+}
+
+export interface MessageDeltaResult {
+  messages: Array<{ id: string; [key: string]: any }>;
+  removedIds: string[];
+  deltaLink: string | null;
+}
+
+interface CreateSubscriptionInput {
+  resource: string;
+  notificationUrl: string;
+  clientState: string;
+  expirationDateTime: string;
+  changeType?: string;
+  lifecycleNotificationUrl?: string;
+}
+
+export interface GraphMailFolder {
+  id: string;
+  displayName: string;
+}
+
+export interface GraphSubscription {
+  id: string;
+  resource: string;
+  expirationDateTime: string;
 }
 
 interface CalendarEventsInput {
@@ -114,6 +155,15 @@ export class GraphClient {
     this.scopesOptionSupported = true;
   }
 
+  // Message endpoints address a shared mailbox as /users/{mailbox}, which needs the *.Shared scopes
+  private mailboxRoot(mailbox?: string | null): string {
+    return mailbox ? `/users/${encodeURIComponent(mailbox)}` : '/me';
+  }
+
+  private mailScopes(mailbox: string | null | undefined, scope: 'Mail.Read' | 'Mail.ReadWrite' | 'Mail.Send'): string[] {
+    return [mailbox ? `${scope}.Shared` : scope];
+  }
+
   async bootstrap(scopes: string[] = ['Mail.Read']): Promise<void> {
     this.logger.log?.('Initializing Microsoft 365 in-process MCP client...');
     try {
@@ -246,7 +296,9 @@ export class GraphClient {
     const response = await fetch(url, requestInit);
     if (!response.ok) {
       const errorBody = await response.text();
-      throw new Error(`Graph request failed (${response.status} ${response.statusText}): ${errorBody}`);
+      const error = new Error(`Graph request failed (${response.status} ${response.statusText}): ${errorBody}`) as Error & { status?: number };
+      error.status = response.status;
+      throw error;
     }
     const contentType = response.headers.get('content-type') || '';
     if (contentType.includes('application/json')) {
@@ -255,26 +307,76 @@ export class GraphClient {
     return Buffer.from(await response.arrayBuffer()) as T;
   }
 
-  async getMessageById(messageId: string): Promise<{ id: string; subject?: string } | null> {
+  async getMessageById(messageId: string, mailbox?: string | null): Promise<{ id: string; subject?: string } | null> {
     if (!messageId) return null;
     const data = await this.request<any>(
       'GET',
-      `/me/messages/${encodeURIComponent(messageId)}`,
+      `${this.mailboxRoot(mailbox)}/messages/${encodeURIComponent(messageId)}`,
       {
         query: {
           '$select': 'id,subject'
         },
-        scopes: ['Mail.Read']
+        scopes: this.mailScopes(mailbox, 'Mail.Read')
       }
     );
     if (!data || !data.id) return null;
     return { id: data.id, subject: data.subject };
   }
 
-  async getLatestMessage({ folderId = 'inbox' }: LatestMessageInput = {}) {
+  /** Full message (body and attachment metadata) by id, null if it does not exist. */
+  async getMessage(messageId: string, mailbox?: string | null) {
+    if (!messageId) return null;
+    let message: any;
+    try {
+      message = await this.request<any>(
+        'GET',
+        `${this.mailboxRoot(mailbox)}/messages/${encodeURIComponent(messageId)}`,
+        {
+          query: {
+            '$select': 'id,subject,from,toRecipients,receivedDateTime,hasAttachments,bodyPreview,body,isRead,webLink,conversationId',
+            '$expand': 'attachments($select=id,name,contentType,size,isInline)'
+          },
+          scopes: this.mailScopes(mailbox, 'Mail.Read')
+        }
+      );
+    } catch (error) {
+      if ((error as { status?: number }).status === 404) return null;
+      throw error;
+    }
+    if (!message?.id) return null;
+    return {
+      id: message.id,
+      subject: message.subject,
+      from: message.from?.emailAddress || null,
+      toRecipients: (message.toRecipients || []).map((entry: any) => entry.emailAddress),
+      receivedDateTime: message.receivedDateTime,
+      isRead: Boolean(message.isRead),
+      webLink: message.webLink,
+      conversationId: message.conversationId || null,
+      hasAttachments: Boolean(message.hasAttachments),
+      bodyPreview: message.bodyPreview || null,
+      body: message.body
+        ? {
+            contentType: message.body.contentType,
+            content: message.body.content
+          }
+        : null,
+      attachments: Array.isArray(message.attachments)
+        ? message.attachments.map((attachment: any) => ({
+            id: attachment.id,
+            name: attachment.name,
+            contentType: attachment.contentType,
+            size: attachment.size,
+            isInline: attachment.isInline
+          }))
+        : []
+    };
+  }
+
+  async getLatestMessage({ folderId = 'inbox', mailbox }: LatestMessageInput = {}) {
     const data = await this.request<any>(
       'GET',
-      `/me/mailFolders/${encodeURIComponent(folderId)}/messages`,
+      `${this.mailboxRoot(mailbox)}/mailFolders/${encodeURIComponent(folderId)}/messages`,
       {
         query: {
           '$top': '1',
@@ -282,7 +384,7 @@ export class GraphClient {
           '$select': 'id,subject,from,toRecipients,receivedDateTime,hasAttachments,bodyPreview,body,isRead,webLink',
           '$expand': 'attachments($select=id,name,contentType,size,isInline)'
         },
-        scopes: ['Mail.Read']
+        scopes: this.mailScopes(mailbox, 'Mail.Read')
       }
     );
     const message = Array.isArray(data.value) && data.value.length ? data.value[0] : null;
@@ -317,7 +419,7 @@ export class GraphClient {
     };
   }
 
-  async replyToMessage({ messageId, comment = '', body, contentType = 'Text', replyAll = false }: ReplyToMessageInput) {
+  async replyToMessage({ messageId, comment = '', body, contentType = 'Text', replyAll = false, mailbox }: ReplyToMessageInput) {
     if (!messageId) {
       throw new Error('messageId is required to reply to a mail.');
     }
@@ -337,12 +439,12 @@ export class GraphClient {
     }
 
     const endpoint = replyAll
-      ? `/me/messages/${encodeURIComponent(messageId)}/replyAll`
-      : `/me/messages/${encodeURIComponent(messageId)}/reply`;
+      ? `${this.mailboxRoot(mailbox)}/messages/${encodeURIComponent(messageId)}/replyAll`
+      : `${this.mailboxRoot(mailbox)}/messages/${encodeURIComponent(messageId)}/reply`;
 
     await this.request('POST', endpoint, {
       body: payload,
-      scopes: ['Mail.Send']
+      scopes: this.mailScopes(mailbox, 'Mail.Send')
     });
 
     return {
@@ -351,7 +453,7 @@ export class GraphClient {
     };
   }
 
-  async downloadAttachment({ messageId, attachmentId, targetPath }: DownloadAttachmentInput) {
+  async downloadAttachment({ messageId, attachmentId, targetPath, mailbox }: DownloadAttachmentInput) {
     if (!messageId || !attachmentId || !targetPath) {
       throw new Error('messageId, attachmentId and targetPath are required for attachment download.');
     }
@@ -366,9 +468,9 @@ export class GraphClient {
 
     const attachmentBinary = await this.request<Buffer>(
       'GET',
-      `/me/messages/${encodeURIComponent(messageId)}/attachments/${encodeURIComponent(attachmentId)}/$value`,
+      `${this.mailboxRoot(mailbox)}/messages/${encodeURIComponent(messageId)}/attachments/${encodeURIComponent(attachmentId)}/$value`,
       {
-        scopes: ['Mail.Read'],
+        scopes: this.mailScopes(mailbox, 'Mail.Read'),
         headers: {
           Accept: 'application/octet-stream'
         }
@@ -394,7 +496,7 @@ export class GraphClient {
     };
   }
 
-  async listMessages({ folderId = 'inbox', startDateTime, endDateTime, maxResults = 20, onlyUnread = false }: ListMessagesInput = {}) {
+  async listMessages({ folderId = 'inbox', startDateTime, endDateTime, maxResults = 20, onlyUnread = false, mailbox }: ListMessagesInput = {}) {
     const numericMax = typeof maxResults === 'number' ? maxResults : undefined;
     const safeTop = Number.isInteger(numericMax ?? NaN)
       ? Math.min(Math.max(numericMax as number, 1), 200)
@@ -424,10 +526,10 @@ export class GraphClient {
 
     const data = await this.request<any>(
       'GET',
-      `/me/mailFolders/${encodeURIComponent(folderId)}/messages`,
+      `${this.mailboxRoot(mailbox)}/mailFolders/${encodeURIComponent(folderId)}/messages`,
       {
         query,
-        scopes: ['Mail.Read']
+        scopes: this.mailScopes(mailbox, 'Mail.Read')
       }
     );
 
@@ -453,21 +555,169 @@ export class GraphClient {
     }));
   }
 
-  async listUnreadMessages({ folderId = 'inbox', maxResults = 20 }: { folderId?: string; maxResults?: number } = {}) {
-    return this.listMessages({ folderId, maxResults, onlyUnread: true });
+  /**
+   * Changes of a mail folder since `deltaLink` (messages/delta). Follows all
+   * @odata.nextLink pages and returns the new deltaLink for the next round.
+   * Graph answers an expired deltaLink with 410; callers restart without it.
+   * Delta queries do not support $expand, so attachments are not included.
+   */
+  async listMessageDelta({ folderId = 'inbox', mailbox, deltaLink, startDateTime, pageSize = 50 }: MessageDeltaInput = {}): Promise<MessageDeltaResult> {
+    const headers = { Prefer: `odata.maxpagesize=${Math.min(Math.max(pageSize, 1), 200)}` };
+    const scopes = this.mailScopes(mailbox, 'Mail.Read');
+    let next: string | null = deltaLink || `${this.mailboxRoot(mailbox)}/mailFolders/${encodeURIComponent(folderId)}/messages/delta`;
+    let query: Record<string, string> = deltaLink
+      ? {}
+      : {
+          '$select': 'id,subject,from,toRecipients,receivedDateTime,hasAttachments,bodyPreview,body,isRead,webLink,conversationId',
+          ...(startDateTime ? { '$filter': `receivedDateTime ge ${startDateTime}` } : {})
+        };
+
+    const messages: MessageDeltaResult['messages'] = [];
+    const removedIds: string[] = [];
+    let nextDeltaLink: string | null = null;
+    while (next) {
+      const data: any = await this.request<any>('GET', next, { query, headers, scopes });
+      for (const message of data.value || []) {
+        if (message['@removed']) {
+          removedIds.push(message.id);
+          continue;
+        }
+        messages.push({
+          id: message.id,
+          subject: message.subject,
+          from: message.from?.emailAddress || null,
+          toRecipients: (message.toRecipients || []).map((entry: any) => entry.emailAddress),
+          receivedDateTime: message.receivedDateTime,
+          isRead: Boolean(message.isRead),
+          webLink: message.webLink,
+          conversationId: message.conversationId || null,
+          hasAttachments: Boolean(message.hasAttachments),
+          bodyPreview: message.bodyPreview || null,
+          body: message.body
+            ? {
+                contentType: message.body.contentType,
+                content: message.body.content
+              }
+            : null
+        });
+      }
+      // Paging links already carry the query options
+      query = {};
+      next = data['@odata.nextLink'] || null;
+      nextDeltaLink = data['@odata.deltaLink'] || nextDeltaLink;
+    }
+    return { messages, removedIds, deltaLink: nextDeltaLink };
   }
 
-  async markMessageRead(messageId: string, isRead = true) {
+  async listMessageAttachments(messageId: string, mailbox?: string | null) {
+    if (!messageId) throw new Error('messageId is required');
+    const data = await this.request<any>(
+      'GET',
+      `${this.mailboxRoot(mailbox)}/messages/${encodeURIComponent(messageId)}/attachments`,
+      {
+        query: { '$select': 'id,name,contentType,size,isInline' },
+        scopes: this.mailScopes(mailbox, 'Mail.Read')
+      }
+    );
+    return (data.value || []).map((attachment: any) => ({
+      id: attachment.id,
+      name: attachment.name,
+      contentType: attachment.contentType,
+      size: attachment.size,
+      isInline: attachment.isInline
+    }));
+  }
+
+  async listUnreadMessages({ folderId = 'inbox', maxResults = 20, mailbox }: { folderId?: string; maxResults?: number; mailbox?: string | null } = {}) {
+    return this.listMessages({ folderId, maxResults, onlyUnread: true, mailbox });
+  }
+
+  async markMessageRead(messageId: string, isRead = true, mailbox?: string | null) {
     if (!messageId) throw new Error('messageId is required');
     const body = { isRead: Boolean(isRead) };
     await this.request(
       'PATCH',
-      `/me/messages/${encodeURIComponent(messageId)}`,
-      { body, scopes: ['Mail.ReadWrite'] }
+      `${this.mailboxRoot(mailbox)}/messages/${encodeURIComponent(messageId)}`,
+      { body, scopes: this.mailScopes(mailbox, 'Mail.ReadWrite') }
     );
     return { id: messageId, isRead: Boolean(isRead) };
   }
 
+  /** Moves a message into another folder; Graph returns the moved copy with a new id. */
+  async moveMessage(messageId: string, destinationId: string, mailbox?: string | null): Promise<{ id: string }> {
+    if (!messageId || !destinationId) throw new Error('messageId and destinationId are required');
+    const data = await this.request<any>(
+      'POST',
+      `${this.mailboxRoot(mailbox)}/messages/${encodeURIComponent(messageId)}/move`,
+      { body: { destinationId }, scopes: this.mailScopes(mailbox, 'Mail.ReadWrite') }
+    );
+    return { id: data?.id || messageId };
+  }
+
+  async flagMessage(messageId: string, flagStatus: 'flagged' | 'complete' | 'notFlagged' = 'flagged', mailbox?: string | null) {
+    if (!messageId) throw new Error('messageId is required');
+    await this.request(
+      'PATCH',
+      `${this.mailboxRoot(mailbox)}/messages/${encodeURIComponent(messageId)}`,
+      { body: { flag: { flagStatus } }, scopes: this.mailScopes(mailbox, 'Mail.ReadWrite') }
+    );
+    return { id: messageId, flagStatus };
+  }
+
+  /** Id and display name of a mail folder (well-known name such as "inbox" or folder id). */
+  async getMailFolder({ folderId = 'inbox', mailbox }: { folderId?: string; mailbox?: string | null } = {}): Promise<GraphMailFolder> {
+    const data = await this.request<any>(
+      'GET',
+      `${this.mailboxRoot(mailbox)}/mailFolders/${encodeURIComponent(folderId)}`,
+      {
+        query: { '$select': 'id,displayName' },
+        scopes: this.mailScopes(mailbox, 'Mail.Read')
+      }
+    );
+    return { id: data.id, displayName: data.displayName };
+  }
+
+  /**
+   * Creates a change-notification subscription. Graph validates
+   * `notificationUrl` synchronously (validationToken handshake), so the
+   * webhook route must already be reachable.
+   */
+  async createSubscription({
+    resource,
+    notificationUrl,
+    clientState,
+    expirationDateTime,
+    changeType = 'created,updated,deleted',
+    lifecycleNotificationUrl
+  }: CreateSubscriptionInput): Promise<GraphSubscription> {
+    const data = await this.request<any>('POST', '/subscriptions', {
+      body: {
+        changeType,
+        notificationUrl,
+        ...(lifecycleNotificationUrl ? { lifecycleNotificationUrl } : {}),
+        resource,
+        expirationDateTime,
+        clientState
+      },
+      scopes: ['Mail.Read']
+    });
+    return { id: data.id, resource: data.resource, expirationDateTime: data.expirationDateTime };
+  }
+
+  async renewSubscription(subscriptionId: string, expirationDateTime: string): Promise<GraphSubscription> {
+    if (!subscriptionId) throw new Error('subscriptionId is required');
+    const data = await this.request<any>('PATCH', `/subscriptions/${encodeURIComponent(subscriptionId)}`, {
+      body: { expirationDateTime },
+      scopes: ['Mail.Read']
+    });
+    return { id: data.id, resource: data.resource, expirationDateTime: data.expirationDateTime };
+  }
+
+  async deleteSubscription(subscriptionId: string): Promise<void> {
+    if (!subscriptionId) throw new Error('subscriptionId is required');
+    await this.request('DELETE', `/subscriptions/${encodeURIComponent(subscriptionId)}`, { scopes: ['Mail.Read'] });
+  }
+
   async listCalendarEvents({ startDateTime, endDateTime }: CalendarEventsInput) {
     if (!startDateTime || !endDateTime) {
       throw new Error('startDateTime and endDateTime are required to list events.');
@@ -8,7 +8,8 @@ import type { JsonSchema } from '../m365-mcp/mcp-jsonschema.js';
 import path from 'node:path';
 import os from 'node:os';
 import { readFile, stat as statAsync } from 'node:fs/promises';
-import { createHash } from 'node:crypto';
+import { attachmentMetadata } from '../lib/attachment-metadata.js';
+import { checkPolicyCoverage, findPolicy } from '../lib/policy-coverage.js';
 
 type AnyRecord = Record<string, any>;
 
@@ -305,6 +306,21 @@ const toolDefinitions: Array<{ name: string; description: string; inputSchema: J
       additionalProperties: true
     }
   },
+  {
+    name: 'cap.policy.check',
+    description: 'Look up a policy (holder, vehicle, coverage type, deductible, validity) and check whether it covers a claim or the given incident date/vehicle.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        policyNumber: { type: 'string', description: 'Policy number, e.g. ACME-P-884231. Optional if claimId is given.' },
+        claimId: { type: 'string', description: 'Optional: Claim ID (UUID); policy number, incident date and vehicle are taken from the claim.' },
+        incidentDate: { type: 'string', description: 'Optional: Incident date (ISO) to check against the validity period.' },
+        vehicle_vin: { type: 'string', description: 'Optional: VIN to compare with the insured vehicle.' },
+        vehicle_license: { type: 'string', description: 'Optional: License plate to compare with the insured vehicle.' }
+      },
+      additionalProperties: false
+    }
+  },
   {
     name: 'cap.mail.triageLatest',
     description: 'Führt den ClaimAI Mail-Triage-Workflow aus (Zusammenfassung, Kategorisierung, Anhangsanreicherung).',
@@ -643,7 +659,6 @@ export async function initCapMCPClient(options: CapInitOptions) {
       throw new Error('The provided path is not a file.');
     }
     const buffer = await readFile(absPath);
-    const hash = createHash('sha256').update(buffer).digest('hex');
     const fileName = path.basename(absPath);
     const mediaType = detectMimeType(fileName);
     const relSource = path.relative(process.cwd(), absPath);
@@ -653,8 +668,7 @@ export async function initCapMCPClient(options: CapInitOptions) {
       ID: attachmentId,
       fileName,
       mediaType,
-      size: st.size,
-      sha256: hash,
+      ...attachmentMetadata(buffer, mediaType),
       sourcePath: relSource,
       note: typeof note === 'string' && note.trim() ? note : null,
       content: buffer,
@@ -1217,6 +1231,41 @@ export async function initCapMCPClient(options: CapInitOptions) {
     return toResultPayload(result, { entity: entityRef.name, action: 'ADD_CHILD', child });
   }
 
+  async function handlePolicyCheck(input: AnyRecord = {}) {
+    const { claimId } = input;
+    let facts: AnyRecord = {
+      policy_number: input.policyNumber,
+      incident_date: input.incidentDate,
+      vehicle_vin: input.vehicle_vin,
+      vehicle_license: input.vehicle_license
+    };
+    if (claimId) {
+      const claim = await db.run(
+        cds.ql.SELECT.one.from('kfz.claims.Claims')
+          .columns('policy_number', 'incident_date', 'vehicle_vin', 'vehicle_license')
+          .where({ ID: claimId })
+      );
+      if (!claim) {
+        throw new Error(`Claim ${claimId} not found.`);
+      }
+      // Explicit arguments override the stored claim values
+      facts = { ...claim, ...Object.fromEntries(Object.entries(facts).filter(([, value]) => value)) };
+    }
+    if (!facts.policy_number) {
+      throw new Error('policyNumber or claimId (with policy_number) is required.');
+    }
+
+    const policy = await findPolicy(db, facts.policy_number);
+    if (!policy) {
+      return toResultPayload({ found: false, policyNumber: facts.policy_number }, { action: 'POLICY_CHECK', entity: 'Policies' });
+    }
+    const violations = checkPolicyCoverage(policy, facts);
+    return toResultPayload(
+      { found: true, policy, covered: violations.length === 0, violations },
+      { action: 'POLICY_CHECK', entity: 'Policies' }
+    );
+  }
+
   async function handleMailTriage(input: AnyRecord = {}) {
     const payload: AnyRecord = {};
     if (typeof input.folder === 'string' && input.folder.trim()) {
@@ -1257,6 +1306,7 @@ export async function initCapMCPClient(options: CapInitOptions) {
     'cap.draft.cancel': handleDraftCancel,
     'cap.draft.getAdminData': handleDraftGetAdminData,
     'cap.draft.addChild': handleDraftAddChild,
+    'cap.policy.check': handlePolicyCheck,
     'cap.mail.triageLatest': handleMailTriage
   };
 
@@ -1383,6 +1433,18 @@ export async function initCapMCPClient(options: CapInitOptions) {
         },
         async (args) => invokeHandler('cap.draft.addChild', args)
       ),
+      tool(
+        'cap.policy.check',
+        'Look up a policy (holder, vehicle, coverage type, deductible, validity) and check whether it covers a claim or the given incident date/vehicle.',
+        {
+          policyNumber: z.string().optional(),
+          claimId: z.string().optional(),
+          incidentDate: z.string().optional(),
+          vehicle_vin: z.string().optional(),
+          vehicle_license: z.string().optional()
+        },
+        async (args) => invokeHandler('cap.policy.check', args)
+      ),
       tool(
         'cap.mail.triageLatest',
         'Run the ClaimAI mail triage workflow (summary + attachment enrichment) on the latest or specified email.',
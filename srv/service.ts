@@ -5,10 +5,10 @@ import express from 'express';
 import type { Request, Response } from 'express';
 import { AzureOpenAiChatClient } from "@sap-ai-sdk/langchain";
 import path from 'node:path';
+import { createHash } from 'node:crypto';
 import { existsSync } from 'node:fs';
 import { mkdir, readFile, stat } from 'node:fs/promises';
 import os from 'node:os';
-import { createHash } from 'node:crypto';
 import { initAllMCPClients, closeMCPClients } from './lib/mcp-client.js';
 import { GraphClient } from './m365-mcp/graph-client.js';
 import { LangGraphAgentAdapter } from './agents/langgraph-adapter.js';
@@ -16,7 +16,75 @@ import { ClaudeAgentAdapter } from './agents/claude-adapter.js';
 import { CodexAgentAdapter } from './agents/codex-adapter.js';
 import type { AgentAdapter } from './agents/agent-adapter.js';
 import type { CapRequestContext } from './types/cap-context.js';
-import { analyzeImageAttachment } from './utils/vision.js';
+import { extractExifMetadata } from './utils/vision.js';
+import { isReadableStream, toBuffer } from './utils/binary.js';
+import { callSpreadsheetTool, isNativeSpreadsheet } from './utils/spreadsheet.js';
+import { ExcelImportWorker, MappingProfileNotFoundError, alignToClaimCurrency, appendLog, calculationDocument, logEntry, mergeClaimFields, resolveMappingProfile } from './lib/excel-import.js';
+import type { WorkbookContent, WorkbookMapping, WorkbookSheet } from './lib/excel-import.js';
+import { CLAIM_STATUS_ACTIONS, CLAIM_STATUS_TRANSITIONS, checkStatusTransition } from './lib/claim-status.js';
+import { allocateClaimNumber, findDuplicateClaimNumber } from './lib/claim-number.js';
+import { applyFraudScore } from './lib/fraud-scoring.js';
+import { attachmentMetadata, loadClaimPhotos, type ClaimPhoto } from './lib/attachment-metadata.js';
+import { applyImageForensics } from './lib/image-forensics.js';
+import { applyDamageAssessments, assessDamagePhoto } from './lib/damage-assessment.js';
+import { detectDuplicateClaims } from './lib/duplicate-detection.js';
+import { checkPolicyCoverage, findPolicy } from './lib/policy-coverage.js';
+import { applyLedgerTotals, checkLedger, computeReportingTotals } from './lib/claim-ledger.js';
+import { loadCurrencyConverter } from './lib/exchange-rates.js';
+import { claimFieldsFromMail, incidentDateFromPhotos } from './lib/mail-claim.js';
+import {
+  classifyHeuristically,
+  classifyMail,
+  DEFAULT_MAIL_CATEGORY,
+  type ClassifierInvoke,
+  type HeuristicClassification
+} from './lib/mail-classifier.js';
+import {
+  mailFolderTargets,
+  resolveFolderNames,
+  subscriptionResource,
+  targetKey,
+  type MailFolderTarget
+} from './lib/mail-folders.js';
+import { runMailRules } from './lib/mail-rules.js';
+import {
+  findEnrichmentByHash,
+  findFreshEnrichment,
+  saveEnrichment,
+  sha256OfFile,
+  type AttachmentEnrichment,
+  type EnrichmentKind
+} from './lib/attachment-cache.js';
+import { correspondenceDirection, matchMailToClaims, recordCorrespondence, type ClaimMatch, type CorrespondenceMail } from './lib/claim-correspondence.js';
+import {
+  applyMailDelta,
+  assignInboxItem,
+  findInboxItem,
+  initialDeltaStart,
+  linkInboxItemToClaim,
+  listUnreadInboxItems,
+  loadDeltaLink,
+  markInboxItemRead,
+  saveDeltaLink,
+  saveInboxSummary,
+  storedSummary,
+  toNotificationItem,
+  upsertInboxMessage,
+  type MailInboxEvent,
+  type MailInboxItem,
+  type MailInboxState
+} from './lib/mail-inbox.js';
+import {
+  ensureLocalSubscription,
+  ensureMailSubscription,
+  removeSubscriptions,
+  renewExpiringSubscriptions,
+  sampleNotification,
+  verifyNotifications,
+  webhookUrl,
+  type AcceptedNotification,
+  type GraphNotification
+} from './lib/mail-subscriptions.js';
 
 type MCPClients = Awaited<ReturnType<typeof initAllMCPClients>>;
 type AttachmentDirPromise = Promise<unknown> | null;
@@ -57,6 +125,7 @@ interface GraphMessage {
   body?: { contentType?: string; content?: string } | null;
   hasAttachments?: boolean;
   attachments?: GraphAttachment[];
+  conversationId?: string | null;
   [key: string]: unknown;
 }
 
@@ -68,10 +137,13 @@ interface SummaryRecord {
 
 interface NotificationSession {
   clients: Set<Response>;
-  buffer: GraphMessage[];
-  knownIds: Set<string>;
-  summaries: Map<string, SummaryRecord>;
   timer: NodeJS.Timeout | null;
+  // Running delta round; poller and SSE connects share it instead of overlapping
+  sync: Promise<MailInboxEvent[]> | null;
+  // Accept-Language of the last stream connect; language of the mail summaries
+  locale: string | null;
+  // Pending Graph subscription changes; queued so creation and deletion never overlap
+  subscriptions: Promise<void> | null;
 }
 
 type AgentBackend = 'langgraph' | 'claude' | 'codex';
@@ -119,7 +191,7 @@ export default class ClaimsService extends cds.ApplicationService {
     let mcpClients: MCPClients | null = null;
     const app = cds.app as express.Application;
 
-    // Lightweight in-memory notification hub (per-user)
+    // Per-user notification hub (SSE clients and poller); mail state lives in MailInboxItems
     const notificationSessions = new Map<string, NotificationSession>();
     const claudeSessions = new Map<string, string>();
     const preferredBackend = resolveAgentBackend();
@@ -149,10 +221,10 @@ export default class ClaimsService extends cds.ApplicationService {
       if (!notificationSessions.has(userId)) {
         notificationSessions.set(userId, {
           clients: new Set<Response>(),
-          buffer: [],
-          knownIds: new Set<string>(),
-          summaries: new Map<string, SummaryRecord>(),
-          timer: null
+          timer: null,
+          sync: null,
+          locale: null,
+          subscriptions: null
         });
       }
       return notificationSessions.get(userId)!;
@@ -168,13 +240,18 @@ export default class ClaimsService extends cds.ApplicationService {
       return clients;
     };
 
-    const summarizer = new AzureOpenAiChatClient({ modelName: 'gpt-4.1' });
+    // One chat client per classifier model (MailClassifierPrompts.model / CLAIMAI_MAIL_CLASSIFIER_MODEL)
+    const summarizers = new Map<string, AzureOpenAiChatClient>();
+    const invokeClassifier: ClassifierInvoke = async (model, messages) => {
+      if (!summarizers.has(model)) summarizers.set(model, new AzureOpenAiChatClient({ modelName: model }));
+      const response = await summarizers.get(model)!.invoke(messages);
+      return (extractModelOutput(response) || '').trim();
+    };
 
     const SUMMARY_MAX_INPUT_CHARS = 6000;
     const SUMMARY_MAX_OUTPUT_CHARS = 280;
     const SUMMARY_FALLBACK = 'Keine Zusammenfassung verfügbar.';
-    const SUMMARY_CATEGORIES = ['To Respond', 'Notification', 'FYI', 'Meeting Update', 'Action needed', 'Completed'];
-    const DEFAULT_CATEGORY = 'Notification';
+    const DEFAULT_CATEGORY = DEFAULT_MAIL_CATEGORY;
     const EXCEL_EXTENSIONS = new Set(['.xlsx', '.xls', '.xlsm', '.xlsb', '.csv']);
     const EXCEL_MIME_PREFIXES = [
       'application/vnd.openxmlformats-officedocument.spreadsheetml',
@@ -257,6 +334,13 @@ export default class ClaimsService extends cds.ApplicationService {
       return `attachment_${Date.now()}`;
     };
 
+    // Local copy of a mail attachment, keyed by mail and attachment: equally
+    // named attachments of different mails must not share one file
+    const mailAttachmentPath = (messageId: string, attachment: GraphAttachment): string => {
+      const key = createHash('sha256').update(`${messageId}\n${attachment.id}`).digest('hex').slice(0, 16);
+      return path.join(ATTACHMENTS_DIR, `${key}-${sanitizeFileName(attachment.name || 'attachment')}`);
+    };
+
     const getErrorMessage = (err: unknown): string => {
       if (err && typeof err === 'object' && 'message' in err) {
         const message = (err as { message?: unknown }).message;
@@ -307,7 +391,7 @@ export default class ClaimsService extends cds.ApplicationService {
       if (IMAGE_MIME_PREFIXES.some((prefix) => type.startsWith(prefix))) return true;
       const name = (attachment.name || '').toLowerCase();
       const ext = path.extname(name);
-      return ['.png', '.jpg', '.jpeg', '.webp'].includes(ext);
+      return ['.png', '.jpg', '.jpeg', '.webp', '.heic', '.heif'].includes(ext);
     };
 
     // EXIF helpers moved to srv/utils/vision.ts
@@ -360,6 +444,17 @@ export default class ClaimsService extends cds.ApplicationService {
     // EXIF helpers moved to srv/utils/vision.ts
 
     const callExcelTool = async (toolName: string, args: Record<string, unknown>): Promise<unknown> => {
+      // Prefer the in-process reader for xlsx/csv; the Excel MCP server only serves other formats
+      const filePath = typeof args.fileAbsolutePath === 'string' ? args.fileAbsolutePath : '';
+      if (filePath && isNativeSpreadsheet(filePath)) {
+        try {
+          const result = await callSpreadsheetTool(toolName, args);
+          if (result !== undefined) return result;
+        } catch (error) {
+          console.warn(`Native spreadsheet tool ${toolName} failed:`, getErrorMessage(error));
+          if (!mcpClients?.excel) return null;
+        }
+      }
       if (!mcpClients?.excel) return null;
       try {
         const result = await mcpClients.excel.callTool({ name: toolName, arguments: args });
@@ -408,11 +503,11 @@ export default class ClaimsService extends cds.ApplicationService {
       return [];
     };
 
-    const loadExcelAttachmentContext = async (filePath: string): Promise<{ describe: unknown; sheets: unknown[] }> => {
+    const loadExcelAttachmentContext = async (filePath: string): Promise<WorkbookContent> => {
       const describeResult = await callExcelTool('excel_describe_sheets', { fileAbsolutePath: filePath });
       const sheetNames = extractSheetNames(describeResult);
 
-      const sheets: unknown[] = [];
+      const sheets: WorkbookSheet[] = [];
       for (const sheetName of sheetNames) {
         try {
           const sheetData = await callExcelTool('excel_read_sheet', {
@@ -429,9 +524,33 @@ export default class ClaimsService extends cds.ApplicationService {
       return { describe: describeResult, sheets };
     };
 
-    // Vision analysis provided by srv/utils/vision.ts (see analyzeImageAttachment)
+    // Background processing of queued ExcelImports jobs
+    const excelImportWorker = new ExcelImportWorker({
+      loadWorkbook: async (filePath) => {
+        if (!isNativeSpreadsheet(filePath) && mcpInfrastructureEnabled) await ensureMcpClients();
+        return loadExcelAttachmentContext(filePath);
+      },
+      workDir: path.join(TMP_DIR, 'imports'),
+      logger: console
+    });
+
+    // Vision analysis: structured damage assessment from srv/lib/damage-assessment.ts (see assessDamagePhoto)
+
+    // Attachment details from the AttachmentEnrichments cache (srv/lib/attachment-cache.ts)
+    const cachedDetails = (baseInfo: Record<string, unknown>, entry: AttachmentEnrichment): Record<string, unknown> => ({
+      ...baseInfo,
+      path: entry.path,
+      sha256: entry.sha256,
+      ...(entry.kind === 'image' ? { vision: entry.vision } : {}),
+      ...(entry.kind === 'excel' ? { excel: entry.excel } : {}),
+      cached: true
+    });
 
-    const ensureAttachmentDetails = async (message: GraphMessage, summaryEntry: SummaryRecord | null | undefined): Promise<void> => {
+    const ensureAttachmentDetails = async (
+      message: GraphMessage,
+      summaryEntry: SummaryRecord | null | undefined,
+      mailbox: string | null = null
+    ): Promise<void> => {
       if (!summaryEntry?.agentContext) return;
       const attachments = Array.isArray(message?.attachments) ? (message.attachments as GraphAttachment[]) : [];
       if (!attachments.length) return;
@@ -453,39 +572,63 @@ export default class ClaimsService extends cds.ApplicationService {
           continue;
         }
 
-        const safeName = sanitizeFileName(attachment.name || `${message.id}-${attachment.id}`);
-        const targetPath = path.join(ATTACHMENTS_DIR, safeName);
+        const analyzable = !attachment.isInline && (isExcelAttachment(attachment) || isImageAttachment(attachment));
+        const kind: EnrichmentKind = !analyzable ? 'file' : isExcelAttachment(attachment) ? 'excel' : 'image';
+        const targetPath = mailAttachmentPath(message.id, attachment);
 
         try {
-          if (!existsSync(targetPath)) {
-            await graph.downloadAttachment({
-              messageId: message.id,
-              attachmentId: attachment.id,
-              targetPath
-            });
+          // Known attachment with its local file present: no download, no analysis
+          const fresh = await findFreshEnrichment(cds.db, attachment.id);
+          if (fresh && fresh.kind === kind) {
+            enriched.push(cachedDetails(baseInfo, fresh));
+            continue;
           }
 
-          if (isExcelAttachment(attachment) && !(attachment as any).isInline) {
+          await graph.downloadAttachment({
+            messageId: message.id,
+            attachmentId: attachment.id,
+            targetPath,
+            mailbox
+          });
+          const sha256 = await sha256OfFile(targetPath);
+          const entry: AttachmentEnrichment = {
+            attachmentId: attachment.id,
+            sha256,
+            kind,
+            fileName: attachment.name || null,
+            contentType: attachment.contentType || null,
+            size: attachment.size ?? null,
+            path: targetPath,
+            vision: null,
+            excel: null
+          };
+
+          // Same content seen before (other mailbox, forwarded mail)
+          const known = await findEnrichmentByHash(cds.db, sha256, attachment.id);
+          if (known && known.kind === kind) {
+            await saveEnrichment(cds.db, { ...known, ...entry, vision: known.vision, excel: known.excel });
+            enriched.push(cachedDetails(baseInfo, { ...known, path: targetPath }));
+            continue;
+          }
+
+          if (kind === 'excel') {
             const excel = await loadExcelAttachmentContext(targetPath);
-            enriched.push({
-              ...baseInfo,
-              path: targetPath,
-              excel
-            });
+            if (excel.describe != null) await saveEnrichment(cds.db, { ...entry, excel });
+            enriched.push({ ...baseInfo, path: targetPath, sha256, excel });
             continue;
           }
 
-          if (isImageAttachment(attachment) && !(attachment as any).isInline) {
-            const vision = await analyzeImageAttachment(targetPath);
-            enriched.push({
-              ...baseInfo,
-              path: targetPath,
-              vision
-            });
+          if (kind === 'image') {
+            const vision = await assessDamagePhoto(targetPath);
+            if (!vision.error) {
+              await saveEnrichment(cds.db, { ...entry, vision: { description: vision.description, exif: vision.exif, assessment: vision.assessment } });
+            }
+            enriched.push({ ...baseInfo, path: targetPath, sha256, vision });
             continue;
           }
 
-          enriched.push({ ...baseInfo, path: targetPath });
+          await saveEnrichment(cds.db, entry);
+          enriched.push({ ...baseInfo, path: targetPath, sha256 });
         } catch (error) {
           console.warn('Failed to process attachment:', attachment.name, getErrorMessage(error));
           enriched.push({ ...baseInfo, path: targetPath, error: getErrorMessage(error) });
@@ -651,100 +794,122 @@ export default class ClaimsService extends cds.ApplicationService {
     const finalizeSummaryResult = (
       message: GraphMessage,
       summaryText: string | null | undefined,
-      categoryText: string | null | undefined
+      categoryText: string | null | undefined,
+      classification: Record<string, unknown> | null = null
     ): SummaryRecord => {
       const fallback = message.bodyPreview?.trim() || SUMMARY_FALLBACK;
       const normalizedSummary = normalizeWhitespace(summaryText || fallback);
       const truncated = truncate(normalizedSummary || fallback, SUMMARY_MAX_OUTPUT_CHARS);
-      const normalizedCategory = typeof categoryText === 'string' && SUMMARY_CATEGORIES.includes(categoryText)
-        ? categoryText
+      // Categories are validated against the classifier configuration in classifyMail
+      const normalizedCategory = typeof categoryText === 'string' && categoryText.trim()
+        ? categoryText.trim()
         : DEFAULT_CATEGORY;
       const agentContext = buildAgentContext(message, truncated || fallback, normalizedCategory);
+      if (classification) agentContext.classification = classification;
       return { summary: truncated || fallback, category: normalizedCategory, agentContext };
     };
 
-    const generateSummaryForMessage = async (message: GraphMessage): Promise<SummaryRecord> => {
+    // Marks a summary of the keyword classifier in agentContext.classification
+    const heuristicClassification = (heuristic: HeuristicClassification): Record<string, unknown> => ({
+      method: 'heuristic',
+      heuristic: true,
+      claimReferences: heuristic.claimReferences,
+      signals: heuristic.signals
+    });
+
+    const generateSummaryForMessage = async (message: GraphMessage, locale?: string | null): Promise<SummaryRecord> => {
       const content = extractMessageContent(message);
       const safeContent = content ? content.slice(0, SUMMARY_MAX_INPUT_CHARS) : '';
-      const subject = message.subject || '';
 
       if (!safeContent) {
         return finalizeSummaryResult(message, message.bodyPreview, DEFAULT_CATEGORY);
       }
 
-      const userPrompt = `Fasse die folgende E-Mail in höchstens zwei Sätzen (maximal 280 Zeichen) zusammen und kategorisiere sie.
-Gültige Kategorien: To Respond, Notification, FYI, Meeting Update, Action needed, Completed.
-Gib das Ergebnis ausschließlich als kompaktes JSON-Objekt zurück: {"summary":"...","category":"..."}.
-
-Betreff: ${subject || '—'}
-
-${safeContent}`;
-
       try {
-        const response = await summarizer.invoke([
-          {
-            role: 'system',
-            content: 'Du bist ein Assistent, der eingehende E-Mails prägnant in höchstens zwei Sätzen (maximal 280 Zeichen) zusammenfasst und sie in eine vorgegebene Kategorie einordnet. Antworte ausschließlich mit gültigem JSON im Format {"summary":"...","category":"..."}.'
-          },
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ]);
-
-        const rawContent = (extractModelOutput(response) || '').trim();
-        if (!rawContent) {
-          return finalizeSummaryResult(message, null, DEFAULT_CATEGORY);
+        const result = await classifyMail(cds.db, {
+          messageId: message.id,
+          subject: message.subject || '',
+          content: safeContent,
+          locale,
+          maxChars: SUMMARY_MAX_OUTPUT_CHARS
+        }, invokeClassifier);
+        if (result.heuristic) {
+          console.warn('Mail classifier unavailable, using keyword heuristic:', result.heuristic.reason);
+          return finalizeSummaryResult(message, result.summary, result.category, heuristicClassification(result.heuristic));
         }
-        let parsed = null;
-        try {
-          const jsonMatch = rawContent.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            parsed = JSON.parse(jsonMatch[0]);
-          } else {
-            parsed = JSON.parse(rawContent);
-          }
-        } catch (parseError) {
-          parsed = null;
-        }
-
-        if (parsed && typeof parsed === 'object') {
-          const summaryCandidate = typeof parsed.summary === 'string' ? parsed.summary : null;
-          const categoryCandidate = typeof parsed.category === 'string' ? parsed.category : DEFAULT_CATEGORY;
-          return finalizeSummaryResult(message, summaryCandidate, categoryCandidate);
-        }
-
-        return finalizeSummaryResult(message, rawContent, DEFAULT_CATEGORY);
+        return finalizeSummaryResult(message, result.summary, result.category, {
+          method: 'llm',
+          model: result.model,
+          language: result.language,
+          cached: result.cached
+        });
       } catch (error) {
         console.warn('Failed to generate mail summary:', getErrorMessage(error));
-        return finalizeSummaryResult(message, message.bodyPreview, DEFAULT_CATEGORY);
+        const heuristic = classifyHeuristically({ subject: message.subject || '', content: safeContent });
+        return finalizeSummaryResult(message, heuristic.summary, heuristic.category, heuristicClassification(heuristic));
+      }
+    };
+
+    // Claim correspondence: new mails are linked by claim/policy number or conversation
+    const correspondenceOf = (message: GraphMessage, summary: string | null, folder: MailFolderTarget | null): CorrespondenceMail => {
+      const sender = extractMailParticipant(message.from);
+      return {
+        messageId: message.id,
+        conversationId: message.conversationId ?? null,
+        direction: correspondenceDirection(sender?.email, folder),
+        subject: message.subject || null,
+        text: extractMessageContent(message),
+        sender: sender?.formatted || null,
+        summary,
+        sentAt: message.receivedDateTime || null,
+        webLink: message.webLink || null
+      };
+    };
+
+    const linkCorrespondence = async (
+      message: GraphMessage,
+      summary: string | null,
+      folder: MailFolderTarget | null,
+      extra: ClaimMatch[] = []
+    ): Promise<string[]> => {
+      const mail = correspondenceOf(message, summary, folder);
+      const matches = await matchMailToClaims(cds.db, mail);
+      for (const match of extra) {
+        if (!matches.some((entry) => entry.claimId === match.claimId)) matches.push(match);
       }
+      return await recordCorrespondence(cds.db, mail, matches);
     };
 
-    const ensureSummaryForMessage = async (session: NotificationSession, message: GraphMessage): Promise<SummaryRecord> => {
-      if (!message?.id) return finalizeSummaryResult(message, null, DEFAULT_CATEGORY);
-      const cached = session.summaries.get(message.id);
-      if (cached) {
-        return cached;
+    // Summaries are generated once per message and persisted; failed runs are retried on the next sync
+    const ensureSummaryForMessage = async (
+      userId: string,
+      message: GraphMessage,
+      locale?: string | null,
+      folder?: MailFolderTarget | null
+    ): Promise<MailInboxItem | null> => {
+      if (!message?.id) return null;
+      const { item } = await upsertInboxMessage(cds.db, userId, message, folder);
+      if (storedSummary(item)) return item;
+      const mailbox = item.mailbox || null;
+      // Delta messages come without attachments ($expand is not supported there)
+      if (message.hasAttachments && !Array.isArray(message.attachments)) {
+        message.attachments = await graph.listMessageAttachments(message.id, mailbox);
       }
-      const summary = await generateSummaryForMessage(message);
+      const summary = await generateSummaryForMessage(message, locale ?? notificationSessions.get(userId)?.locale);
+      let state: MailInboxState = 'PROCESSED';
       try {
-        await ensureAttachmentDetails(message, summary);
+        await ensureAttachmentDetails(message, summary, mailbox);
       } catch (error) {
         console.warn('ensureAttachmentDetails failed:', getErrorMessage(error));
+        state = 'FAILED';
       }
-      session.summaries.set(message.id, summary);
-      return summary;
-    };
-
-    const ensureSummariesForMessages = async (session: NotificationSession, messages: GraphMessage[] = []): Promise<void> => {
-      for (const message of messages) {
-        try {
-          await ensureSummaryForMessage(session, message);
-        } catch (error) {
-          console.warn('ensureSummaryForMessage failed:', getErrorMessage(error));
-        }
+      await saveInboxSummary(cds.db, item.ID, summary, state);
+      try {
+        await linkCorrespondence(message, summary.summary, folder ?? null);
+      } catch (error) {
+        console.warn('Linking mail correspondence failed:', getErrorMessage(error));
       }
+      return await findInboxItem(cds.db, userId, message.id);
     };
 
     // Microsoft Graph client (CLI login based)
@@ -757,51 +922,168 @@ ${safeContent}`;
 
     const POLL_INTERVAL_MS = 10_000;
     const MAX_INIT_UNREAD = 10;
+    const WEBHOOK_FALLBACK_POLL_MS = 5 * 60_000;
+    const SUBSCRIPTION_RENEW_INTERVAL_MS = 60 * 60_000;
+
+    /**
+     * Runs the MailRules on a triaged message (successfully once per rule and
+     * message of a mailbox, failed actions are retried; see srv/lib/mail-rules.ts). Claim drafts are created through
+     * createClaimFromMail on behalf of the mailbox owner.
+     */
+    const applyMailRules = async (userId: string, message: GraphMessage, item: MailInboxItem): Promise<void> => {
+      const mailbox = item.mailbox || null;
+      const executions = await runMailRules(cds.db, userId, {
+        mailbox,
+        messageId: message.id,
+        subject: message.subject || null,
+        senderAddress: extractMailParticipant(message.from)?.email || null,
+        category: item.category,
+        folderId: item.folderId,
+        text: extractMessageContent(message),
+        attachments: (message.attachments || []) as GraphAttachment[]
+      }, {
+        move: async (targetFolder) => {
+          await graph.moveMessage(message.id, targetFolder, mailbox);
+        },
+        flag: async () => {
+          await graph.flagMessage(message.id, 'flagged', mailbox);
+        },
+        createClaim: async () => {
+          const draft = await this.tx({ user: new cds.User(userId) }, (tx) => tx.send('createClaimFromMail', { messageId: message.id }));
+          return (draft as { ID: string }).ID;
+        },
+        assign: async (adjuster) => {
+          await assignInboxItem(cds.db, userId, message.id, adjuster);
+        }
+      });
+      for (const execution of executions.filter((entry) => entry.status === 'FAILED')) {
+        console.warn(`Mail rule "${execution.rule}" (${execution.action}) failed:`, execution.message);
+      }
+    };
 
-    const startPollerIfNeeded = async (userId: string): Promise<void> => {
-      const session = ensureSession(userId);
-      if (session.timer) return;
-
-      // Initial fetch
+    // Display names of watched folders, looked up once per folder
+    const folderNames = new Map<string, string>();
+    const watchedFolders = async (userId: string): Promise<MailFolderTarget[]> =>
+      await resolveFolderNames(graph, await mailFolderTargets(cds.db, userId), folderNames);
+
+    /**
+     * Runs one round of the messages/delta feed of `folder`. The deltaLink is
+     * persisted after the round; an expired link (410 Gone) restarts with a
+     * full sync of the recent mails.
+     */
+    const syncFolderDelta = async (userId: string, folder: MailFolderTarget): Promise<MailInboxEvent[]> => {
+      const { folderId, mailbox } = folder;
+      const deltaLink = await loadDeltaLink(cds.db, userId, folderId, mailbox);
+      let delta;
       try {
-        const initial = await graph.listUnreadMessages({ maxResults: MAX_INIT_UNREAD }) as GraphMessage[];
-        session.buffer = initial;
-        session.knownIds = new Set(initial.map(m => m.id));
-        await ensureSummariesForMessages(session, session.buffer);
-      } catch (e) {
-        console.warn('Initial unread fetch failed:', getErrorMessage(e));
+        delta = await graph.listMessageDelta({ folderId, mailbox, deltaLink, startDateTime: initialDeltaStart() });
+      } catch (error) {
+        if (!deltaLink || (error as { status?: number }).status !== 410) throw error;
+        console.warn(`Mail delta link of ${targetKey(folder)} expired, restarting full sync.`);
+        delta = await graph.listMessageDelta({ folderId, mailbox, startDateTime: initialDeltaStart() });
       }
-
-      session.timer = setInterval(async () => {
+      const events = await applyMailDelta(cds.db, userId, delta, async (message) => {
         try {
-          const unread = await graph.listUnreadMessages({ maxResults: MAX_INIT_UNREAD }) as GraphMessage[];
-          const currentIds = new Set(unread.map(m => m.id));
-
-          // New arrivals
-          for (const msg of unread) {
-            if (!session.knownIds.has(msg.id)) {
-              session.knownIds.add(msg.id);
-              session.buffer.unshift(msg);
-              // Trim buffer
-              if (session.buffer.length > MAX_INIT_UNREAD) session.buffer.length = MAX_INIT_UNREAD;
-              await ensureSummaryForMessage(session, msg);
-              broadcastToUser(userId, { type: 'new', item: sanitizeMessage(msg, session) });
-            }
-          }
+          const item = await ensureSummaryForMessage(userId, message as GraphMessage, null, folder);
+          if (!item || item.isRead) return item;
+          await applyMailRules(userId, message as GraphMessage, item);
+          return await findInboxItem(cds.db, userId, message.id);
+        } catch (error) {
+          console.warn('ensureSummaryForMessage failed:', getErrorMessage(error));
+          return await findInboxItem(cds.db, userId, message.id);
+        }
+      }, folder);
+      await saveDeltaLink(cds.db, userId, folderId, delta.deltaLink, mailbox);
+      return events;
+    };
 
-          // Items that disappeared (likely got marked as read elsewhere)
-          for (const id of Array.from(session.knownIds)) {
-            if (!currentIds.has(id)) {
-              session.knownIds.delete(id);
-              session.buffer = session.buffer.filter(x => x.id !== id);
-              session.summaries.delete(id);
-              broadcastToUser(userId, { type: 'read', id });
-            }
+    /**
+     * Runs one delta round over all watched folders of `userId` and returns
+     * the SSE events. A failing folder (e.g. missing access to a shared
+     * mailbox) does not hold up the others; only if all fail the error is thrown.
+     */
+    const syncMailDelta = (userId: string): Promise<MailInboxEvent[]> => {
+      const session = ensureSession(userId);
+      if (session.sync) return session.sync;
+      const run = async (): Promise<MailInboxEvent[]> => {
+        const folders = await watchedFolders(userId);
+        const events: MailInboxEvent[] = [];
+        const errors: unknown[] = [];
+        for (const folder of folders) {
+          try {
+            events.push(...await syncFolderDelta(userId, folder));
+          } catch (error) {
+            console.warn(`Mail delta sync of ${targetKey(folder)} failed:`, getErrorMessage(error));
+            errors.push(error);
           }
+        }
+        if (errors.length && errors.length === folders.length) throw errors[0];
+        return events;
+      };
+      session.sync = run().finally(() => {
+        session.sync = null;
+      });
+      return session.sync;
+    };
+
+    const broadcastMailEvents = (userId: string, events: MailInboxEvent[]): void => {
+      for (const event of events) {
+        if ('item' in event) {
+          broadcastToUser(userId, { type: event.type, item: toNotificationItem(event.item) });
+        } else {
+          broadcastToUser(userId, { type: event.type, id: event.id, folder: event.folder });
+        }
+      }
+    };
+
+    // Graph subscriptions follow the poller: one per watched folder while it
+    // runs (those of folders no longer watched are deleted), none once it stops
+    const syncMailSubscriptions = async (userId: string): Promise<void> => {
+      const notificationUrl = webhookUrl();
+      if (!notificationUrl) return;
+      const resources = (await watchedFolders(userId)).map(subscriptionResource);
+      for (const resource of resources) {
+        await ensureMailSubscription(cds.db, graph, userId, notificationUrl, resource);
+      }
+      const failed = await removeSubscriptions(cds.db, graph, userId, resources);
+      if (failed.length) console.warn('Deleting Graph mail subscriptions failed:', failed.join('; '));
+    };
+
+    const unsubscribeMail = async (userId: string): Promise<void> => {
+      const failed = await removeSubscriptions(cds.db, graph, userId);
+      if (failed.length) console.warn('Deleting Graph mail subscriptions failed:', failed.join('; '));
+    };
+
+    // Runs subscription changes of a user one after another; resolves to false if the change failed
+    const queueSubscriptionUpdate = (userId: string, update: (userId: string) => Promise<void>): Promise<boolean> => {
+      const session = ensureSession(userId);
+      const run = (session.subscriptions ?? Promise.resolve()).then(() => update(userId));
+      session.subscriptions = run.catch(() => undefined);
+      return run.then(() => true, (e) => {
+        console.warn('Graph mail subscription failed, keep polling:', getErrorMessage(e));
+        return false;
+      });
+    };
+
+    // With a Graph subscription the poller only runs as a slow safety net for missed notifications
+    const startPollerIfNeeded = async (userId: string): Promise<void> => {
+      const session = ensureSession(userId);
+      if (session.timer) return;
+
+      const poll = async () => {
+        try {
+          broadcastMailEvents(userId, await syncMailDelta(userId));
         } catch (e) {
           console.warn('Polling unread messages failed:', getErrorMessage(e));
         }
-      }, POLL_INTERVAL_MS);
+      };
+      session.timer = setInterval(poll, POLL_INTERVAL_MS);
+
+      if (!webhookUrl()) return;
+      if (await queueSubscriptionUpdate(userId, syncMailSubscriptions) && session.timer) {
+        clearInterval(session.timer);
+        session.timer = setInterval(poll, WEBHOOK_FALLBACK_POLL_MS);
+      }
     };
 
     const stopPollerIfOrphaned = (userId: string): void => {
@@ -810,25 +1092,10 @@ ${safeContent}`;
       if (session.clients.size === 0 && session.timer) {
         clearInterval(session.timer);
         session.timer = null;
+        if (webhookUrl()) void queueSubscriptionUpdate(userId, unsubscribeMail);
       }
     };
 
-    const sanitizeMessage = (msg: GraphMessage, session: NotificationSession): Record<string, unknown> => {
-      const cacheEntry = session?.summaries?.get(msg.id) || null;
-      return {
-        id: msg.id,
-        subject: msg.subject || '',
-        from: msg.from || null,
-        receivedDateTime: msg.receivedDateTime,
-        isRead: Boolean(msg.isRead),
-        webLink: msg.webLink || '',
-        summary: cacheEntry?.summary || null,
-        category: cacheEntry?.category || null,
-        agentContext: cacheEntry?.agentContext || null,
-        hasAttachments: Boolean(msg.hasAttachments)
-      };
-    };
-
     // SSE stream endpoint
     app.get('/service/claims/notifications/stream', async (req: ClaimsRequest, res: Response) => {
       if (!mcpInfrastructureEnabled) {
@@ -844,20 +1111,19 @@ ${safeContent}`;
       res.flushHeaders?.();
 
       const session = ensureSession(userId);
-      session.clients.add(res);
+      session.locale = req.headers['accept-language'] || session.locale;
 
-      // Send initial buffer (unread only)
+      // Catch up with the delta feed (already connected clients get the events),
+      // then send the stored unread items; a failed sync still delivers the persisted state
       try {
-        // Ensure we have fresh buffer for this connect
-        if (!session.buffer.length) {
-          const initial = await graph.listUnreadMessages({ maxResults: MAX_INIT_UNREAD }) as GraphMessage[];
-          session.buffer = initial;
-          session.knownIds = new Set(initial.map(m => m.id));
-          await ensureSummariesForMessages(session, session.buffer);
-        } else {
-          await ensureSummariesForMessages(session, session.buffer);
-        }
-        sseSend(res, { type: 'init', items: session.buffer.map((msg) => sanitizeMessage(msg, session)) });
+        broadcastMailEvents(userId, await syncMailDelta(userId));
+      } catch (e) {
+        console.warn('Mail delta sync failed:', getErrorMessage(e));
+      }
+      session.clients.add(res);
+      try {
+        const items = await listUnreadInboxItems(cds.db, userId, MAX_INIT_UNREAD);
+        sseSend(res, { type: 'init', items: items.map(toNotificationItem) });
       } catch (e) {
         sseSend(res, { type: 'error', message: getErrorMessage(e) });
       }
@@ -874,6 +1140,110 @@ ${safeContent}`;
       });
     });
 
+    // Graph change notifications are only a trigger; the changes themselves come from the delta feed
+    const processGraphNotifications = async (accepted: AcceptedNotification[]): Promise<void> => {
+      const notificationUrl = webhookUrl();
+      const userIds = new Set<string>();
+      for (const { subscription, notification } of accepted) {
+        if (notificationUrl && (notification.lifecycleEvent === 'reauthorizationRequired' || notification.lifecycleEvent === 'subscriptionRemoved')) {
+          try {
+            await ensureMailSubscription(cds.db, graph, subscription.userId, notificationUrl, subscription.resource);
+          } catch (e) {
+            console.warn('Renewing Graph mail subscription failed:', getErrorMessage(e));
+          }
+        }
+        userIds.add(subscription.userId);
+      }
+      for (const userId of userIds) {
+        try {
+          broadcastMailEvents(userId, await syncMailDelta(userId));
+        } catch (e) {
+          console.warn('Mail delta sync after notification failed:', getErrorMessage(e));
+        }
+      }
+    };
+
+    // Graph webhook: answers the validationToken handshake, verifies clientState and acknowledges with 202
+    app.post('/service/claims/notifications/webhook', express.json(), async (req: ClaimsRequest, res: Response) => {
+      const { validationToken } = req.query || {};
+      if (typeof validationToken === 'string') {
+        return res.status(200).type('text/plain').send(validationToken);
+      }
+      if (!mcpInfrastructureEnabled) {
+        return res
+          .status(503)
+          .json({ error: 'Microsoft 365 notifications are disabled for the Codex backend.' });
+      }
+      try {
+        const notifications = Array.isArray(req.body?.value) ? req.body.value as GraphNotification[] : [];
+        const { accepted, rejected } = await verifyNotifications(cds.db, notifications);
+        if (rejected) {
+          console.warn(`Rejected ${rejected} Graph notification(s) with unknown subscription or clientState.`);
+        }
+        res.status(202).end();
+        if (accepted.length) await processGraphNotifications(accepted);
+      } catch (e) {
+        console.error('Graph notification failed:', e);
+        if (!res.headersSent) res.status(500).json({ error: getErrorMessage(e) });
+      }
+    });
+
+    // Local stand-in for Graph: runs the validation handshake and posts a sample notification to the webhook
+    if (!cds.env.production) {
+      app.post('/service/claims/notifications/webhook/simulate', express.json(), async (req: ClaimsRequest, res: Response) => {
+        try {
+          const userId = getUserId(req);
+          const webhook = `${req.protocol}://${req.get('host')}/service/claims/notifications/webhook`;
+          const token = `local-${Date.now()}`;
+          const handshake = await fetch(`${webhook}?validationToken=${encodeURIComponent(token)}`, { method: 'POST' });
+          const validated = handshake.ok && (await handshake.text()) === token;
+
+          const subscription = await ensureLocalSubscription(cds.db, userId);
+          const messageId = typeof req.body?.messageId === 'string' && req.body.messageId ? req.body.messageId : `local-${cds.utils.uuid()}`;
+          const notification = await fetch(webhook, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ value: [sampleNotification(subscription, messageId)] })
+          });
+          return res.json({ validated, status: notification.status, subscriptionId: subscription.subscriptionId, messageId });
+        } catch (e) {
+          console.error('Simulated Graph notification failed:', e);
+          return res.status(500).json({ error: getErrorMessage(e) });
+        }
+      });
+    }
+
+    const subscriptionRenewalTimer = mcpInfrastructureEnabled && webhookUrl()
+      ? setInterval(async () => {
+          try {
+            // Only subscriptions of running pollers are kept (stale rows, e.g. after a restart, are deleted)
+            await renewExpiringSubscriptions(cds.db, graph, webhookUrl()!, (subscription) =>
+              Boolean(notificationSessions.get(subscription.userId)?.timer));
+          } catch (e) {
+            console.warn('Renewing Graph mail subscriptions failed:', getErrorMessage(e));
+          }
+        }, SUBSCRIPTION_RENEW_INTERVAL_MS)
+      : null;
+
+    // Watched folders belong to the current user; the own mailbox is stored as ''
+    // so the unique check on [userId, mailbox, folderId] covers it
+    this.before(['CREATE', 'UPDATE'], 'MailWatchFolders', (req) => {
+      const data = (req.data ?? {}) as Record<string, unknown>;
+      data.userId = getUserId(req);
+      if (req.event === 'CREATE' || 'mailbox' in data) {
+        data.mailbox = String(data.mailbox ?? '').trim().toLowerCase();
+      }
+    });
+
+    // Watched folders changed: align the Graph subscriptions of a running poller
+    this.after(['CREATE', 'UPDATE', 'DELETE'], 'MailWatchFolders', (_result, req) => {
+      const userId = req.user?.id;
+      if (!userId || !webhookUrl() || !notificationSessions.get(userId)?.timer) return;
+      req.on('succeeded', () => {
+        void queueSubscriptionUpdate(userId, syncMailSubscriptions);
+      });
+    });
+
     // Mark-as-read endpoint (backend-only, no MCP tool)
     app.post('/service/claims/notifications/markRead', express.json(), async (req: ClaimsRequest, res: Response) => {
       if (!mcpInfrastructureEnabled) {
@@ -885,13 +1255,10 @@ ${safeContent}`;
         const userId = getUserId(req);
         const { id } = req.body || {};
         if (!id) return res.status(400).json({ error: 'id is required' });
-        await graph.markMessageRead(id, true);
-
-        const session = ensureSession(userId);
-        session.knownIds.delete(id);
-        session.buffer = session.buffer.filter(x => x.id !== id);
-        session.summaries.delete(id);
-        broadcastToUser(userId, { type: 'read', id });
+        const item = await findInboxItem(cds.db, userId, id);
+        await graph.markMessageRead(id, true, item?.mailbox || null);
+        await markInboxItemRead(cds.db, userId, id);
+        broadcastToUser(userId, { type: 'read', id, folder: item ? toNotificationItem(item).folder : null });
         return res.json({ status: 'ok', id });
       } catch (e) {
         console.error('markRead failed:', e);
@@ -974,7 +1341,7 @@ ${safeContent}`;
           return;
         }
 
-        const summaryRecord = await generateSummaryForMessage(message);
+        const summaryRecord = await generateSummaryForMessage(message, req.locale);
         try {
           await ensureAttachmentDetails(message, summaryRecord);
         } catch (error) {
@@ -992,6 +1359,131 @@ ${safeContent}`;
       }
     });
 
+    // Claim draft from a mail: the mail attachments are stored with the draft and
+    // the Excel calculations are mapped like applyExcelImport does
+    this.on('createClaimFromMail', async (req) => {
+      const messageId = String((req.data as { messageId?: string } | undefined)?.messageId || '').trim();
+      if (!messageId) {
+        req.error(400, 'Parameter "messageId" ist erforderlich.');
+        return;
+      }
+      const { Claims, Attachments, ClaimDocuments } = this.entities as any;
+      const alreadyClaimed = async (): Promise<boolean> => {
+        const existing = await SELECT.one.from(Claims).columns('ID', 'claim_number').where({ source_mail_id: messageId })
+          || await SELECT.one.from(Claims.drafts).columns('ID', 'claim_number').where({ source_mail_id: messageId });
+        if (existing) {
+          req.error(409, `Aus dieser E-Mail wurde bereits ${existing.claim_number ? `der Schadenfall ${existing.claim_number}` : 'ein Schadenfall'} erstellt.`);
+        }
+        return !!existing;
+      };
+      if (await alreadyClaimed()) return;
+
+      const userId = getUserId(req);
+      // Mails of a shared mailbox have to be read from there
+      const mailbox = (await findInboxItem(cds.db, userId, messageId))?.mailbox || null;
+      let message: GraphMessage | null;
+      try {
+        message = await graph.getMessage(messageId, mailbox) as GraphMessage | null;
+      } catch (error) {
+        req.error(502, `E-Mail konnte nicht geladen werden: ${getErrorMessage(error)}`);
+        return;
+      }
+      if (!message) {
+        req.error(404, 'E-Mail nicht gefunden.');
+        return;
+      }
+
+      let inboxItem: MailInboxItem | null = null;
+      try {
+        inboxItem = await ensureSummaryForMessage(userId, message, req.locale);
+      } catch (error) {
+        console.warn('createClaimFromMail: summary failed', getErrorMessage(error));
+      }
+      const sender = extractMailParticipant(message.from);
+      const fields = claimFieldsFromMail({
+        messageId,
+        subject: message.subject,
+        senderName: sender?.name,
+        senderEmail: sender?.email,
+        receivedDateTime: message.receivedDateTime,
+        webLink: message.webLink,
+        summary: inboxItem?.summary
+      });
+
+      await ensureAttachmentDir();
+      const files: Array<{ ID: string; attachment: GraphAttachment; fileName: string; targetPath: string; content: Buffer }> = [];
+      for (const attachment of (message.attachments || []) as GraphAttachment[]) {
+        if (!attachment.id || attachment.isInline) continue;
+        const fileName = sanitizeFileName(attachment.name || `${messageId}-${attachment.id}`);
+        const targetPath = mailAttachmentPath(messageId, attachment);
+        try {
+          if (!existsSync(targetPath)) {
+            await graph.downloadAttachment({ messageId, attachmentId: attachment.id, targetPath, mailbox });
+          }
+          files.push({ ID: cds.utils.uuid(), attachment, fileName, targetPath, content: await readFile(targetPath) });
+        } catch (error) {
+          console.warn('createClaimFromMail: attachment failed', attachment.name, getErrorMessage(error));
+          req.warn(`Anhang "${attachment.name || attachment.id}" konnte nicht übernommen werden.`);
+        }
+      }
+
+      const incidentDate = incidentDateFromPhotos(
+        files.filter((file) => isImageAttachment(file.attachment)).map((file) => extractExifMetadata(file.content))
+      );
+      if (incidentDate) fields.incident_date = incidentDate;
+
+      const documents: Array<Record<string, unknown>> = [];
+      for (const file of files.filter((entry) => isExcelAttachment(entry.attachment))) {
+        try {
+          const mapping = await excelImportWorker.previewContent(file.fileName, file.content);
+          // The claim number is allocated on activation, not taken from the garage calculation
+          const excelFields = { ...mapping.header.fields };
+          delete excelFields.claim_number;
+          const { updates } = mergeClaimFields(fields, excelFields);
+          Object.assign(fields, updates);
+          documents.push(calculationDocument(mapping.header, mapping.lines, file.fileName, { attachmentId: file.ID, profile: mapping.profile }));
+        } catch (error) {
+          req.warn(`Excel-Anhang "${file.fileName}" konnte nicht gelesen werden: ${getErrorMessage(error)}`);
+        }
+      }
+
+      // Concurrent calls for the same mail (button, CREATE_CLAIM rule) wait here for
+      // each other: the inbox rows of the mail stay locked until this transaction
+      // ends, so the check and the draft with source_mail_id are committed together
+      await SELECT.from('kfz.claims.MailInboxItems').columns('ID').where({ messageId }).forUpdate();
+      if (await alreadyClaimed()) return;
+      const claimId = cds.utils.uuid();
+      await this.send('NEW', Claims.drafts, { ID: claimId, ...fields });
+      // source_mail_id is read-only for clients and therefore dropped by NEW
+      await UPDATE(Claims.drafts).set({ source_mail_id: messageId }).where({ ID: claimId });
+      const draft = await SELECT.one.from(Claims.drafts).columns('DraftAdministrativeData_DraftUUID').where({ ID: claimId });
+      const draftKeys = { IsActiveEntity: false, DraftAdministrativeData_DraftUUID: draft.DraftAdministrativeData_DraftUUID };
+      if (files.length) {
+        await INSERT.into(Attachments.drafts).entries(files.map((file) => ({
+          ID: file.ID,
+          ...draftKeys,
+          fileName: file.fileName,
+          mediaType: detectMimeType(file.fileName),
+          ...attachmentMetadata(file.content, detectMimeType(file.fileName)),
+          sourcePath: path.relative(process.cwd(), file.targetPath),
+          note: `E-Mail: ${message.subject || messageId}`.slice(0, 500),
+          content: file.content,
+          refClaim_ID: claimId
+        })));
+      }
+      if (documents.length) {
+        await INSERT.into(ClaimDocuments.drafts).entries(documents.map((document) => ({
+          ID: cds.utils.uuid(),
+          ...draftKeys,
+          claim_ID: claimId,
+          ...document
+        })));
+      }
+      if (inboxItem) await linkInboxItemToClaim(cds.db, userId, messageId, claimId);
+      await linkCorrespondence(message, inboxItem?.summary ?? null, null, [{ claimId, matchedBy: 'source_mail' }]);
+      return await SELECT.one.from(Claims.drafts).where({ ID: claimId });
+    });
+
     // Persist a local file from tmp/ as an attachment
     this.on('uploadLocalFile', async (req) => {
       const data = (req.data ?? {}) as { path?: string; note?: string; claimId?: string };
@@ -1018,7 +1510,6 @@ ${safeContent}`;
           return;
         }
         const buffer = await readFile(absPath);
-        const hash = createHash('sha256').update(buffer).digest('hex');
         const fileName = path.basename(absPath);
         const mediaType = detectMimeType(fileName);
         const id = cds.utils.uuid();
@@ -1028,8 +1519,7 @@ ${safeContent}`;
           ID: id,
           fileName,
           mediaType,
-          size: st.size,
-          sha256: hash,
+          ...attachmentMetadata(buffer, mediaType),
           sourcePath: relSource,
           note: data.note || null,
           content: buffer
@@ -1080,7 +1570,6 @@ ${safeContent}`;
           return;
         }
         const buffer = await readFile(absPath);
-        const hash = createHash('sha256').update(buffer).digest('hex');
         const fileName = path.basename(absPath);
         const mediaType = detectMimeType(fileName);
         const id = cds.utils.uuid();
@@ -1090,8 +1579,7 @@ ${safeContent}`;
           ID: id,
           fileName,
           mediaType,
-          size: st.size,
-          sha256: hash,
+          ...attachmentMetadata(buffer, mediaType),
           sourcePath: relSource,
           note: data.note || null,
           content: buffer,
@@ -1137,7 +1625,8 @@ ${safeContent}`;
       }
     });
 
-    // Queue an excel import; stores a job referencing the attachment
+    // Queue an excel import; stores a job referencing the attachment which the
+    // ExcelImportWorker processes in the background
     this.on('importExcel', async (req) => {
       const data = (req.data ?? {}) as { fileId?: string; target?: string };
       const fileId = (data.fileId || '').trim();
@@ -1154,7 +1643,14 @@ ${safeContent}`;
           return;
         }
         const importId = cds.utils.uuid();
-        const logText = `Queued excel import${data.target ? ` for target=${data.target}` : ''} at ${new Date().toISOString()}`;
+        const target = (data.target || '').trim() || null;
+        try {
+          await resolveMappingProfile(cds.db, target);
+        } catch (error) {
+          if (!(error instanceof MappingProfileNotFoundError)) throw error;
+          req.error(400, `Mapping-Profil "${target}" nicht gefunden.`);
+          return;
+        }
         await INSERT.into('kfz.claims.ExcelImports').entries({
           ID: importId,
           fileName: att.fileName,
@@ -1163,10 +1659,13 @@ ${safeContent}`;
           sha256: att.sha256,
           sourcePath: att.sourcePath,
           attachment_ID: fileId,
+          target,
           status: 'NEW',
           rowsImported: 0,
-          log: logText
+          log: appendLog(null, [logEntry('info', 'queued', 'Queued excel import', { target })])
         });
+        // Pick the job up right after the queueing transaction committed
+        req.on('succeeded', () => excelImportWorker.trigger());
         return importId;
       } catch (error) {
         console.error('importExcel failed:', error);
@@ -1174,34 +1673,383 @@ ${safeContent}`;
       }
     });
 
-    // Before updating media stream: buffer it and compute size/sha256 (avoid overlapping DB ops)
-    const isReadableStream = (obj: any): boolean => Boolean(obj && typeof obj === 'object' && typeof obj.on === 'function' && typeof obj.read === 'function');
+    const toExcelImportPreview = (mapping: WorkbookMapping) => {
+      const document = calculationDocument(mapping.header, mapping.lines, null);
+      return {
+        profile: mapping.profile,
+        headerSheet: mapping.headerSheet,
+        positionSheet: mapping.positionSheet,
+        fields: JSON.stringify(mapping.header.fields),
+        document: document.parsed_meta,
+        warnings: JSON.stringify(mapping.warnings)
+      };
+    };
+
+    // Map an excel attachment with a mapping profile without persisting anything
+    this.on('previewExcelImport', async (req) => {
+      const data = (req.data ?? {}) as { fileId?: string; target?: string };
+      const fileId = (data.fileId || '').trim();
+      if (!fileId) {
+        req.error(400, 'Parameter "fileId" ist erforderlich.');
+        return;
+      }
+      try {
+        return toExcelImportPreview(await excelImportWorker.preview(fileId, data.target));
+      } catch (error) {
+        console.error('previewExcelImport failed:', error);
+        req.error(400, `Excel-Vorschau fehlgeschlagen: ${getErrorMessage(error)}`);
+      }
+    });
+
+    // Apply the mapped excel values to the bound claim draft: fills empty fields,
+    // takes over the calculated cost and adds the calculation as draft document
+    this.on('applyExcelImport', async (req) => {
+      const bound = (Array.isArray(req.params) && req.params.length > 0) ? (req.params[0] as any) : {};
+      const claimId = (bound && typeof bound.ID === 'string') ? bound.ID : null;
+      const data = (req.data ?? {}) as { fileId?: string; target?: string };
+      const fileId = (data.fileId || '').trim();
+      if (!claimId) {
+        req.error(400, 'Bound Claim ID fehlt.');
+        return;
+      }
+      if (bound.IsActiveEntity !== false) {
+        req.error(400, 'Excel-Werte können nur in einen Claim-Entwurf übernommen werden.');
+        return;
+      }
+      if (!fileId) {
+        req.error(400, 'Parameter "fileId" ist erforderlich.');
+        return;
+      }
 
-    const toBuffer = async (streamOrBuf: any): Promise<Buffer> => {
-      if (Buffer.isBuffer(streamOrBuf)) return streamOrBuf as Buffer;
-      if (typeof streamOrBuf === 'string') {
-        const s = streamOrBuf.trim();
-        const m = s.match(/^data:[^;]*;base64,(.*)$/);
-        if (m && m[1]) {
-          try { return Buffer.from(m[1], 'base64'); } catch {}
+      const { Claims, ClaimDocuments } = this.entities as any;
+      const draft = await SELECT.one.from(Claims.drafts).where({ ID: claimId });
+      if (!draft || !draft.DraftAdministrativeData_DraftUUID) {
+        req.error(404, 'Zugehöriger Claim‑Entwurf nicht gefunden.');
+        return;
+      }
+      let mapping: WorkbookMapping & { fileName: string | null };
+      try {
+        mapping = await excelImportWorker.preview(fileId, data.target);
+      } catch (error) {
+        req.error(400, `Excel-Import fehlgeschlagen: ${getErrorMessage(error)}`);
+        return;
+      }
+      const fields = alignToClaimCurrency(mapping.header.fields, draft.currency_code, await loadCurrencyConverter(cds.db), mapping.warnings);
+      const { updates } = mergeClaimFields(draft, fields);
+      if (Object.keys(updates).length) {
+        await UPDATE(Claims.drafts).set(updates).where({ ID: claimId });
+      }
+      await INSERT.into(ClaimDocuments.drafts).entries({
+        ID: cds.utils.uuid(),
+        claim_ID: claimId,
+        IsActiveEntity: false,
+        DraftAdministrativeData_DraftUUID: draft.DraftAdministrativeData_DraftUUID,
+        ...calculationDocument(mapping.header, mapping.lines, mapping.fileName, { attachmentId: fileId, profile: mapping.profile })
+      });
+      return toExcelImportPreview(mapping);
+    });
+
+    // Claim numbers: allocated per region/year when a new claim is activated
+    // (or created directly); manually entered numbers must be unique
+    this.before(['CREATE', 'UPDATE'], 'Claims', async (req) => {
+      const data = (req.data ?? {}) as Record<string, any>;
+      const claimNumber = typeof data.claim_number === 'string' ? data.claim_number.trim() : '';
+      if (claimNumber) {
+        const claimId = data.ID ?? (req.params?.[0] as any)?.ID ?? null;
+        if (await findDuplicateClaimNumber(cds.db, claimNumber, claimId)) {
+          req.error(409, `Schaden-Nr. "${claimNumber}" ist bereits vergeben.`, 'claim_number');
         }
-        // try base64 by default, fallback to utf8
-        try { return Buffer.from(s, 'base64'); } catch { return Buffer.from(s, 'utf8'); }
-      }
-      if (isReadableStream(streamOrBuf)) {
-        const chunks: Buffer[] = [];
-        await new Promise<void>((resolve, reject) => {
-          streamOrBuf.on('data', (c: Buffer) => chunks.push(Buffer.isBuffer(c) ? c : Buffer.from(c)));
-          streamOrBuf.on('end', () => resolve());
-          streamOrBuf.on('error', (err: unknown) => reject(err));
-        });
-        return Buffer.concat(chunks);
+        return;
+      }
+      if (req.event === 'CREATE') {
+        data.claim_number = await allocateClaimNumber(cds.db, data);
+      }
+    });
+
+    // Policy coverage: policy_number is resolved against the Policies master
+    // data; the incident date must be covered and the vehicle must match
+    this.before(['CREATE', 'UPDATE'], 'Claims', async (req) => {
+      const data = (req.data ?? {}) as Record<string, any>;
+      const claimId = data.ID ?? (req.params?.[0] as any)?.ID ?? null;
+      const current = req.event === 'UPDATE' && claimId
+        ? await SELECT.one.from('kfz.claims.Claims').columns('policy_number', 'incident_date', 'vehicle_vin', 'vehicle_license').where({ ID: claimId })
+        : null;
+      const claim = { ...(current || {}), ...data };
+      const policyNumber = typeof claim.policy_number === 'string' ? claim.policy_number.trim() : '';
+      if (!policyNumber) {
+        data.policy_ID = null;
+        return;
+      }
+      const policy = await findPolicy(cds.db, policyNumber);
+      if (!policy) {
+        data.policy_ID = null;
+        req.warn(`Police "${policyNumber}" ist nicht im Policenbestand erfasst; die Deckung wurde nicht geprüft.`);
+        return;
       }
-      // Fallback: attempt to coerce
-      try { return Buffer.from(streamOrBuf); } catch { return Buffer.alloc(0); }
+      data.policy_ID = policy.ID;
+      for (const violation of checkPolicyCoverage(policy, claim)) {
+        req.error(400, violation.message, violation.target);
+      }
+    });
+
+    // Reserve/payment ledger: payments may not exceed the approved reserve and
+    // no new payments are accepted on a rejected claim
+    this.before(['CREATE', 'UPDATE'], 'Claims', async (req) => {
+      const data = (req.data ?? {}) as Record<string, any>;
+      if (data.reserves === undefined && data.payments === undefined) return;
+      const claimId = data.ID ?? (req.params?.[0] as any)?.ID ?? null;
+      const existingPayments = claimId
+        ? await SELECT.from('kfz.claims.ClaimPayments').columns('ID', 'amount', 'currency_code', 'approval_state', 'payment_date', 'createdAt').where({ claim_ID: claimId })
+        : [];
+      const reserves = Array.isArray(data.reserves)
+        ? data.reserves
+        : claimId ? await SELECT.from('kfz.claims.ClaimReserves').columns('amount', 'currency_code', 'approval_state', 'createdAt').where({ claim_ID: claimId }) : [];
+      const payments = Array.isArray(data.payments) ? data.payments : existingPayments;
+      const current = req.event === 'UPDATE' && claimId
+        ? await SELECT.one.from('kfz.claims.Claims').columns('status', 'currency_code').where({ ID: claimId })
+        : null;
+      const status = current?.status ?? data.status;
+      const currency = data.currency_code ?? current?.currency_code;
+      const rates = await loadCurrencyConverter(cds.db);
+      for (const violation of checkLedger({ status, currency, reserves, payments, existingPayments, rates })) {
+        req.error(violation.status, violation.message, violation.target);
+      }
+    });
+
+    // Status workflow: the bound actions are the only way to change Claims.status.
+    // Each transition is validated, applied optimistically (conditional on the
+    // current status) and recorded in ClaimStatusHistory.
+    // Resolves the bound active claim for actions that write to it directly.
+    // Refused while a draft exists: its activation would overwrite the changes
+    // with the draft copy.
+    const resolveActiveClaimForAction = async (req: any, columns: string[], draftMessage: string): Promise<Record<string, any> | null> => {
+      const bound = (Array.isArray(req.params) && req.params.length > 0) ? (req.params[0] as any) : {};
+      const claimId = (bound && typeof bound.ID === 'string') ? bound.ID : null;
+      if (!claimId) {
+        req.error(400, 'Bound Claim ID fehlt.');
+        return null;
+      }
+      if (bound.IsActiveEntity === false) {
+        req.error(400, draftMessage);
+        return null;
+      }
+      const { Claims } = this.entities as any;
+      const claim = await SELECT.one.from('kfz.claims.Claims').columns('ID', ...columns).where({ ID: claimId });
+      if (!claim) {
+        req.error(404, `Claim ${claimId} nicht gefunden.`);
+        return null;
+      }
+      const draft = await SELECT.one.from(Claims.drafts).columns('ID').where({ ID: claimId });
+      if (draft) {
+        req.error(409, 'Der Claim wird gerade bearbeitet. Bitte den Entwurf zuerst speichern oder verwerfen.');
+        return null;
+      }
+      return claim;
     };
 
-    this.before('UPDATE', 'Attachments', async (req) => {
+    for (const action of CLAIM_STATUS_ACTIONS) {
+      this.on(action, 'Claims', async (req) => {
+        const claim = await resolveActiveClaimForAction(req, ['status'], 'Statuswechsel sind nur auf dem aktiven Claim möglich.');
+        if (!claim) return;
+        const claimId = claim.ID;
+        const reason = String((req.data as { reason?: string } | undefined)?.reason ?? '').trim() || null;
+        const violation = checkStatusTransition(action, claim.status, reason);
+        if (violation) {
+          req.error(violation.status, violation.message);
+          return;
+        }
+
+        const to = CLAIM_STATUS_TRANSITIONS[action].to;
+        const affected = await UPDATE('kfz.claims.Claims').set({ status: to }).where({ ID: claimId, status: claim.status });
+        if (!affected) {
+          req.error(409, 'Der Status wurde zwischenzeitlich geändert. Bitte neu laden.');
+          return;
+        }
+        await INSERT.into('kfz.claims.ClaimStatusHistory').entries({
+          ID: cds.utils.uuid(),
+          claim_ID: claimId,
+          action,
+          from_status: claim.status,
+          to_status: to,
+          reason
+        });
+        return SELECT.one.from((this.entities as any).Claims).where({ ID: claimId });
+      });
+    }
+
+    // Photo analyses after every save: forensics (tampering hints, reuse across
+    // claims), the damage assessments already known for the photos (stored or
+    // from the enrichment cache) → severity_score, then the fraud score. The
+    // attachment rows are read once; the step runs once the save has
+    // committed, each analysis in its own transaction, so a failure neither
+    // aborts nor rolls back the save or the other analyses.
+    this.after(['CREATE', 'UPDATE'], 'Claims', (result, req) => {
+      const claimId = (result as any)?.ID ?? (req.data as any)?.ID ?? (req.params?.[0] as any)?.ID;
+      if (!claimId) return;
+      req.on('succeeded', async () => {
+        let photos: ClaimPhoto[];
+        try {
+          photos = await cds.tx({}, (tx) => loadClaimPhotos(tx, claimId));
+        } catch (error) {
+          console.error('Loading the photos failed for claim', claimId, error);
+          return;
+        }
+        try {
+          await cds.tx({}, (tx) => applyImageForensics(tx, claimId, photos));
+        } catch (error) {
+          console.warn('Photo forensics failed for claim', claimId, getErrorMessage(error));
+        }
+        try {
+          await cds.tx({}, (tx) => applyDamageAssessments(tx, claimId, photos));
+        } catch (error) {
+          console.warn('Damage assessment failed for claim', claimId, getErrorMessage(error));
+        }
+        try {
+          await cds.tx({}, (tx) => applyFraudScore(tx, claimId, photos));
+        } catch (error) {
+          console.error('Fraud scoring failed for claim', claimId, error);
+        }
+      });
+    });
+
+    // Ledger totals (reserve_total, paid_total, outstanding_reserve) after every save
+    this.after(['CREATE', 'UPDATE'], 'Claims', async (result, req) => {
+      const claimId = (result as any)?.ID ?? (req.data as any)?.ID ?? (req.params?.[0] as any)?.ID;
+      if (!claimId) return;
+      await applyLedgerTotals(cds.db, claimId);
+    });
+
+    // Approval of reserves and payments: the bound actions are the only way to
+    // change approval_state, once per entry (from Offen). The ledger guard is
+    // re-checked with the decision applied.
+    const LEDGER_DECISIONS = { approveEntry: 'Freigegeben', rejectEntry: 'Abgelehnt' } as const;
+    for (const [entity, table] of [['ClaimReserves', 'kfz.claims.ClaimReserves'], ['ClaimPayments', 'kfz.claims.ClaimPayments']] as const) {
+      for (const [action, decision] of Object.entries(LEDGER_DECISIONS)) {
+        this.on(action, entity, async (req) => {
+          const bound = (Array.isArray(req.params) && req.params.length > 0) ? (req.params[0] as any) : {};
+          if (bound.IsActiveEntity === false) {
+            req.error(400, 'Freigaben sind nur auf dem aktiven Claim möglich.');
+            return;
+          }
+          const entry = await SELECT.one.from(table).columns('ID', 'claim_ID', 'approval_state').where({ ID: bound.ID });
+          if (!entry) {
+            req.error(404, `Buchung ${bound.ID} nicht gefunden.`);
+            return;
+          }
+          const { Claims } = this.entities as any;
+          if (entry.claim_ID && await SELECT.one.from(Claims.drafts).columns('ID').where({ ID: entry.claim_ID })) {
+            req.error(409, 'Der Claim wird gerade bearbeitet. Bitte den Entwurf zuerst speichern oder verwerfen.');
+            return;
+          }
+          const affected = await UPDATE(table).set({ approval_state: decision }).where({ ID: entry.ID, approval_state: 'Offen' });
+          if (!affected) {
+            req.error(409, `Die Buchung ist bereits ${entry.approval_state === 'Abgelehnt' ? 'abgelehnt' : 'freigegeben'}.`);
+            return;
+          }
+          if (entry.claim_ID) {
+            const claim = await SELECT.one.from('kfz.claims.Claims').columns('status', 'currency_code').where({ ID: entry.claim_ID });
+            const reserves = await SELECT.from('kfz.claims.ClaimReserves').columns('amount', 'currency_code', 'approval_state', 'createdAt').where({ claim_ID: entry.claim_ID });
+            const payments = await SELECT.from('kfz.claims.ClaimPayments').columns('ID', 'amount', 'currency_code', 'approval_state', 'payment_date', 'createdAt').where({ claim_ID: entry.claim_ID });
+            const rates = await loadCurrencyConverter(cds.db);
+            const violations = checkLedger({ status: claim?.status, currency: claim?.currency_code, reserves, payments, existingPayments: payments, rates });
+            if (violations.length) {
+              for (const violation of violations) req.error(violation.status, violation.message);
+              return;
+            }
+            await applyLedgerTotals(cds.db, entry.claim_ID);
+          }
+          return SELECT.one.from((this.entities as any)[entity]).where({ ID: entry.ID });
+        });
+      }
+    }
+
+    this.on('reportingTotals', async (req) => {
+      const data = (req.data ?? {}) as { currency?: string; keyDate?: string };
+      return computeReportingTotals(cds.db, data.currency, data.keyDate);
+    });
+
+    // Duplicate detection: candidates are stored on the claim and reported as
+    // warnings, the save itself is never blocked
+    this.after(['CREATE', 'UPDATE'], 'Claims', async (result, req) => {
+      const claimId = (result as any)?.ID ?? (req.data as any)?.ID ?? (req.params?.[0] as any)?.ID;
+      if (!claimId) return;
+      try {
+        const candidates = await detectDuplicateClaims(cds.db, claimId);
+        for (const candidate of candidates) {
+          req.warn(`Möglicher Doppelfall: ${candidate.claimNumber || candidate.duplicateId} (Übereinstimmung: ${candidate.reasons.join(', ')}; Score ${candidate.score}).`);
+        }
+      } catch (error) {
+        console.warn('Duplicate detection failed for claim', claimId, getErrorMessage(error));
+      }
+    });
+
+    // Hash link to the object page of the duplicate claim
+    this.after('READ', 'ClaimDuplicateCandidates', (rows) => {
+      const arr = Array.isArray(rows) ? rows : [rows];
+      for (const r of arr) {
+        if (!r) continue;
+        const duplicateId = (r as any).duplicate_ID;
+        (r as any).duplicateUrl = duplicateId ? `#/Claims(ID=${duplicateId},IsActiveEntity=true)` : null;
+      }
+    });
+
+    this.on('recalculateFraudScore', 'Claims', async (req) => {
+      const claim = await resolveActiveClaimForAction(req, [], 'Der Betrugsindikator wird nur für den aktiven Claim berechnet.');
+      if (!claim) return;
+      try {
+        const photos = await loadClaimPhotos(cds.db, claim.ID);
+        await applyImageForensics(cds.db, claim.ID, photos);
+        await applyFraudScore(cds.db, claim.ID, photos);
+      } catch (error) {
+        console.error('recalculateFraudScore failed:', error);
+        req.error(500, `Berechnung des Betrugsindikators fehlgeschlagen: ${getErrorMessage(error)}`);
+        return;
+      }
+      return SELECT.one.from((this.entities as any).Claims).where({ ID: claim.ID });
+    });
+
+    this.on('assessDamage', 'Claims', async (req) => {
+      const claim = await resolveActiveClaimForAction(req, [], 'Die Schadenbewertung wird nur für den aktiven Claim durchgeführt.');
+      if (!claim) return;
+      try {
+        const result = await applyDamageAssessments(cds.db, claim.ID, await loadClaimPhotos(cds.db, claim.ID), { analyze: true });
+        for (const photo of result.failed) {
+          req.warn(`Foto "${photo.fileName || photo.attachmentId}" konnte nicht bewertet werden: ${photo.error}`);
+        }
+        if (!result.assessments.size && !result.failed.length) {
+          req.info('Der Claim hat keine Fotos für die Schadenbewertung.');
+        }
+      } catch (error) {
+        console.error('assessDamage failed:', error);
+        req.error(500, `Schadenbewertung fehlgeschlagen: ${getErrorMessage(error)}`);
+        return;
+      }
+      return SELECT.one.from((this.entities as any).Claims).where({ ID: claim.ID });
+    });
+
+    // Mapping profiles store JSON in LargeString fields; reject unparsable input early
+    this.before(['CREATE', 'UPDATE'], 'ExcelMappingProfiles', (req) => {
+      const data = (req.data ?? {}) as Record<string, unknown>;
+      for (const field of ['headerAliases', 'positionAliases', 'cellAnchors', 'conversions']) {
+        const raw = data[field];
+        if (raw === null || raw === undefined || raw === '') continue;
+        let parsed: unknown;
+        try {
+          parsed = JSON.parse(String(raw));
+        } catch {
+          req.error(400, `Feld "${field}" enthält kein gültiges JSON.`, field);
+          continue;
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          req.error(400, `Feld "${field}" muss ein JSON-Objekt sein.`, field);
+        }
+      }
+    });
+
+    // Before updating media stream: buffer it and compute size/sha256/exif (avoid overlapping DB ops).
+    // Also for drafts, where the UI uploads, so replaced content never keeps a stale hash.
+    const { Attachments: AttachmentsEntity } = this.entities as any;
+    this.before('UPDATE', [AttachmentsEntity, AttachmentsEntity.drafts], async (req) => {
       try {
         const hasContent = req.data && Object.prototype.hasOwnProperty.call(req.data, 'content');
         if (!hasContent) return;
@@ -1211,25 +2059,27 @@ ${safeContent}`;
         if (isReadableStream(content)) {
           const mt = (req.data as any).mediaType || detectMimeType((req.data as any).fileName || '');
           if (!(req.data as any).mediaType) (req.data as any).mediaType = mt;
-          // Do not touch size/sha256; UI may patch size after upload.
+          // Do not touch size; UI may patch size after upload. The content-derived
+          // columns are cleared and filled from the stored content on first use.
+          Object.assign(req.data as any, { sha256: null, exif: null, perceptualHash: null, forensicDetails: null });
           return;
         }
 
         // Compute when we already have a Buffer or coercible content
         const buf = await toBuffer(content);
-        const size = buf.length;
-        const sha = createHash('sha256').update(buf).digest('hex');
         const mt = (req.data as any).mediaType || detectMimeType((req.data as any).fileName || '');
         (req.data as any).content = buf;
-        (req.data as any).size = size;
-        (req.data as any).sha256 = sha;
+        Object.assign(req.data as any, attachmentMetadata(buf, mt));
         if (!(req.data as any).mediaType) (req.data as any).mediaType = mt;
       } catch (e) {
         console.warn('before UPDATE Attachments: failed to buffer stream', getErrorMessage(e));
       }
     });
 
+    excelImportWorker.start();
+
     this.on('EXIT', async () => {
+      await excelImportWorker.stop();
       if (mcpInfrastructureEnabled) {
         console.log('Shutting down MCP clients...');
       } else {
@@ -1241,6 +2091,7 @@ ${safeContent}`;
         }
       }
       notificationSessions.clear();
+      if (subscriptionRenewalTimer) clearInterval(subscriptionRenewalTimer);
       await graph.close();
       if (mcpInfrastructureEnabled) {
         await closeMCPClients();
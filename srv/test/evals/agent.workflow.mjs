@@ -18,6 +18,7 @@ import { jsonSchemaToZod } from '../../../gen/srv/m365-mcp/mcp-jsonschema.js';
 import { section, kv, ok, warn, fail, info, colors, truncate, measure, hr } from './utils/format.mjs';
 import { mkdir, readFile, writeFile } from 'node:fs/promises';
 import { analyzeImageAttachment } from '../../../gen/srv/utils/vision.js';
+import { assessDamagePhoto } from '../../../gen/srv/lib/damage-assessment.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -451,6 +452,24 @@ async function buildAgent(spy) {
       }
     });
 
+    const imageAssessDamage = new DynamicStructuredTool({
+      name: 'image.assessDamage',
+      description: 'Bewertet den Schaden auf einer lokalen Bilddatei (png/jpg/jpeg/webp): Beschreibung, betroffene Bauteile, Schadenart, Schwere 0-100, Fahrbereitschaft, Sicherheit, dazu EXIF-Metadaten.',
+      schema: z.object({
+        fileAbsolutePath: z.string().min(1).describe('Absoluter Pfad zur Bilddatei.'),
+        hint: z.string().optional().describe('Optionaler Hinweis für die Schadenbewertung.'),
+      }),
+      func: async (input) => {
+        const t0 = Date.now();
+        spy?.record('tool.begin', { name: 'image.assessDamage', group: 'vision', input });
+        const { fileAbsolutePath, hint } = input;
+        const out = await assessDamagePhoto(fileAbsolutePath, { hint });
+        const ms = Date.now() - t0;
+        spy?.record('tool.end', { name: 'image.assessDamage', group: 'vision', ms, ok: true });
+        return JSON.stringify(out);
+      }
+    });
+
     return [
       ...cdsModelTools,
       ...capTools,
@@ -461,7 +480,8 @@ async function buildAgent(spy) {
       capMailTriage,
       draftMail,
       draftCalendar,
-      imageDescribe
+      imageDescribe,
+      imageAssessDamage
     ];
   };
 
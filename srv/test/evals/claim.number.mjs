@@ -0,0 +1,73 @@
+// srv/test/evals/claim.number.mjs
+// Offline claim number checks against an in-memory database with the seeded
+// claims CLM-CH-LU-2025-001..003: continuation after existing numbers,
+// collisions with manually entered numbers and rollbacks (no gaps).
+
+import cds from '@sap/cds';
+import {
+  allocateClaimNumber,
+  claimNumberExpression,
+  findDuplicateClaimNumber,
+  formatClaimNumber,
+  resolveRegion
+} from '../../../gen/srv/lib/claim-number.js';
+import { section } from './utils/format.mjs';
+import { check, finish } from './utils/check.mjs';
+import { deployMemoryDb } from './utils/memory-db.mjs';
+
+const { SELECT, INSERT } = cds.ql;
+
+const PATTERN = 'CLM-CH-{region}-{year}-{seq:3}';
+const LUZERN_2025 = { vehicle_license: 'LU 88765', received_at: '2025-10-02T08:00:00Z' };
+
+const allocate = (claim) => cds.tx({}, (tx) => allocateClaimNumber(tx, claim));
+const lastNumber = async (region, year) =>
+  (await SELECT.one.from('kfz.claims.ClaimNumberSequences').columns('lastNumber').where({ region, year }))?.lastNumber ?? null;
+
+function checkFormatting() {
+  section('Pattern');
+  check('format', formatClaimNumber(PATTERN, 'LU', 2025, 7), 'CLM-CH-LU-2025-007');
+  check('short year, wide sequence', formatClaimNumber('{region}{yy}-{seq:5}', 'ZH', 2026, 42), 'ZH26-00042');
+  check('sequence beyond the padding', formatClaimNumber(PATTERN, 'BE', 2025, 1234), 'CLM-CH-BE-2025-1234');
+  check('region from the plate', resolveRegion(' zh 123456', 'XX'), 'ZH');
+  check('unknown plate prefix', resolveRegion('D-M 1234', 'XX'), 'XX');
+  check('numbers in free text', 'Betrifft clm-ch-lu-2025-002 und CLM-CH-ZH-2024-1000.'.match(claimNumberExpression(PATTERN)),
+    ['clm-ch-lu-2025-002', 'CLM-CH-ZH-2024-1000']);
+}
+
+async function checkAllocation() {
+  section('Allocation');
+  check('continues after the seeded numbers', await allocate(LUZERN_2025), 'CLM-CH-LU-2025-004');
+  check('sequence stored', await lastNumber('LU', 2025), 4);
+  check('next number', await allocate(LUZERN_2025), 'CLM-CH-LU-2025-005');
+  check('other region starts at 1', await allocate({ vehicle_license: 'BE 1234', received_at: '2025-10-02T08:00:00Z' }), 'CLM-CH-BE-2025-001');
+  check('other year starts at 1', await allocate({ vehicle_license: 'LU 1', received_at: '2024-12-31T23:00:00Z' }), 'CLM-CH-LU-2024-001');
+  check('fallback region', await allocate({ vehicle_license: null, received_at: '2025-10-02T08:00:00Z' }), 'CLM-CH-XX-2025-001');
+
+  section('Gaps and collisions');
+  await INSERT.into('kfz.claims.Claims').entries({ ID: cds.utils.uuid(), claim_number: 'CLM-CH-LU-2025-006', received_at: '2025-10-03T08:00:00Z' });
+  check('manually entered number found', Boolean(await findDuplicateClaimNumber(cds.db, 'CLM-CH-LU-2025-006')), true);
+  check('collision is skipped', await allocate(LUZERN_2025), 'CLM-CH-LU-2025-007');
+  check('sequence moved past the collision', await lastNumber('LU', 2025), 7);
+
+  const rolledBack = await cds.tx({}, async (tx) => {
+    const number = await allocateClaimNumber(tx, LUZERN_2025);
+    throw Object.assign(new Error('Aktivierung abgebrochen'), { number });
+  }).catch((error) => error.number);
+  check('number allocated in the failed transaction', rolledBack, 'CLM-CH-LU-2025-008');
+  check('rollback returns the number', await lastNumber('LU', 2025), 7);
+  check('no gap after the rollback', await allocate(LUZERN_2025), 'CLM-CH-LU-2025-008');
+}
+
+async function main() {
+  section('Claim numbers (offline)');
+  checkFormatting();
+  await deployMemoryDb();
+  await checkAllocation();
+  finish('Claim numbers');
+}
+
+main().catch((err) => {
+  console.error('Claim number eval failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,186 @@
+// srv/test/evals/excel.import.mjs
+// Offline import checks: maps the calculation in MockDaten with the default
+// and a converting profile, then runs ExcelImportWorker jobs against an
+// in-memory database (claim update, new claim with allocated number, requeue
+// of an expired PROCESSING lease).
+
+import path from 'node:path';
+import os from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import cds from '@sap/cds';
+import { loadWorkbook } from '../../../gen/srv/utils/spreadsheet.js';
+import { ExcelImportWorker, DEFAULT_MAPPING_PROFILE, mapWorkbook } from '../../../gen/srv/lib/excel-import.js';
+import { createCurrencyConverter } from '../../../gen/srv/lib/exchange-rates.js';
+import { section, kv } from './utils/format.mjs';
+import { check, finish } from './utils/check.mjs';
+import { deployMemoryDb } from './utils/memory-db.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKBOOK = path.resolve(__dirname, '../../../MockDaten/Kalkulation_CLM-CH-LU-2025-002 (1).xlsx');
+const SEEDED_CLAIM = '1c3f4e22-7b51-4d67-9e88-2af6a5d9b0a2';
+// Import jobs whose workbook is read without the claim number (the worker names
+// the work file after the job ID)
+const withoutNumber = new Set();
+
+const { SELECT, INSERT } = cds.ql;
+
+/** Native reader in the shape of the MCP loader of srv/service.ts. */
+const readWorkbook = async (filePath) => {
+  const { sheets } = await loadWorkbook(filePath);
+  return {
+    sheets: sheets.map(({ name, rows }) => ({
+      sheetName: name,
+      data: {
+        sheetName: name,
+        rows: withoutNumber.has(path.basename(filePath, path.extname(filePath))) && name === 'ClaimHeader'
+          ? rows.map((row, index) => (index === 0 ? row : ['', ...row.slice(1)]))
+          : rows,
+        truncated: false
+      }
+    }))
+  };
+};
+
+const addImportJob = async (fileName, content, { keepNumber = true, ...extra } = {}) => {
+  const attachmentId = cds.utils.uuid();
+  const importId = cds.utils.uuid();
+  await INSERT.into('kfz.claims.Attachments').entries({ ID: attachmentId, fileName, mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', content });
+  await INSERT.into('kfz.claims.ExcelImports').entries({ ID: importId, fileName, attachment_ID: attachmentId, status: 'NEW', ...extra });
+  if (!keepNumber) withoutNumber.add(importId);
+  return importId;
+};
+
+const readJob = (importId) => SELECT.one.from('kfz.claims.ExcelImports').where({ ID: importId });
+// The job log holds one JSON entry per line (appendLog)
+const logEntries = (job) => (job?.log || '').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+const logSteps = (job) => logEntries(job).map((entry) => entry.step);
+const countDocuments = async (claimId) => (await SELECT.from('kfz.claims.ClaimDocuments').columns('ID').where({ claim_ID: claimId })).length;
+
+function checkMapping(workbook) {
+  section('mapWorkbook (default profile)');
+  const mapping = mapWorkbook(workbook);
+  check('header sheet', mapping.headerSheet, 'ClaimHeader');
+  check('position sheet', mapping.positionSheet, 'Positionen');
+  check('warnings', mapping.warnings, []);
+  check('claim fields', mapping.header.fields, {
+    claim_number: 'CLM-CH-LU-2025-002',
+    policy_number: 'ACME-P-992110',
+    claimant_name: 'Mira Huber',
+    claimant_email: 'mira.huber@example.ch',
+    claimant_phone: '+41 76 777 66 55',
+    vehicle_license: 'LU 88765',
+    vehicle_vin: 'VF1ABCD12EF345678',
+    incident_date: '2025-09-29T19:10:00.000Z',
+    incident_location: 'Kriens, Horwerstrasse',
+    description_short: 'Seitlicher Parkschaden Fahrertür',
+    notes: 'Polizeirapport angefragt',
+    currency_code: 'CHF',
+    estimated_cost: 920.5
+  });
+  check('total from positions', mapping.header.total, 920.5);
+  check('cost lines', mapping.lines.length, 2);
+  check('first cost line', mapping.lines[0], {
+    posNo: 1, category: 'Teile', item: 'Tür Fahrerseite', qty: 1, unitPrice: 480.5, laborHours: null, laborRate: null, lineTotal: 480.5, note: null
+  });
+
+  section('mapWorkbook (conversions, cell anchors)');
+  const rates = createCurrencyConverter([{ source_code: 'CHF', target_code: 'EUR', rate: 1.05, valid_from: '2025-01-01' }]);
+  const converted = mapWorkbook(workbook, {
+    ...DEFAULT_MAPPING_PROFILE,
+    name: 'eval-rappen',
+    cellAnchors: { claimant_name: 'ClaimHeader!C2', notes: 'Z99' },
+    conversions: { currency: 'CHF', targetCurrency: 'EUR', amountFactor: 0.01 }
+  }, rates);
+  check('amount factor and table rate', converted.header.total, 9.67);
+  check('converted currency', [converted.header.currency, converted.header.fields.currency_code], ['EUR', 'EUR']);
+  check('converted line total', converted.lines[0].lineTotal, 5.05);
+  check('anchored claimant', converted.header.fields.claimant_name, 'Mira Huber');
+  check('unknown anchor is reported', converted.warnings, ['Cell anchor notes (Z99) is empty or unknown.']);
+
+  const fixed = mapWorkbook(workbook, { ...DEFAULT_MAPPING_PROFILE, name: 'eval-rate', conversions: { targetCurrency: 'EUR', rates: { CHF: 1.1 } } }, rates);
+  check('profile rate wins over the table', fixed.header.total, 1012.55);
+  const missing = mapWorkbook(workbook, { ...DEFAULT_MAPPING_PROFILE, name: 'eval-usd', conversions: { targetCurrency: 'USD' } });
+  check('missing rate keeps the amounts', [missing.header.total, missing.header.currency], [920.5, 'CHF']);
+  check('missing rate is reported', missing.warnings, ['No conversion rate CHF -> USD; amounts kept in CHF.']);
+}
+
+async function checkWorker(content) {
+  const workDir = await mkdtemp(path.join(os.tmpdir(), 'claimai-import-'));
+  const logger = { info() {}, warn() {}, error() {} };
+  const worker = new ExcelImportWorker({ loadWorkbook: readWorkbook, workDir, leaseMs: 15 * 60_000, logger });
+  try {
+    section('Import into the existing claim');
+    const documentsBefore = await countDocuments(SEEDED_CLAIM);
+    const update = await addImportJob('Kalkulation_CLM-CH-LU-2025-002.xlsx', content);
+    await worker.processJob(update);
+    const updated = await readJob(update);
+    check('status', updated.status, 'DONE');
+    check('claim resolved by number', updated.claim_ID, SEEDED_CLAIM);
+    check('rows imported', updated.rowsImported, 3);
+    const claim = await SELECT.one.from('kfz.claims.Claims').columns('claim_number', 'estimated_cost').where({ ID: SEEDED_CLAIM });
+    check('claim number kept', claim.claim_number, 'CLM-CH-LU-2025-002');
+    check('cost taken over', Number(claim.estimated_cost), 920.5);
+    check('calculation document stored', await countDocuments(SEEDED_CLAIM), documentsBefore + 1);
+
+    section('Import without claim number');
+    const year = new Date().getUTCFullYear();
+    const created = await addImportJob('Kalkulation_ohne_Nummer.xlsx', content, { keepNumber: false });
+    await worker.processJob(created);
+    const job = await readJob(created);
+    check('status', job.status, 'DONE');
+    const claim2 = await SELECT.one.from('kfz.claims.Claims').where({ ID: job.claim_ID });
+    kv('Claim', claim2?.claim_number);
+    check('allocated number', claim2?.claim_number, `CLM-CH-LU-${year}-001`);
+    check('mapped fields', [claim2?.claimant_name, claim2?.vehicle_vin, claim2?.incident_location, Number(claim2?.estimated_cost)],
+      ['Mira Huber', 'VF1ABCD12EF345678', 'Kriens, Horwerstrasse', 920.5]);
+    check('status of the new claim', claim2?.status, 'Eingegangen');
+    const sequence = await SELECT.one.from('kfz.claims.ClaimNumberSequences').where({ region: 'LU', year });
+    check('sequence advanced', sequence?.lastNumber, 1);
+
+    section('Lease and retry');
+    const stale = await addImportJob('Kalkulation_haengend.xlsx', content, {
+      keepNumber: false,
+      status: 'PROCESSING',
+      processingStartedAt: new Date(Date.now() - 60 * 60_000).toISOString()
+    });
+    const running = await addImportJob('Kalkulation_laufend.xlsx', content, {
+      status: 'PROCESSING',
+      processingStartedAt: new Date().toISOString()
+    });
+    const broken = await addImportJob('kaputt.xlsx', Buffer.from('kein Excel'));
+    const unknownProfile = await addImportJob('Kalkulation_Profil.xlsx', content, { target: 'gibt-es-nicht' });
+    worker.trigger();
+    await worker.stop();
+    const retried = await readJob(stale);
+    check('expired lease requeued and imported', retried.status, 'DONE');
+    check('requeue logged before the retry', logSteps(retried).slice(0, 2), ['requeue', 'start']);
+    const retriedClaim = await SELECT.one.from('kfz.claims.Claims').columns('claim_number').where({ ID: retried.claim_ID });
+    check('retry allocates the next number', retriedClaim?.claim_number, `CLM-CH-LU-${year}-002`);
+    const untouched = await readJob(running);
+    check('running lease left alone', [untouched.status, untouched.log ?? null], ['PROCESSING', null]);
+    const failed = await readJob(broken);
+    check('unreadable workbook', [failed.status, failed.rowsImported], ['ERROR', 0]);
+    check('failure logged', logSteps(failed).at(-1), 'failed');
+    const rejected = await readJob(unknownProfile);
+    check('unknown mapping profile', [rejected.status, logEntries(rejected).at(-1)?.message], ['ERROR', 'Mapping profile "gibt-es-nicht" not found.']);
+  } finally {
+    await worker.stop();
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+async function main() {
+  section('Excel import (offline)');
+  kv('Workbook', WORKBOOK);
+  const content = await readFile(WORKBOOK);
+  checkMapping(await readWorkbook(WORKBOOK));
+  await deployMemoryDb();
+  await checkWorker(content);
+  finish('Excel import');
+}
+
+main().catch((err) => {
+  console.error('Excel import eval failed:', err);
+  process.exit(1);
+});
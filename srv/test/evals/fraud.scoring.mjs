@@ -0,0 +1,129 @@
+// srv/test/evals/fraud.scoring.mjs
+// Offline fraud rule checks: every default rule on prepared claim facts (photo
+// EXIF from srv/test/fixtures/exif, places from the seeded gazetteer) and one
+// applyFraudScore run that stores score, explanations and photo geo checks.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readFile } from 'node:fs/promises';
+import cds from '@sap/cds';
+import { DEFAULT_FRAUD_RULES, applyFraudScore, evaluateFraudRules } from '../../../gen/srv/lib/fraud-scoring.js';
+import { loadGazetteer, resolveLocation } from '../../../gen/srv/lib/geo-plausibility.js';
+import { extractExifMetadata } from '../../../gen/srv/utils/vision.js';
+import { section } from './utils/format.mjs';
+import { check, finish } from './utils/check.mjs';
+import { deployMemoryDb } from './utils/memory-db.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PHOTO = path.resolve(__dirname, '../fixtures/exif/iphone-gps.jpg');
+
+const { SELECT, INSERT } = cds.ql;
+
+// Photo taken 2025-06-01 14:30:05 +02:00 in Luzern (47.0534 N, 8.3083 E)
+const BASE_CLAIM = {
+  ID: 'claim-eval',
+  claim_number: 'CLM-CH-LU-2025-100',
+  vehicle_vin: 'WVWZZZ1KZAW000100',
+  incident_date: '2025-06-01T11:00:00Z',
+  incident_location: 'Luzern, Pilatusstrasse',
+  received_at: '2025-06-03T08:00:00Z',
+  estimated_cost: 1800,
+  currency_code: 'CHF',
+  coverage_type: 'Vollkasko'
+};
+const PEERS = [1000, 1200, 900].map((cost, index) => ({ ID: `peer-${index}`, estimated_cost: cost, currency_code: 'CHF' }));
+
+const rulesHit = (result) => result.hits.map((hit) => [hit.rule, hit.points]);
+
+function checkRules(photo, places) {
+  const score = (claim = {}, context = {}) => {
+    const facts = { ...BASE_CLAIM, ...claim };
+    return evaluateFraudRules({
+      claim: facts,
+      photos: [photo],
+      sameVehicle: [],
+      sameCoverage: PEERS,
+      incidentPlace: resolveLocation(facts.incident_location, places),
+      ...context
+    }, DEFAULT_FRAUD_RULES);
+  };
+
+  section('Plausible claim');
+  const clean = score();
+  check('score', clean.fraudScore, 0);
+  check('hits', clean.hits, []);
+
+  section('Single rules');
+  const exif = score({ incident_date: '2025-06-05T11:00:00Z' });
+  check('EXIF_DATE_MISMATCH', rulesHit(exif), [['EXIF_DATE_MISMATCH', 30]]);
+  check('capture time with offset', exif.hits[0]?.details.photos[0].capturedAt, '2025-06-01 12:30');
+  check('within the tolerance', score({ incident_date: '2025-06-03T10:00:00Z', received_at: '2025-06-03T12:00:00Z' }).hits, []);
+
+  const vin = score({}, { sameVehicle: [{ ID: 'peer-vin', claim_number: 'CLM-CH-ZH-2025-010', vehicle_vin: ' wvwzzz1kzaw000100', incident_date: '2025-01-15T10:00:00Z' }] });
+  check('DUPLICATE_VIN', rulesHit(vin), [['DUPLICATE_VIN', 25]]);
+  check('VIN outside the window', score({}, { sameVehicle: [{ ID: 'old', vehicle_vin: BASE_CLAIM.vehicle_vin, incident_date: '2023-01-15T10:00:00Z' }] }).hits, []);
+
+  check('LATE_REPORTING', rulesHit(score({ received_at: '2025-07-15T08:00:00Z' })), [['LATE_REPORTING', 15]]);
+  check('reported on day 30', score({ received_at: '2025-07-01T10:00:00Z' }).hits, []);
+
+  check('COST_OUTLIER', rulesHit(score({ estimated_cost: 4000 })), [['COST_OUTLIER', 20]]);
+  check('too few peers', score({ estimated_cost: 4000 }, { sameCoverage: PEERS.slice(0, 2) }).hits, []);
+  check('no coverage type', score({ estimated_cost: 4000, coverage_type: null }).hits, []);
+
+  const geo = score({ incident_location: 'Genf, Rue du Rhône' });
+  check('GEO_MISMATCH', rulesHit(geo), [['GEO_MISMATCH', 25]]);
+  check('reference place', geo.hits[0]?.details.reference.label, 'Genève');
+  check('neighbouring municipality within 10 km', score({ incident_location: 'Kriens, Horwerstrasse' }).hits, []);
+  check('unknown place', score({ incident_location: 'irgendwo im Wald' }).hits, []);
+
+  section('Combined');
+  const all = score({ incident_date: '2025-05-01T11:00:00Z', received_at: '2025-07-01T08:00:00Z', incident_location: 'Genève', estimated_cost: 5000 },
+    { sameVehicle: [{ ID: 'peer-vin', vehicle_vin: BASE_CLAIM.vehicle_vin, incident_date: '2025-02-01T10:00:00Z' }] });
+  check('all rules hit', all.hits.map((hit) => hit.rule).sort(), ['COST_OUTLIER', 'DUPLICATE_VIN', 'EXIF_DATE_MISMATCH', 'GEO_MISMATCH', 'LATE_REPORTING']);
+  check('score capped at 100', all.fraudScore, 100);
+  const weighted = evaluateFraudRules({ claim: { ...BASE_CLAIM, received_at: '2025-09-01T08:00:00Z' }, photos: [], sameVehicle: [], sameCoverage: [] },
+    [{ code: 'LATE_REPORTING', weight: 12.6, parameters: { maxDays: 60 } }, { code: 'UNKNOWN_RULE', weight: 50, parameters: {} }]);
+  check('custom parameters, unknown rules ignored', [weighted.fraudScore, weighted.hits.length], [13, 1]);
+}
+
+async function checkStoredScore(photo) {
+  section('applyFraudScore');
+  const claimId = cds.utils.uuid();
+  const attachmentId = cds.utils.uuid();
+  // Same VIN as the seeded CLM-CH-LU-2025-002 (incident 2025-09-29)
+  await INSERT.into('kfz.claims.Claims').entries({
+    ID: claimId,
+    claim_number: 'CLM-CH-LU-2025-100',
+    vehicle_vin: 'VF1ABCD12EF345678',
+    incident_date: '2025-06-10T09:00:00Z',
+    incident_location: 'Genève',
+    received_at: '2025-08-01T08:00:00Z',
+    estimated_cost: 800,
+    currency_code: 'CHF'
+  });
+  await INSERT.into('kfz.claims.Attachments').entries({ ID: attachmentId, fileName: photo.fileName, refClaim_ID: claimId, exif: JSON.stringify(photo.exif) });
+  const result = await cds.tx({}, (tx) => applyFraudScore(tx, claimId, [{ ...photo, attachmentId }]));
+  check('rules hit', result.hits.map((hit) => hit.rule).sort(), ['DUPLICATE_VIN', 'EXIF_DATE_MISMATCH', 'GEO_MISMATCH', 'LATE_REPORTING']);
+  const claim = await SELECT.one.from('kfz.claims.Claims').columns('fraud_score').where({ ID: claimId });
+  check('stored score', claim.fraud_score, 95);
+  const explanations = await SELECT.from('kfz.claims.ClaimFraudExplanations').columns('rule', 'points').where({ claim_ID: claimId }).orderBy('rule');
+  check('explanations', explanations.map((row) => [row.rule, row.points]),
+    [['DUPLICATE_VIN', 25], ['EXIF_DATE_MISMATCH', 30], ['GEO_MISMATCH', 25], ['LATE_REPORTING', 15]]);
+  const attachment = await SELECT.one.from('kfz.claims.Attachments').columns('geoCheck', 'geoReference', 'gpsLatitude').where({ ID: attachmentId });
+  check('photo geo check', [attachment.geoCheck, attachment.geoReference, Number(Number(attachment.gpsLatitude).toFixed(4))], ['MISMATCH', 'Genève', 47.0534]);
+}
+
+async function main() {
+  section('Fraud scoring (offline)');
+  const exif = extractExifMetadata(await readFile(PHOTO));
+  const photo = { attachmentId: 'photo-1', fileName: path.basename(PHOTO), exif };
+  const db = await deployMemoryDb();
+  checkRules(photo, await loadGazetteer(db));
+  await checkStoredScore(photo);
+  finish('Fraud scoring');
+}
+
+main().catch((err) => {
+  console.error('Fraud scoring eval failed:', err);
+  process.exit(1);
+});
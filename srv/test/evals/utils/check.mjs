@@ -0,0 +1,42 @@
+// srv/test/evals/utils/check.mjs
+// Assertions for the offline evals: every check prints one line, failures are
+// counted and turn into a non-zero exit code in finish().
+
+import { isDeepStrictEqual } from 'node:util';
+import { ok, fail, colors } from './format.mjs';
+
+let failures = 0;
+
+const show = (value) => {
+  const text = JSON.stringify(value);
+  return text === undefined ? String(value) : text;
+};
+
+export function check(label, actual, expected) {
+  if (isDeepStrictEqual(actual, expected)) {
+    ok(`${label} ${colors.gray(show(actual))}`);
+    return true;
+  }
+  failures++;
+  fail(`${label}: got ${show(actual)}, expected ${show(expected)}`);
+  return false;
+}
+
+export function checkThat(label, condition, detail) {
+  if (condition) {
+    ok(label);
+    return true;
+  }
+  failures++;
+  fail(detail === undefined ? label : `${label}: ${show(detail)}`);
+  return false;
+}
+
+export function finish(name) {
+  if (failures) {
+    fail(`${name}: ${failures} check(s) failed`);
+    process.exitCode = 1;
+  } else {
+    ok(`${name}: all checks passed`);
+  }
+}
@@ -0,0 +1,14 @@
+// srv/test/evals/utils/memory-db.mjs
+// In-memory SQLite database with the ClaimAI model and the seed data of
+// db/data, for the offline evals (no Postgres, no network).
+
+import cds from '@sap/cds';
+
+export async function deployMemoryDb() {
+  cds.env.requires.db = { kind: 'sqlite', impl: '@cap-js/sqlite', credentials: { url: ':memory:' } };
+  const model = await cds.load(['db', 'srv']);
+  cds.model = cds.compile.for.nodejs(model);
+  const db = await cds.connect.to('db');
+  await cds.deploy(model).to(db);
+  return db;
+}
@@ -0,0 +1,95 @@
+// srv/test/evals/vision.exif.mjs
+// Offline photo checks: EXIF of the JPEG/HEIC/PNG files in
+// srv/test/fixtures/exif, image type detection and the damage assessment of
+// MockDaten/download.png with the fixture vision provider.
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readFile } from 'node:fs/promises';
+import { section, kv } from './utils/format.mjs';
+import { check, finish } from './utils/check.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '../../..');
+const FIXTURES = path.join(ROOT, 'srv/test/fixtures/exif');
+
+// Never call a model from this eval
+process.env.CLAIMAI_VISION_PROVIDER = 'fixture';
+process.env.CLAIMAI_VISION_FIXTURES ||= path.join(ROOT, 'srv/test/fixtures/vision/answers.json');
+
+const { extractExifMetadata } = await import('../../../gen/srv/utils/vision.js');
+const { detectImageMediaType } = await import('../../../gen/srv/utils/vision-provider.js');
+const { exifCaptureTime } = await import('../../../gen/srv/lib/fraud-scoring.js');
+const { assessDamagePhoto } = await import('../../../gen/srv/lib/damage-assessment.js');
+
+// Written by an iPhone 13 in Luzern on 2025-06-01 14:30:05 local time (+02:00)
+const IPHONE_EXIF = {
+  'IFD0.Make': 'Apple',
+  'IFD0.Model': 'iPhone 13',
+  'Exif.DateTimeOriginal': '2025:06:01 14:30:05',
+  'Exif.OffsetTimeOriginal': '+02:00',
+  'Exif.Lens': 'Apple iPhone 13 back dual wide camera 5.1mm f/1.6',
+  'GPS.Latitude': 47.0534278,
+  'GPS.Longitude': 8.3083333,
+  'GPS.Altitude': 435.5,
+  'GPS.Timestamp': '2025-06-01T12:30:05Z'
+};
+
+const pick = (exif, keys) => Object.fromEntries(keys.map((key) => [key, exif[key]]));
+
+async function checkExif() {
+  for (const file of ['iphone-gps.jpg', 'iphone-gps.heic']) {
+    section(`EXIF ${file}`);
+    const buffer = await readFile(path.join(FIXTURES, file));
+    const exif = extractExifMetadata(buffer);
+    check('tags', pick(exif, Object.keys(IPHONE_EXIF)), IPHONE_EXIF);
+    check('capture time (UTC)', new Date(exifCaptureTime(exif)).toISOString(), '2025-06-01T12:30:05.000Z');
+    check('truncated file', extractExifMetadata(buffer.subarray(0, 48)), {});
+  }
+
+  section('EXIF datetime.png');
+  const png = extractExifMetadata(await readFile(path.join(FIXTURES, 'datetime.png')));
+  check('eXIf chunk (little endian)', png, { 'IFD0.DateTime': '2025:06:01 10:00:00' });
+  check('capture time without offset is UTC', new Date(exifCaptureTime(png)).toISOString(), '2025-06-01T10:00:00.000Z');
+  check('no image', extractExifMetadata(Buffer.from('kein Bild')), {});
+}
+
+async function checkMediaTypes() {
+  section('Image type detection');
+  const detect = async (file) => detectImageMediaType(await readFile(file));
+  check('JPEG', await detect(path.join(FIXTURES, 'iphone-gps.jpg')), 'image/jpeg');
+  check('HEIC', await detect(path.join(FIXTURES, 'iphone-gps.heic')), 'image/heic');
+  check('PNG', await detect(path.join(FIXTURES, 'datetime.png')), 'image/png');
+  const mp4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypmp42', 'latin1'), Buffer.alloc(4), Buffer.from('isommp42', 'latin1')]);
+  check('MP4 video', detectImageMediaType(mp4), null);
+  check('text', detectImageMediaType(Buffer.from('hello')), null);
+}
+
+async function checkAssessment() {
+  section('Damage assessment (fixture provider)');
+  const photo = path.join(ROOT, 'MockDaten/download.png');
+  kv('Photo', photo);
+  const result = await assessDamagePhoto(photo);
+  check('error', result.error ?? null, null);
+  check('assessment', pick(result.assessment ?? {}, ['parts', 'damageType', 'severity', 'drivability', 'confidence']), {
+    parts: ['DOOR_FRONT_LEFT', 'DOOR_REAR_LEFT'],
+    damageType: 'SCRATCH',
+    severity: 25,
+    drivability: 'DRIVABLE',
+    confidence: 0.8
+  });
+  check('description', result.description?.startsWith('Silberner Kompaktwagen'), true);
+}
+
+async function main() {
+  section('Photos and EXIF (offline)');
+  await checkExif();
+  await checkMediaTypes();
+  await checkAssessment();
+  finish('Photos and EXIF');
+}
+
+main().catch((err) => {
+  console.error('Vision/EXIF eval failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+// srv/utils/binary.ts
+// Helpers to normalize LargeBinary payloads (Buffers, base64 strings, streams).
+
+export const isReadableStream = (obj: any): boolean => Boolean(obj && typeof obj === 'object' && typeof obj.on === 'function' && typeof obj.read === 'function');
+
+export const toBuffer = async (streamOrBuf: any): Promise<Buffer> => {
+  if (Buffer.isBuffer(streamOrBuf)) return streamOrBuf as Buffer;
+  if (typeof streamOrBuf === 'string') {
+    const s = streamOrBuf.trim();
+    const m = s.match(/^data:[^;]*;base64,(.*)$/);
+    if (m && m[1]) {
+      try { return Buffer.from(m[1], 'base64'); } catch {}
+    }
+    // try base64 by default, fallback to utf8
+    try { return Buffer.from(s, 'base64'); } catch { return Buffer.from(s, 'utf8'); }
+  }
+  if (isReadableStream(streamOrBuf)) {
+    const chunks: Buffer[] = [];
+    await new Promise<void>((resolve, reject) => {
+      streamOrBuf.on('data', (c: Buffer) => chunks.push(Buffer.isBuffer(c) ? c : Buffer.from(c)));
+      streamOrBuf.on('end', () => resolve());
+      streamOrBuf.on('error', (err: unknown) => reject(err));
+    });
+    return Buffer.concat(chunks);
+  }
+  // Fallback: attempt to coerce
+  try { return Buffer.from(streamOrBuf); } catch { return Buffer.alloc(0); }
+};
@@ -0,0 +1,457 @@
+// srv/utils/image-decode.ts
+// In-process image reading for photo forensics, without native image libraries.
+// JPEG: marker structure (quantization tables, APP segments, comments) and a
+// luminance preview from the DC coefficients of the first scan (1/8 of the
+// image size; no IDCT needed). PNG: 8/16-bit decode via zlib, averaged down
+// to the same 1/8 grid. Other formats (HEIC, WebP) yield no preview.
+
+import { inflateSync } from 'node:zlib';
+import { isJpeg, isPng } from './vision.js';
+
+export interface LuminanceImage {
+  width: number;
+  height: number;
+  /** Row-major luminance values, 0-255. */
+  data: Float32Array;
+}
+
+export interface JpegStructure {
+  width: number;
+  height: number;
+  progressive: boolean;
+  /** Quantization tables by id, 64 values each (zig-zag order). */
+  quantTables: Record<number, number[]>;
+  /** APP segment identifiers in file order, e.g. ["APP1:Exif", "APP13:Photoshop 3.0"]. */
+  appSegments: string[];
+  comments: string[];
+}
+
+interface HuffmanTable {
+  maxCode: Int32Array;
+  valPtr: Int32Array;
+  minCode: Int32Array;
+  values: Uint8Array;
+}
+
+interface FrameComponent {
+  id: number;
+  h: number;
+  v: number;
+  tq: number;
+}
+
+interface ScanComponent {
+  component: FrameComponent;
+  dcTable: number;
+  acTable: number;
+}
+
+const buildHuffmanTable = (counts: Uint8Array, values: Uint8Array): HuffmanTable => {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valPtr = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    valPtr[length] = k;
+    minCode[length] = code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    maxCode[length] = counts[length - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+  return { maxCode, valPtr, minCode, values };
+};
+
+/** Bit reader over entropy-coded data; stops at markers (0xFF00 is a stuffed 0xFF). */
+class BitReader {
+  private bitBuffer = 0;
+  private bitCount = 0;
+  marker: number | null = null;
+
+  constructor(private readonly buffer: Buffer, public offset: number) {}
+
+  bit(): number {
+    if (this.bitCount === 0) {
+      if (this.marker !== null || this.offset >= this.buffer.length) return 0;
+      const byte = this.buffer[this.offset++];
+      if (byte === 0xff) {
+        const next = this.buffer[this.offset];
+        if (next === 0x00) {
+          this.offset++;
+        } else {
+          this.marker = next;
+          this.offset--;
+          return 0;
+        }
+      }
+      this.bitBuffer = byte;
+      this.bitCount = 8;
+    }
+    this.bitCount--;
+    return (this.bitBuffer >> this.bitCount) & 1;
+  }
+
+  receive(length: number): number {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | this.bit();
+    return value;
+  }
+
+  decode(table: HuffmanTable): number {
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | this.bit();
+      if (table.maxCode[length] >= code && code >= table.minCode[length] && table.maxCode[length] !== -1) {
+        return table.values[table.valPtr[length] + code - table.minCode[length]];
+      }
+    }
+    throw new Error('Invalid Huffman code');
+  }
+
+  /** Skips to the byte after the next RST marker. */
+  restart(): void {
+    this.bitCount = 0;
+    if (this.marker !== null && this.marker >= 0xd0 && this.marker <= 0xd7) {
+      this.offset += 2;
+    } else {
+      // Marker not reached yet (padding bits): scan forward
+      while (this.offset + 1 < this.buffer.length && !(this.buffer[this.offset] === 0xff && this.buffer[this.offset + 1] >= 0xd0 && this.buffer[this.offset + 1] <= 0xd7)) {
+        this.offset++;
+      }
+      this.offset += 2;
+    }
+    this.marker = null;
+  }
+}
+
+const extend = (value: number, length: number): number =>
+  (length && value < 1 << (length - 1) ? value - (1 << length) + 1 : value);
+
+/**
+ * Reads the JPEG markers and, unless `structureOnly`, decodes the DC
+ * coefficients of the luminance component from the first scan containing it
+ * (baseline: full scan, AC codes skipped; progressive: first DC scan).
+ */
+const readJpeg = (buffer: Buffer, structureOnly: boolean): { structure: JpegStructure; preview: LuminanceImage | null } => {
+  const structure: JpegStructure = { width: 0, height: 0, progressive: false, quantTables: {}, appSegments: [], comments: [] };
+  const dcTables: HuffmanTable[] = [];
+  const acTables: HuffmanTable[] = [];
+  let components: FrameComponent[] = [];
+  let restartInterval = 0;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff || marker === 0x00 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    if (marker === 0xd9) break;
+    const length = buffer.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) break;
+
+    if (marker >= 0xe0 && marker <= 0xef) {
+      const id = buffer.toString('latin1', start, Math.min(end, start + 20)).split('\u0000')[0];
+      structure.appSegments.push(`APP${marker - 0xe0}:${id}`);
+    } else if (marker === 0xfe) {
+      structure.comments.push(buffer.toString('latin1', start, end).replace(/\u0000+$/, ''));
+    } else if (marker === 0xdb) {
+      let p = start;
+      while (p < end) {
+        const precision = buffer[p] >> 4;
+        const id = buffer[p] & 0x0f;
+        p++;
+        const table: number[] = [];
+        for (let i = 0; i < 64; i++) {
+          table.push(precision ? buffer.readUInt16BE(p + i * 2) : buffer[p + i]);
+        }
+        structure.quantTables[id] = table;
+        p += precision ? 128 : 64;
+      }
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      structure.progressive = marker === 0xc2;
+      structure.height = buffer.readUInt16BE(start + 1);
+      structure.width = buffer.readUInt16BE(start + 3);
+      const count = buffer[start + 5];
+      components = [];
+      for (let i = 0; i < count; i++) {
+        const p = start + 6 + i * 3;
+        components.push({ id: buffer[p], h: buffer[p + 1] >> 4, v: buffer[p + 1] & 0x0f, tq: buffer[p + 2] });
+      }
+    } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      // Lossless / arithmetic coding: structure only
+      structure.width = buffer.readUInt16BE(start + 3);
+      structure.height = buffer.readUInt16BE(start + 1);
+      return { structure, preview: null };
+    } else if (marker === 0xc4) {
+      let p = start;
+      while (p < end) {
+        const tableClass = buffer[p] >> 4;
+        const id = buffer[p] & 0x0f;
+        const counts = buffer.subarray(p + 1, p + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const values = buffer.subarray(p + 17, p + 17 + total);
+        (tableClass === 0 ? dcTables : acTables)[id] = buildHuffmanTable(counts, values);
+        p += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = buffer.readUInt16BE(start);
+    } else if (marker === 0xda) {
+      if (structureOnly) break;
+      const count = buffer[start];
+      const scan: ScanComponent[] = [];
+      for (let i = 0; i < count; i++) {
+        const id = buffer[start + 1 + i * 2];
+        const tables = buffer[start + 2 + i * 2];
+        const component = components.find((entry) => entry.id === id);
+        if (component) scan.push({ component, dcTable: tables >> 4, acTable: tables & 0x0f });
+      }
+      const p = start + 1 + count * 2;
+      const spectralStart = buffer[p];
+      const approximationHigh = buffer[p + 2] >> 4;
+      const approximationLow = buffer[p + 2] & 0x0f;
+      const luma = components[0];
+      const usable = luma && scan.some((entry) => entry.component === luma) && spectralStart === 0 && approximationHigh === 0;
+      if (usable) {
+        const preview = decodeDcScan(buffer, end, structure, components, scan, {
+          dcTables,
+          acTables,
+          restartInterval,
+          progressive: structure.progressive,
+          approximationLow
+        });
+        return { structure, preview };
+      }
+      // Skip the entropy-coded segment of scans that are of no use
+      let q = end;
+      while (q + 1 < buffer.length && !(buffer[q] === 0xff && buffer[q + 1] !== 0x00 && !(buffer[q + 1] >= 0xd0 && buffer[q + 1] <= 0xd7))) q++;
+      offset = q;
+      continue;
+    }
+    offset = end;
+  }
+  return { structure, preview: null };
+};
+
+const decodeDcScan = (
+  buffer: Buffer,
+  dataStart: number,
+  structure: JpegStructure,
+  components: FrameComponent[],
+  scan: ScanComponent[],
+  options: { dcTables: HuffmanTable[]; acTables: HuffmanTable[]; restartInterval: number; progressive: boolean; approximationLow: number }
+): LuminanceImage | null => {
+  const luma = components[0];
+  const hMax = Math.max(...components.map((entry) => entry.h));
+  const vMax = Math.max(...components.map((entry) => entry.v));
+  const quant = structure.quantTables[luma.tq];
+  if (!quant || !structure.width || !structure.height) return null;
+
+  // Luminance blocks actually covering the image, and the grid incl. MCU padding
+  const visibleCols = Math.ceil(Math.ceil(structure.width * luma.h / hMax) / 8);
+  const visibleRows = Math.ceil(Math.ceil(structure.height * luma.v / vMax) / 8);
+  const interleaved = scan.length > 1;
+  const mcusPerLine = interleaved ? Math.ceil(structure.width / (8 * hMax)) : visibleCols;
+  const mcusPerColumn = interleaved ? Math.ceil(structure.height / (8 * vMax)) : visibleRows;
+  const gridCols = interleaved ? mcusPerLine * luma.h : visibleCols;
+  const dc = new Float32Array(gridCols * (interleaved ? mcusPerColumn * luma.v : visibleRows));
+
+  const reader = new BitReader(buffer, dataStart);
+  const predictors = new Map<ScanComponent, number>();
+
+  const decodeBlock = (entry: ScanComponent): number => {
+    const dcTable = options.dcTables[entry.dcTable];
+    if (!dcTable) throw new Error('Missing DC table');
+    const length = reader.decode(dcTable);
+    const diff = length ? extend(reader.receive(length), length) : 0;
+    const value = (predictors.get(entry) ?? 0) + diff;
+    predictors.set(entry, value);
+    if (!options.progressive) {
+      const acTable = options.acTables[entry.acTable];
+      if (!acTable) throw new Error('Missing AC table');
+      for (let k = 1; k < 64;) {
+        const rs = reader.decode(acTable);
+        const run = rs >> 4;
+        const size = rs & 0x0f;
+        if (!size) {
+          if (run !== 15) break;
+          k += 16;
+          continue;
+        }
+        k += run;
+        reader.receive(size);
+        k++;
+      }
+    }
+    return value << options.approximationLow;
+  };
+
+  const totalMcus = mcusPerLine * mcusPerColumn;
+  for (let mcu = 0; mcu < totalMcus; mcu++) {
+    if (options.restartInterval && mcu > 0 && mcu % options.restartInterval === 0) {
+      reader.restart();
+      predictors.clear();
+    }
+    const mcuRow = Math.floor(mcu / mcusPerLine);
+    const mcuCol = mcu % mcusPerLine;
+    if (!interleaved) {
+      dc[mcuRow * gridCols + mcuCol] = decodeBlock(scan[0]);
+      continue;
+    }
+    for (const entry of scan) {
+      for (let by = 0; by < entry.component.v; by++) {
+        for (let bx = 0; bx < entry.component.h; bx++) {
+          const value = decodeBlock(entry);
+          if (entry.component === luma) {
+            dc[(mcuRow * luma.v + by) * gridCols + mcuCol * luma.h + bx] = value;
+          }
+        }
+      }
+    }
+  }
+
+  // DC * q0 / 8 is the block mean of the level-shifted samples
+  const data = new Float32Array(visibleCols * visibleRows);
+  for (let y = 0; y < visibleRows; y++) {
+    for (let x = 0; x < visibleCols; x++) {
+      data[y * visibleCols + x] = Math.max(0, Math.min(255, dc[y * gridCols + x] * quant[0] / 8 + 128));
+    }
+  }
+  return { width: visibleCols, height: visibleRows, data };
+};
+
+const paeth = (a: number, b: number, c: number): number => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+/** Luminance of a non-interlaced PNG with 8 or 16 bits per sample (null otherwise). */
+const decodePng = (buffer: Buffer): LuminanceImage | null => {
+  let offset = 8;
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let interlace = 0;
+  let palette: Buffer | null = null;
+  const idat: Buffer[] = [];
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  const channels = ({ 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 } as Record<number, number>)[colorType];
+  if (!width || !height || !channels || interlace || (bitDepth !== 8 && bitDepth !== 16)) return null;
+  if (colorType === 3 && (!palette || bitDepth !== 8)) return null;
+
+  const raw = inflateSync(Buffer.concat(idat));
+  const bytesPerPixel = channels * bitDepth / 8;
+  const stride = width * bytesPerPixel;
+  if (raw.length < (stride + 1) * height) return null;
+  const data = new Float32Array(width * height);
+  let previous = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = Buffer.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      switch (filter) {
+        case 1: row[i] = (row[i] + left) & 0xff; break;
+        case 2: row[i] = (row[i] + up) & 0xff; break;
+        case 3: row[i] = (row[i] + ((left + up) >> 1)) & 0xff; break;
+        case 4: row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff; break;
+        default: break;
+      }
+    }
+    const sample = (x: number, channel: number): number => (bitDepth === 16
+      ? row[(x * channels + channel) * 2]
+      : row[x * channels + channel]);
+    for (let x = 0; x < width; x++) {
+      let r: number;
+      let g: number;
+      let b: number;
+      if (colorType === 3) {
+        const index = row[x] * 3;
+        [r, g, b] = [palette![index], palette![index + 1], palette![index + 2]];
+      } else if (channels >= 3) {
+        [r, g, b] = [sample(x, 0), sample(x, 1), sample(x, 2)];
+      } else {
+        r = g = b = sample(x, 0);
+      }
+      data[y * width + x] = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+    previous = row;
+  }
+  return { width, height, data };
+};
+
+/**
+ * Means of 8x8 blocks (partial blocks at the edges over their pixels), so a
+ * PNG preview has the same grid as the DC preview of the same JPEG image.
+ */
+const blockMeans = (image: LuminanceImage): LuminanceImage => {
+  const width = Math.ceil(image.width / 8);
+  const height = Math.ceil(image.height / 8);
+  const sums = new Float32Array(width * height);
+  const counts = new Uint16Array(width * height);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const index = (y >> 3) * width + (x >> 3);
+      sums[index] += image.data[y * image.width + x];
+      counts[index]++;
+    }
+  }
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) data[i] = sums[i] / counts[i];
+  return { width, height, data };
+};
+
+/** Marker structure of a JPEG, null for other formats. */
+export const readJpegStructure = (buffer: Buffer): JpegStructure | null => {
+  if (!isJpeg(buffer)) return null;
+  try {
+    return readJpeg(buffer, true).structure;
+  } catch {
+    return null;
+  }
+};
+
+/** Luminance preview (1/8 scale) of a JPEG or PNG; null for other or unreadable images. */
+export const decodeLuminance = (buffer: Buffer): LuminanceImage | null => {
+  try {
+    if (isJpeg(buffer)) return readJpeg(buffer, false).preview;
+    if (isPng(buffer)) {
+      const image = decodePng(buffer);
+      return image ? blockMeans(image) : null;
+    }
+  } catch {
+    return null;
+  }
+  return null;
+};
@@ -0,0 +1,12 @@
+// srv/utils/keys.ts
+// Deterministic cuid keys for cache rows with a natural key, so they can be
+// written with UPSERT: a concurrent writer of the same row updates it instead
+// of failing (a failed INSERT aborts the whole transaction on PostgreSQL).
+
+import { createHash } from 'node:crypto';
+
+/** UUID-formatted sha256 of the natural key parts. */
+export const naturalKeyId = (...parts: Array<string | null | undefined>): string => {
+  const hex = createHash('sha256').update(parts.map((part) => part ?? '').join('\u0000')).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+};
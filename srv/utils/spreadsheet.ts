@@ -0,0 +1,463 @@
+// srv/utils/spreadsheet.ts
+// In-process spreadsheet reader for .xlsx/.xlsm (zip + sharedStrings + sheet XML)
+// and CSV files. Mirrors the describe/read tools of the Excel MCP server so mail
+// enrichment and Excel imports work without spawning an external process.
+
+import path from 'node:path';
+import { readFile, stat } from 'node:fs/promises';
+import { inflateRawSync } from 'node:zlib';
+
+export interface SheetDescription {
+  name: string;
+  rowCount: number;
+  columnCount: number;
+  range: string | null;
+}
+
+export interface SheetData {
+  name: string;
+  rows: string[][];
+}
+
+export interface Workbook {
+  sheets: SheetData[];
+}
+
+export interface ReadSheetResult {
+  sheetName: string;
+  rows: string[][];
+  truncated: boolean;
+}
+
+const XLSX_EXTENSIONS = new Set(['.xlsx', '.xlsm']);
+const CSV_EXTENSIONS = new Set(['.csv', '.tsv', '.txt']);
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+const CACHE_LIMIT = 8;
+
+// Built-in number formats that render as date/time (ECMA-376, 18.8.30)
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+const workbookCache = new Map<string, Workbook>();
+
+export const isNativeSpreadsheet = (fileName = ''): boolean => {
+  const ext = path.extname(fileName).toLowerCase();
+  return XLSX_EXTENSIONS.has(ext) || CSV_EXTENSIONS.has(ext);
+};
+
+// --- zip container ----------------------------------------------------------
+
+const readZipEntries = (buffer: Buffer): Map<string, Buffer> => {
+  const EOCD_SIGNATURE = 0x06054b50;
+  const CENTRAL_SIGNATURE = 0x02014b50;
+  const LOCAL_SIGNATURE = 0x04034b50;
+
+  let eocd = -1;
+  const minOffset = Math.max(0, buffer.length - 0xffff - 22);
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Not a zip archive (end of central directory missing).');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const centralOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || centralOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported.');
+  }
+
+  const entries = new Map<string, Buffer>();
+  let offset = centralOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt zip central directory.');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw new Error(`Corrupt zip entry header for ${name}.`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, inflateRawSync(data));
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}.`);
+    }
+  }
+  return entries;
+};
+
+// --- xml helpers ------------------------------------------------------------
+
+const decodeXml = (text: string): string => text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_match, entity: string) => {
+  const lower = entity.toLowerCase();
+  if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+  if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+  switch (lower) {
+    case 'lt': return '<';
+    case 'gt': return '>';
+    case 'amp': return '&';
+    case 'quot': return '"';
+    default: return "'";
+  }
+});
+
+const readAttributes = (raw: string): Record<string, string> => {
+  const attributes: Record<string, string> = {};
+  const re = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match: RegExpExecArray | null;
+  while ((match = re.exec(raw))) {
+    attributes[match[1]] = decodeXml(match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+};
+
+// Concatenates all <t> runs, skipping phonetic (<rPh>) hints
+const readTextRuns = (xml: string): string => {
+  const withoutPhonetic = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  const parts: string[] = [];
+  const re = /<t\b[^>]*>([\s\S]*?)<\/t>/g;
+  let match: RegExpExecArray | null;
+  while ((match = re.exec(withoutPhonetic))) {
+    parts.push(decodeXml(match[1]));
+  }
+  return parts.join('');
+};
+
+const columnToIndex = (ref: string): number => {
+  const letters = ref.replace(/[^A-Z]/gi, '').toUpperCase();
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+const indexToColumn = (index: number): string => {
+  let n = index + 1;
+  let name = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+};
+
+// --- xlsx -------------------------------------------------------------------
+
+const isDateFormatCode = (code: string): boolean => {
+  const stripped = code.replace(/"[^"]*"/g, '').replace(/\[[^\]]*\]/g, '').replace(/\\./g, '');
+  return /[dmyhs]/i.test(stripped) && !/^general$/i.test(stripped.trim());
+};
+
+const readDateStyles = (stylesXml: string | null): Set<number> => {
+  const dateStyles = new Set<number>();
+  if (!stylesXml) return dateStyles;
+  const customDateFormats = new Set<number>();
+  const numFmtRe = /<numFmt\b([^>]*)\/?>/g;
+  let match: RegExpExecArray | null;
+  while ((match = numFmtRe.exec(stylesXml))) {
+    const attrs = readAttributes(match[1]);
+    if (attrs.formatCode && isDateFormatCode(attrs.formatCode)) {
+      customDateFormats.add(Number(attrs.numFmtId));
+    }
+  }
+  const cellXfs = stylesXml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+  if (!cellXfs) return dateStyles;
+  const xfRe = /<xf\b([^>]*?)\/?>/g;
+  let styleIndex = 0;
+  while ((match = xfRe.exec(cellXfs[1]))) {
+    const numFmtId = Number(readAttributes(match[1]).numFmtId ?? 0);
+    if (BUILTIN_DATE_FORMATS.has(numFmtId) || customDateFormats.has(numFmtId)) {
+      dateStyles.add(styleIndex);
+    }
+    styleIndex++;
+  }
+  return dateStyles;
+};
+
+const serialToIso = (serial: number, date1904: boolean): string => {
+  const days = serial + (date1904 ? 1462 : 0);
+  const ms = Math.round((days - 25569) * 86_400_000);
+  const iso = new Date(ms).toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : iso;
+};
+
+const readSharedStrings = (xml: string | null): string[] => {
+  if (!xml) return [];
+  const strings: string[] = [];
+  const re = /<si\b[^>]*>([\s\S]*?)<\/si>|<si\b[^>]*\/>/g;
+  let match: RegExpExecArray | null;
+  while ((match = re.exec(xml))) {
+    strings.push(match[1] ? readTextRuns(match[1]) : '');
+  }
+  return strings;
+};
+
+const resolveSheetPath = (target: string): string => {
+  if (target.startsWith('/')) return target.slice(1);
+  return path.posix.normalize(path.posix.join('xl', target));
+};
+
+const readWorksheetRows = (xml: string, sharedStrings: string[], dateStyles: Set<number>, date1904: boolean): string[][] => {
+  const rows: string[][] = [];
+  const rowRe = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rowMatch: RegExpExecArray | null;
+  let nextRow = 0;
+  while ((rowMatch = rowRe.exec(xml))) {
+    const rowAttrs = readAttributes(rowMatch[1]);
+    const rowIndex = rowAttrs.r ? Number(rowAttrs.r) - 1 : nextRow;
+    nextRow = rowIndex + 1;
+    const cells: string[] = [];
+    const cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch: RegExpExecArray | null;
+    let nextColumn = 0;
+    while ((cellMatch = cellRe.exec(rowMatch[2] || ''))) {
+      const attrs = readAttributes(cellMatch[1]);
+      const columnIndex = attrs.r ? columnToIndex(attrs.r) : nextColumn;
+      nextColumn = columnIndex + 1;
+      const inner = cellMatch[2] || '';
+      const rawValue = inner.match(/<v\b[^>]*>([\s\S]*?)<\/v>/)?.[1];
+      let value = '';
+      switch (attrs.t) {
+        case 's':
+          value = rawValue !== undefined ? (sharedStrings[Number(rawValue)] ?? '') : '';
+          break;
+        case 'inlineStr':
+          value = readTextRuns(inner.match(/<is\b[^>]*>([\s\S]*?)<\/is>/)?.[1] || '');
+          break;
+        case 'b':
+          value = rawValue === '1' ? 'TRUE' : 'FALSE';
+          break;
+        case 'str':
+        case 'e':
+          value = rawValue !== undefined ? decodeXml(rawValue) : '';
+          break;
+        default: {
+          value = rawValue !== undefined ? decodeXml(rawValue) : '';
+          const numeric = Number(value);
+          if (value && Number.isFinite(numeric) && attrs.s !== undefined && dateStyles.has(Number(attrs.s))) {
+            value = serialToIso(numeric, date1904);
+          }
+        }
+      }
+      while (cells.length < columnIndex) cells.push('');
+      cells[columnIndex] = value.trim();
+    }
+    while (rows.length < rowIndex) rows.push([]);
+    rows[rowIndex] = cells;
+  }
+  // Drop trailing empty rows
+  while (rows.length && rows[rows.length - 1].every((cell) => !cell)) rows.pop();
+  return rows;
+};
+
+export const parseXlsx = (buffer: Buffer): Workbook => {
+  const entries = readZipEntries(buffer);
+  const text = (name: string): string | null => {
+    const entry = entries.get(name);
+    return entry ? entry.toString('utf8') : null;
+  };
+
+  const workbookXml = text('xl/workbook.xml');
+  if (!workbookXml) {
+    throw new Error('xl/workbook.xml missing; not an Office Open XML workbook.');
+  }
+  const relsXml = text('xl/_rels/workbook.xml.rels') || '';
+  const targets = new Map<string, string>();
+  const relRe = /<Relationship\b([^>]*?)\/?>/g;
+  let match: RegExpExecArray | null;
+  while ((match = relRe.exec(relsXml))) {
+    const attrs = readAttributes(match[1]);
+    if (attrs.Id && attrs.Target) targets.set(attrs.Id, resolveSheetPath(attrs.Target));
+  }
+
+  const date1904 = /<workbookPr\b[^>]*date1904\s*=\s*["'](1|true)["']/i.test(workbookXml);
+  const sharedStrings = readSharedStrings(text('xl/sharedStrings.xml'));
+  const dateStyles = readDateStyles(text('xl/styles.xml'));
+
+  const sheets: SheetData[] = [];
+  const sheetRe = /<sheet\b([^>]*?)\/?>/g;
+  let index = 0;
+  while ((match = sheetRe.exec(workbookXml))) {
+    index++;
+    const attrs = readAttributes(match[1]);
+    const relId = attrs['r:id'] || Object.entries(attrs).find(([key]) => key.endsWith(':id'))?.[1];
+    const sheetPath = (relId && targets.get(relId)) || `xl/worksheets/sheet${index}.xml`;
+    const sheetXml = text(sheetPath);
+    sheets.push({
+      name: attrs.name || `Sheet${index}`,
+      rows: sheetXml ? readWorksheetRows(sheetXml, sharedStrings, dateStyles, date1904) : []
+    });
+  }
+  return { sheets };
+};
+
+// --- csv --------------------------------------------------------------------
+
+const countOutsideQuotes = (line: string, delimiter: string): number => {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && char === delimiter) count++;
+  }
+  return count;
+};
+
+/** Picks the delimiter with the most consistent per-line count in the first lines. */
+export const sniffCsvDelimiter = (text: string): string => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim()).slice(0, 10);
+  if (!lines.length) return ',';
+  let best = ',';
+  let bestScore = -1;
+  for (const delimiter of CSV_DELIMITERS) {
+    const counts = lines.map((line) => countOutsideQuotes(line, delimiter));
+    const first = counts[0];
+    if (!first) continue;
+    const consistent = counts.filter((count) => count === first).length;
+    const score = consistent * 1000 + first;
+    if (score > bestScore) {
+      bestScore = score;
+      best = delimiter;
+    }
+  }
+  return best;
+};
+
+export const parseCsv = (text: string, delimiter = sniffCsvDelimiter(text)): string[][] => {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field) {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+  while (rows.length && rows[rows.length - 1].every((cell) => !cell)) rows.pop();
+  return rows;
+};
+
+// --- public API -------------------------------------------------------------
+
+export const parseWorkbook = (buffer: Buffer, fileName: string): Workbook => {
+  const ext = path.extname(fileName).toLowerCase();
+  if (CSV_EXTENSIONS.has(ext)) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    return { sheets: [{ name: path.basename(fileName, ext) || 'Sheet1', rows: parseCsv(text) }] };
+  }
+  if (XLSX_EXTENSIONS.has(ext)) {
+    return parseXlsx(buffer);
+  }
+  throw new Error(`Unsupported spreadsheet format: ${ext || fileName}`);
+};
+
+export async function loadWorkbook(filePath: string): Promise<Workbook> {
+  const info = await stat(filePath);
+  const cacheKey = `${filePath}:${info.size}:${info.mtimeMs}`;
+  const cached = workbookCache.get(cacheKey);
+  if (cached) return cached;
+  const workbook = parseWorkbook(await readFile(filePath), filePath);
+  workbookCache.set(cacheKey, workbook);
+  if (workbookCache.size > CACHE_LIMIT) {
+    workbookCache.delete(workbookCache.keys().next().value as string);
+  }
+  return workbook;
+}
+
+export async function describeSheets(filePath: string): Promise<{ sheets: SheetDescription[] }> {
+  const workbook = await loadWorkbook(filePath);
+  return {
+    sheets: workbook.sheets.map((sheet) => {
+      const columnCount = sheet.rows.reduce((max, row) => Math.max(max, row.length), 0);
+      return {
+        name: sheet.name,
+        rowCount: sheet.rows.length,
+        columnCount,
+        range: sheet.rows.length && columnCount ? `A1:${indexToColumn(columnCount - 1)}${sheet.rows.length}` : null
+      };
+    })
+  };
+}
+
+export async function readSheet(filePath: string, sheetName: string, options: { maxCells?: number } = {}): Promise<ReadSheetResult> {
+  const workbook = await loadWorkbook(filePath);
+  const sheet = workbook.sheets.find((entry) => entry.name === sheetName)
+    || workbook.sheets.find((entry) => entry.name.toLowerCase() === String(sheetName || '').toLowerCase());
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found. Available: ${workbook.sheets.map((entry) => entry.name).join(', ')}`);
+  }
+  const maxCells = options.maxCells ?? Infinity;
+  const rows: string[][] = [];
+  let cells = 0;
+  for (const row of sheet.rows) {
+    if (cells + row.length > maxCells) {
+      return { sheetName: sheet.name, rows, truncated: true };
+    }
+    rows.push(row);
+    cells += row.length;
+  }
+  return { sheetName: sheet.name, rows, truncated: false };
+}
+
+/**
+ * Drop-in replacement for the Excel MCP tools `excel_describe_sheets` and
+ * `excel_read_sheet`. Returns undefined for tools that have no native variant.
+ */
+export async function callSpreadsheetTool(toolName: string, args: Record<string, unknown>): Promise<unknown> {
+  const filePath = typeof args.fileAbsolutePath === 'string' ? args.fileAbsolutePath : '';
+  if (!filePath) throw new Error('fileAbsolutePath is required.');
+  switch (toolName) {
+    case 'excel_describe_sheets':
+      return describeSheets(filePath);
+    case 'excel_read_sheet':
+      return readSheet(filePath, String(args.sheetName || ''), {
+        maxCells: typeof args.maxCells === 'number' ? args.maxCells : undefined
+      });
+    default:
+      return undefined;
+  }
+}
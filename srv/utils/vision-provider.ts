@@ -0,0 +1,259 @@
+// srv/utils/vision-provider.ts
+// Vision model behind analyzeImageAttachment (srv/utils/vision.ts), chosen by
+// configuration: SAP AI Core (AzureOpenAiChatClient), the Anthropic Messages
+// API, an OpenAI-compatible chat completions endpoint (e.g. a local Ollama or
+// vLLM server) or the offline fixture provider. The fixture provider answers
+// from srv/test/fixtures/vision/answers.json by sha256 of the image (else the
+// default answer), so tests and eval scripts get stable results without
+// network; the answers file is read once per process.
+//
+// Configuration (environment):
+//   CLAIMAI_VISION_PROVIDER    aicore (default) | anthropic | openai | fixture
+//   CLAIMAI_VISION_MODEL       model name; defaults: gpt-4.1 (aicore),
+//                              claude-3-5-sonnet-latest (anthropic), llava (openai)
+//   CLAIMAI_VISION_BASE_URL    endpoint of the anthropic provider (default
+//                              https://api.anthropic.com) or the openai provider
+//                              (default http://localhost:11434/v1)
+//   CLAIMAI_VISION_API_KEY     API key of the openai provider (optional for local
+//                              servers); anthropic uses ANTHROPIC_API_KEY
+//   CLAIMAI_VISION_TIMEOUT_MS  request timeout of the HTTP providers, default 60000
+//   CLAIMAI_VISION_FIXTURES    answers file of the fixture provider, default
+//                              srv/test/fixtures/vision/answers.json
+
+import { AzureOpenAiChatClient } from '@sap-ai-sdk/langchain';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export type VisionProviderName = 'aicore' | 'anthropic' | 'openai' | 'fixture';
+
+export interface VisionRequest {
+  image: Buffer;
+  /** MIME type of `image`, e.g. image/jpeg. */
+  mediaType: string;
+  system: string;
+  prompt: string;
+  maxTokens: number;
+}
+
+export interface VisionProvider {
+  readonly name: VisionProviderName;
+  readonly model: string;
+  /** Text answer of the model (trimmed, may be empty). */
+  complete(request: VisionRequest): Promise<string>;
+}
+
+const DEFAULT_MODELS: Record<VisionProviderName, string> = {
+  aicore: 'gpt-4.1',
+  anthropic: 'claude-3-5-sonnet-latest',
+  openai: 'llava',
+  fixture: 'fixture'
+};
+
+const DEFAULT_ANTHROPIC_URL = 'https://api.anthropic.com';
+const DEFAULT_OPENAI_URL = 'http://localhost:11434/v1';
+const DEFAULT_TIMEOUT_MS = 60_000;
+const DEFAULT_FIXTURES = 'srv/test/fixtures/vision/answers.json';
+
+export const resolveVisionProviderName = (): VisionProviderName => {
+  const raw = (process.env.CLAIMAI_VISION_PROVIDER || '').trim().toLowerCase();
+  if (['anthropic', 'claude'].includes(raw)) return 'anthropic';
+  if (['openai', 'openai-compatible', 'local', 'ollama', 'vllm'].includes(raw)) return 'openai';
+  if (['fixture', 'fixtures', 'stub', 'offline', 'mock'].includes(raw)) return 'fixture';
+  return 'aicore';
+};
+
+/** Image formats accepted by all providers; others (e.g. HEIC) are not sent to the model. */
+export const VISION_MEDIA_TYPES: ReadonlySet<string> = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+// ISO BMFF brands (ftyp box) of still images; MP4/MOV videos share the container
+const FTYP_BRANDS: Record<string, string> = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  heim: 'image/heic',
+  heis: 'image/heic',
+  hevc: 'image/heic',
+  hevx: 'image/heic',
+  mif1: 'image/heif',
+  msf1: 'image/heif',
+  avif: 'image/avif',
+  avis: 'image/avif'
+};
+
+// Image type of an ISO BMFF file: the major brand decides, else the first known compatible brand
+const ftypMediaType = (buffer: Buffer): string | null => {
+  if (buffer.length < 16 || buffer.toString('latin1', 4, 8) !== 'ftyp') return null;
+  const size = Math.min(buffer.readUInt32BE(0), buffer.length);
+  for (let offset = 8; offset + 4 <= size; offset += 4) {
+    // Major brand, minor version (never matches), compatible brands
+    const mediaType = FTYP_BRANDS[buffer.toString('latin1', offset, offset + 4)];
+    if (mediaType) return mediaType;
+  }
+  return null;
+};
+
+/**
+ * MIME type from the file signature (the providers need the real type of the
+ * data URL / base64 block); null for data that is no known image format.
+ */
+export const detectImageMediaType = (buffer: Buffer): string | null => {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer.subarray(0, 4).toString('latin1') === '\u0089PNG') return 'image/png';
+  if (buffer.subarray(0, 3).toString('latin1') === 'GIF') return 'image/gif';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  return ftypMediaType(buffer);
+};
+
+const timeoutMs = (): number => {
+  const value = Number(process.env.CLAIMAI_VISION_TIMEOUT_MS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TIMEOUT_MS;
+};
+
+const baseUrl = (fallback: string): string => (process.env.CLAIMAI_VISION_BASE_URL || fallback).trim().replace(/\/+$/, '');
+
+const textOf = (content: unknown): string => {
+  if (typeof content === 'string') return content.trim();
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((entry) => entry?.type === 'text' && typeof entry.text === 'string')
+    .map((entry) => entry.text as string)
+    .join('\n')
+    .trim();
+};
+
+const postJson = async (url: string, headers: Record<string, string>, body: unknown): Promise<any> => {
+  let response: Response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs())
+    });
+  } catch (error: any) {
+    throw new Error(`Vision request to ${url} failed: ${error?.cause?.message || error?.message || error}`);
+  }
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 300);
+    throw new Error(`Vision request to ${url} failed with HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return response.json();
+};
+
+const aiCoreProvider = (model: string): VisionProvider => ({
+  name: 'aicore',
+  model,
+  async complete(request) {
+    const client = new AzureOpenAiChatClient({ modelName: model, max_tokens: request.maxTokens });
+    const response = await client.invoke([
+      { role: 'system', content: request.system },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: request.prompt },
+          { type: 'image_url', image_url: { url: `data:${request.mediaType};base64,${request.image.toString('base64')}` } }
+        ]
+      }
+    ]);
+    return textOf((response as any)?.content);
+  }
+});
+
+const anthropicProvider = (model: string): VisionProvider => ({
+  name: 'anthropic',
+  model,
+  async complete(request) {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) throw new Error('ANTHROPIC_API_KEY is not configured for the anthropic vision provider.');
+    const data = await postJson(`${baseUrl(DEFAULT_ANTHROPIC_URL)}/v1/messages`, {
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    }, {
+      model,
+      max_tokens: request.maxTokens,
+      system: request.system,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: request.mediaType, data: request.image.toString('base64') } },
+          { type: 'text', text: request.prompt }
+        ]
+      }]
+    });
+    return textOf(data?.content);
+  }
+});
+
+const openAiProvider = (model: string): VisionProvider => ({
+  name: 'openai',
+  model,
+  async complete(request) {
+    const apiKey = process.env.CLAIMAI_VISION_API_KEY;
+    const data = await postJson(`${baseUrl(DEFAULT_OPENAI_URL)}/chat/completions`, apiKey ? { authorization: `Bearer ${apiKey}` } : {}, {
+      model,
+      max_tokens: request.maxTokens,
+      temperature: 0,
+      messages: [
+        { role: 'system', content: request.system },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: request.prompt },
+            { type: 'image_url', image_url: { url: `data:${request.mediaType};base64,${request.image.toString('base64')}` } }
+          ]
+        }
+      ]
+    });
+    return textOf(data?.choices?.[0]?.message?.content);
+  }
+});
+
+interface FixtureFile {
+  default?: unknown;
+  answers?: Array<{ sha256: string; file?: string; answer: unknown }>;
+}
+
+const fixtureText = (answer: unknown): string => (typeof answer === 'string' ? answer : JSON.stringify(answer));
+
+// Parsed answers files by path, read once per process; a failed read is retried on the next call
+const fixtureFiles = new Map<string, Promise<FixtureFile>>();
+
+const loadFixtures = (file: string): Promise<FixtureFile> => {
+  let fixtures = fixtureFiles.get(file);
+  if (!fixtures) {
+    fixtures = readFile(file, 'utf8').then((text) => JSON.parse(text) as FixtureFile);
+    fixtures.catch(() => fixtureFiles.delete(file));
+    fixtureFiles.set(file, fixtures);
+  }
+  return fixtures;
+};
+
+const fixtureProvider = (): VisionProvider => ({
+  name: 'fixture',
+  model: 'fixture',
+  async complete(request) {
+    const file = path.resolve(process.cwd(), process.env.CLAIMAI_VISION_FIXTURES || DEFAULT_FIXTURES);
+    const fixtures = await loadFixtures(file);
+    const sha256 = createHash('sha256').update(request.image).digest('hex');
+    const entry = fixtures.answers?.find((candidate) => candidate.sha256 === sha256);
+    if (entry) return fixtureText(entry.answer);
+    if (fixtures.default !== undefined) return fixtureText(fixtures.default);
+    throw new Error(`No vision fixture for image ${sha256} in ${file}.`);
+  }
+});
+
+/** Provider configured by CLAIMAI_VISION_PROVIDER; `model` overrides CLAIMAI_VISION_MODEL. */
+export const createVisionProvider = (options?: { name?: VisionProviderName; model?: string }): VisionProvider => {
+  const name = options?.name || resolveVisionProviderName();
+  const model = options?.model || (process.env.CLAIMAI_VISION_MODEL || '').trim() || DEFAULT_MODELS[name];
+  switch (name) {
+    case 'anthropic':
+      return anthropicProvider(model);
+    case 'openai':
+      return openAiProvider(model);
+    case 'fixture':
+      return fixtureProvider();
+    default:
+      return aiCoreProvider(model);
+  }
+};
@@ -1,5 +1,5 @@
 import { readFile } from 'node:fs/promises';
-import { AzureOpenAiChatClient } from '@sap-ai-sdk/langchain';
+import { VISION_MEDIA_TYPES, createVisionProvider, detectImageMediaType } from './vision-provider.js';
 
 export interface VisionResult {
   description: string | null;
@@ -17,13 +17,47 @@ const EXIF_TAG_NAMES: Record<number, string> = {
   0x0132: 'DateTime',
   0x829a: 'ExposureTime',
   0x829d: 'FNumber',
+  0x8827: 'ISOSpeedRatings',
   0x9003: 'DateTimeOriginal',
   0x9004: 'DateTimeDigitized',
+  0x9010: 'OffsetTime',
+  0x9011: 'OffsetTimeOriginal',
+  0x9012: 'OffsetTimeDigitized',
   0x9209: 'Flash',
+  0x920a: 'FocalLength',
+  0x9290: 'SubSecTime',
+  0x9291: 'SubSecTimeOriginal',
   0xa002: 'PixelXDimension',
-  0xa003: 'PixelYDimension'
+  0xa003: 'PixelYDimension',
+  0xa405: 'FocalLengthIn35mmFilm',
+  0xa432: 'LensSpecification',
+  0xa433: 'LensMake',
+  0xa434: 'LensModel'
 };
 
+const GPS_TAG_NAMES: Record<number, string> = {
+  0x0000: 'GPSVersionID',
+  0x0001: 'GPSLatitudeRef',
+  0x0002: 'GPSLatitude',
+  0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude',
+  0x0005: 'GPSAltitudeRef',
+  0x0006: 'GPSAltitude',
+  0x0007: 'GPSTimeStamp',
+  0x000c: 'GPSSpeedRef',
+  0x000d: 'GPSSpeed',
+  0x0010: 'GPSImgDirectionRef',
+  0x0011: 'GPSImgDirection',
+  0x0012: 'GPSMapDatum',
+  0x001d: 'GPSDateStamp'
+};
+
+// Pointers to the Exif sub-IFD and the GPS IFD (stored in IFD0)
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+// Vendor blob, often tens of kilobytes and undocumented
+const MAKER_NOTE = 0x927c;
+
 const EXIF_TYPE_SIZES: Record<number, number> = {
   1: 1,
   2: 1,
@@ -31,15 +65,22 @@ const EXIF_TYPE_SIZES: Record<number, number> = {
   4: 4,
   5: 8,
   7: 1,
+  8: 2,
   9: 4,
   10: 8
 };
 
-const isPng = (buffer: Buffer): boolean => {
+export const isPng = (buffer: Buffer): boolean => {
   const pngSignature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
   return buffer.slice(0, 8).equals(pngSignature);
 };
 
+export const isJpeg = (buffer: Buffer): boolean => buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8;
+
+const HEIF_MEDIA_TYPES = new Set(['image/heic', 'image/heif', 'image/avif']);
+
+const isHeif = (buffer: Buffer): boolean => HEIF_MEDIA_TYPES.has(detectImageMediaType(buffer) ?? '');
+
 const readPngExifChunk = (buffer: Buffer): Buffer | null => {
   let offset = 8;
   while (offset + 12 <= buffer.length) {
@@ -56,35 +97,225 @@ const readPngExifChunk = (buffer: Buffer): Buffer | null => {
   return null;
 };
 
-const parseExifBuffer = (buffer: Buffer): Record<string, unknown> => {
-  if (!buffer || buffer.length < 12) {
-    return {};
+/** Payload of the APP1 "Exif" segment of a JPEG (scans the markers up to the image data). */
+const readJpegExifSegment = (buffer: Buffer): Buffer | null => {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1; // fill byte
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2; // markers without length
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) return null; // start of scan / end of image
+    const length = buffer.readUInt16BE(offset + 2);
+    const dataStart = offset + 4;
+    const dataEnd = offset + 2 + length;
+    if (length < 2 || dataEnd > buffer.length) return null;
+    if (marker === 0xe1 && buffer.toString('binary', dataStart, dataStart + 6) === 'Exif\u0000\u0000') {
+      return buffer.subarray(dataStart, dataEnd);
+    }
+    offset = dataEnd;
+  }
+  return null;
+};
+
+interface IsoBox {
+  type: string;
+  /** Start of the payload (after size and type). */
+  dataStart: number;
+  end: number;
+}
+
+const readIsoBoxes = (buffer: Buffer, start: number, end: number): IsoBox[] => {
+  const boxes: IsoBox[] = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+    boxes.push({ type, dataStart: offset + header, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+};
+
+const readSizedUInt = (buffer: Buffer, offset: number, size: number): number => {
+  switch (size) {
+    case 0: return 0;
+    case 2: return buffer.readUInt16BE(offset);
+    case 4: return buffer.readUInt32BE(offset);
+    case 8: return Number(buffer.readBigUInt64BE(offset));
+    default: throw new RangeError(`Unsupported field size ${size}`);
+  }
+};
+
+/**
+ * Exif item of a HEIC/HEIF file: the `meta` box lists the item in `iinf` and
+ * its byte ranges in `iloc` (file offsets, or offsets into `idat`). The item
+ * starts with the offset of the TIFF header; returns the TIFF data.
+ */
+const readHeifExifItem = (buffer: Buffer): Buffer | null => {
+  const meta = readIsoBoxes(buffer, 0, buffer.length).find((box) => box.type === 'meta');
+  if (!meta) return null;
+  // meta is a full box: version and flags precede the children
+  const children = readIsoBoxes(buffer, meta.dataStart + 4, meta.end);
+  const iinf = children.find((box) => box.type === 'iinf');
+  const iloc = children.find((box) => box.type === 'iloc');
+  const idat = children.find((box) => box.type === 'idat');
+  if (!iinf || !iloc) return null;
+
+  let exifItemId: number | null = null;
+  const iinfVersion = buffer[iinf.dataStart];
+  const entriesStart = iinf.dataStart + 4 + (iinfVersion === 0 ? 2 : 4);
+  for (const infe of readIsoBoxes(buffer, entriesStart, iinf.end)) {
+    if (infe.type !== 'infe') continue;
+    const version = buffer[infe.dataStart];
+    if (version < 2) continue;
+    const idSize = version === 2 ? 2 : 4;
+    const itemId = readSizedUInt(buffer, infe.dataStart + 4, idSize);
+    const itemType = buffer.toString('ascii', infe.dataStart + 4 + idSize + 2, infe.dataStart + 4 + idSize + 6);
+    if (itemType === 'Exif') {
+      exifItemId = itemId;
+      break;
+    }
+  }
+  if (exifItemId === null) return null;
+
+  const version = buffer[iloc.dataStart];
+  let offset = iloc.dataStart + 4;
+  const offsetSize = buffer[offset] >> 4;
+  const lengthSize = buffer[offset] & 0x0f;
+  const baseOffsetSize = buffer[offset + 1] >> 4;
+  const indexSize = version === 1 || version === 2 ? buffer[offset + 1] & 0x0f : 0;
+  offset += 2;
+  const itemCount = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+  offset += version < 2 ? 2 : 4;
+  for (let i = 0; i < itemCount; i++) {
+    const itemId = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+    offset += version < 2 ? 2 : 4;
+    let constructionMethod = 0;
+    if (version === 1 || version === 2) {
+      constructionMethod = buffer.readUInt16BE(offset) & 0x0f;
+      offset += 2;
+    }
+    offset += 2; // data_reference_index
+    const baseOffset = readSizedUInt(buffer, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+    const extentCount = buffer.readUInt16BE(offset);
+    offset += 2;
+    const extents: Buffer[] = [];
+    for (let e = 0; e < extentCount; e++) {
+      offset += indexSize;
+      const extentOffset = readSizedUInt(buffer, offset, offsetSize);
+      offset += offsetSize;
+      const extentLength = readSizedUInt(buffer, offset, lengthSize);
+      offset += lengthSize;
+      const origin = constructionMethod === 1 ? (idat ? idat.dataStart : -1) : 0;
+      const start = origin + baseOffset + extentOffset;
+      if (origin < 0 || constructionMethod > 1 || start + extentLength > buffer.length) return null;
+      extents.push(buffer.subarray(start, start + extentLength));
+    }
+    if (itemId !== exifItemId) continue;
+    const item = Buffer.concat(extents);
+    if (item.length < 8) return null;
+    const tiffStart = 4 + item.readUInt32BE(0);
+    return tiffStart < item.length ? item.subarray(tiffStart) : null;
+  }
+  return null;
+};
+
+const roundCoordinate = (value: number): number => Math.round(value * 1e7) / 1e7;
+
+const toDegrees = (value: unknown): number | null => {
+  const parts = Array.isArray(value) ? value : [value];
+  if (!parts.length || parts.some((part) => typeof part !== 'number' || !Number.isFinite(part))) return null;
+  const [degrees, minutes = 0, seconds = 0] = parts as number[];
+  return degrees + minutes / 60 + seconds / 3600;
+};
+
+/**
+ * Derived values next to the raw tags: GPS.Latitude / GPS.Longitude in signed
+ * decimal degrees (WGS84), GPS.Altitude in metres (negative below sea level),
+ * GPS.Timestamp (ISO, UTC) and Exif.Lens as readable lens name.
+ */
+const addDerivedValues = (data: Record<string, unknown>): void => {
+  const latitude = toDegrees(data['GPS.GPSLatitude']);
+  const longitude = toDegrees(data['GPS.GPSLongitude']);
+  if (latitude !== null && longitude !== null) {
+    const latRef = String(data['GPS.GPSLatitudeRef'] ?? 'N').toUpperCase();
+    const lonRef = String(data['GPS.GPSLongitudeRef'] ?? 'E').toUpperCase();
+    data['GPS.Latitude'] = roundCoordinate(latRef === 'S' ? -latitude : latitude);
+    data['GPS.Longitude'] = roundCoordinate(lonRef === 'W' ? -longitude : longitude);
+  }
+  const altitude = data['GPS.GPSAltitude'];
+  if (typeof altitude === 'number' && Number.isFinite(altitude)) {
+    data['GPS.Altitude'] = Math.round((data['GPS.GPSAltitudeRef'] === 1 ? -altitude : altitude) * 10) / 10;
+  }
+  const date = data['GPS.GPSDateStamp'];
+  const time = data['GPS.GPSTimeStamp'];
+  const dateMatch = typeof date === 'string' ? date.match(/^(\d{4}):(\d{2}):(\d{2})/) : null;
+  if (dateMatch && Array.isArray(time) && time.length === 3 && time.every((part) => typeof part === 'number')) {
+    const [hours, minutes, seconds] = time as number[];
+    const timestamp = Date.UTC(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]), hours, minutes, Math.floor(seconds));
+    if (Number.isFinite(timestamp)) data['GPS.Timestamp'] = new Date(timestamp).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+  const lensModel = typeof data['Exif.LensModel'] === 'string' ? (data['Exif.LensModel'] as string).trim() : '';
+  const lensMake = typeof data['Exif.LensMake'] === 'string' ? (data['Exif.LensMake'] as string).trim() : '';
+  const spec = data['Exif.LensSpecification'];
+  let lens = lensModel && lensMake && !lensModel.startsWith(lensMake) ? `${lensMake} ${lensModel}` : lensModel || lensMake;
+  if (!lens && Array.isArray(spec) && spec.length === 4 && typeof spec[0] === 'number') {
+    const [minFocal, maxFocal, minAperture] = spec as Array<number | null>;
+    const focal = maxFocal && maxFocal !== minFocal ? `${minFocal}-${maxFocal}mm` : `${minFocal}mm`;
+    lens = minAperture ? `${focal} f/${minAperture}` : focal;
   }
-  const header = buffer.toString('ascii', 0, 4);
-  if (header !== 'Exif') {
+  if (lens) data['Exif.Lens'] = lens;
+};
+
+/**
+ * Tags of a TIFF structure starting at `tiffBase`, keyed "<IFD>.<Tag>" with
+ * IFD0, IFD1 (thumbnail), Exif (sub-IFD 0x8769) and GPS (IFD 0x8825).
+ */
+const parseTiff = (buffer: Buffer, tiffBase: number): Record<string, unknown> => {
+  if (tiffBase + 8 > buffer.length) {
     return {};
   }
-  const tiffBase = 6;
   const endianMarker = buffer.toString('ascii', tiffBase, tiffBase + 2);
+  if (endianMarker !== 'II' && endianMarker !== 'MM') {
+    return {};
+  }
   const littleEndian = endianMarker === 'II';
 
   const readUInt16 = (offset: number): number => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
-  const readInt32 = (offset: number): number => (littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset));
   const readUInt32 = (offset: number): number => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
 
   const data: Record<string, unknown> = {};
+  const visited = new Set<number>();
   const firstIfdOffset = readUInt32(tiffBase + 4);
   processIfd(tiffBase + firstIfdOffset, 'IFD0');
+  addDerivedValues(data);
   return data;
 
   function processIfd(offset: number, section: string): void {
-    if (!offset || offset < tiffBase || offset >= buffer.length) {
-      return;
-    }
-    if (offset + 2 > buffer.length) {
+    if (!offset || offset < tiffBase || offset + 2 > buffer.length || visited.has(offset)) {
       return;
     }
+    visited.add(offset);
     const numEntries = readUInt16(offset);
+    const tagNames = section === 'GPS' ? GPS_TAG_NAMES : EXIF_TAG_NAMES;
+    const subIfds: Array<[number, string]> = [];
     let entryOffset = offset + 2;
     for (let i = 0; i < numEntries; i++) {
       if (entryOffset + 12 > buffer.length) break;
@@ -92,20 +323,32 @@ const parseExifBuffer = (buffer: Buffer): Record<string, unknown> => {
       const type = readUInt16(entryOffset + 2);
       const count = readUInt32(entryOffset + 4);
       const valueOffset = entryOffset + 8;
+      entryOffset += 12;
+      if (section !== 'GPS' && (tag === EXIF_IFD_POINTER || tag === GPS_IFD_POINTER)) {
+        subIfds.push([tiffBase + readUInt32(valueOffset), tag === EXIF_IFD_POINTER ? 'Exif' : 'GPS']);
+        continue;
+      }
+      if (tag === MAKER_NOTE) continue;
       const valueSize = (EXIF_TYPE_SIZES[type] || 1) * count;
       let dataOffset = valueOffset;
       if (valueSize > 4) {
         const pointer = readUInt32(valueOffset);
         dataOffset = tiffBase + pointer;
       }
-      const tagName = EXIF_TAG_NAMES[tag] || `Tag_${tag.toString(16)}`;
+      if (dataOffset + valueSize > buffer.length) continue;
+      const tagName = tagNames[tag] || `Tag_${tag.toString(16)}`;
       const value = readExifValue(type, count, dataOffset);
       if (value !== undefined) data[`${section}.${tagName}`] = value;
-      entryOffset += 12;
     }
-    const nextIfdOffset = readUInt32(offset + 2 + numEntries * 12);
-    if (nextIfdOffset) {
-      processIfd(tiffBase + nextIfdOffset, 'IFD1');
+    for (const [subOffset, subSection] of subIfds) {
+      processIfd(subOffset, subSection);
+    }
+    const nextOffset = offset + 2 + numEntries * 12;
+    if (section === 'IFD0' && nextOffset + 4 <= buffer.length) {
+      const nextIfdOffset = readUInt32(nextOffset);
+      if (nextIfdOffset) {
+        processIfd(tiffBase + nextIfdOffset, 'IFD1');
+      }
     }
   }
 
@@ -142,6 +385,11 @@ const parseExifBuffer = (buffer: Buffer): Record<string, unknown> => {
       case 7: {
         return buffer.subarray(dataOffset, dataOffset + count);
       }
+      case 8: {
+        const values: number[] = [];
+        for (let i = 0; i < count; i++) values.push(littleEndian ? buffer.readInt16LE(dataOffset + i * 2) : buffer.readInt16BE(dataOffset + i * 2));
+        return count === 1 ? values[0] : values;
+      }
       case 9: {
         const values: number[] = [];
         for (let i = 0; i < count; i++) values.push(littleEndian ? buffer.readInt32LE(dataOffset + i * 4) : buffer.readInt32BE(dataOffset + i * 4));
@@ -162,56 +410,68 @@ const parseExifBuffer = (buffer: Buffer): Record<string, unknown> => {
   }
 };
 
+/** EXIF payload with "Exif\0\0" prefix (JPEG APP1, some PNG writers) or bare TIFF data (PNG eXIf, HEIF). */
+const parseExifBuffer = (buffer: Buffer): Record<string, unknown> => {
+  if (!buffer || buffer.length < 8) {
+    return {};
+  }
+  const tiffBase = buffer.toString('ascii', 0, 4) === 'Exif' ? 6 : 0;
+  return parseTiff(buffer, tiffBase);
+};
+
+const errorMessage = (error: any): string => (typeof error?.message === 'string' ? error.message : String(error));
+
+/**
+ * Vision model answer for an image file (path) or its content, plus its EXIF
+ * tags. The model is the configured vision provider (srv/utils/vision-provider.ts);
+ * formats it does not accept (e.g. HEIC) and data of unknown format are not
+ * sent. The EXIF tags are returned on errors too.
+ */
 export async function analyzeImageAttachment(
-  filePath: string,
+  source: string | Buffer,
   options?: { prompt?: string; modelName?: string; maxTokens?: number }
 ): Promise<VisionResult> {
+  let buffer: Buffer;
+  try {
+    buffer = typeof source === 'string' ? await readFile(source) : source;
+  } catch (error: any) {
+    return { description: null, exif: {}, error: errorMessage(error) };
+  }
+  const exif = extractExifMetadata(buffer);
+  const mediaType = detectImageMediaType(buffer);
+  if (!mediaType) {
+    return { description: null, exif, error: 'Unknown image format (no JPEG, PNG, GIF, WebP, HEIC or AVIF signature)' };
+  }
+  if (!VISION_MEDIA_TYPES.has(mediaType)) {
+    return { description: null, exif, error: `Image format ${mediaType} is not supported by the vision model` };
+  }
   try {
-    const buffer = await readFile(filePath);
-    const base64Image = buffer.toString('base64');
-    const exif = extractExifMetadata(buffer);
-    const visionClient = new AzureOpenAiChatClient({
-      modelName: options?.modelName || 'gpt-4.1',
-      max_tokens: options?.maxTokens ?? 400,
+    const provider = createVisionProvider({ model: options?.modelName });
+    const answer = await provider.complete({
+      image: buffer,
+      mediaType,
+      system: 'Du analysierst Schadenfotos und antwortest kompakt auf Deutsch.',
+      prompt: options?.prompt || DEFAULT_IMAGE_PROMPT,
+      maxTokens: options?.maxTokens ?? 600
     });
-
-    const systemMessage = {
-      role: 'system' as const,
-      content: 'Du analysierst Schadenfotos und antwortest kompakt auf Deutsch.'
-    };
-    const humanMessage = {
-      role: 'user' as const,
-      content: [
-        { type: 'text', text: options?.prompt || DEFAULT_IMAGE_PROMPT },
-        {
-          type: 'image_url',
-          image_url: { url: `data:image/png;base64,${base64Image}` }
-        }
-      ]
-    };
-
-    const response = await visionClient.invoke([systemMessage, humanMessage]);
-    let description: string | null = null;
-    const content = (response as any)?.content;
-    if (typeof content === 'string') {
-      description = content.trim() || null;
-    } else if (Array.isArray(content)) {
-      description = content
-        .filter((entry) => entry?.type === 'text' && typeof entry.text === 'string')
-        .map((entry) => entry.text as string)
-        .join('\n')
-        .trim() || null;
-    }
-    return { description, exif };
+    return { description: answer || null, exif };
   } catch (error: any) {
-    return { description: null, exif: {}, error: typeof error?.message === 'string' ? error.message : String(error) };
+    return { description: null, exif, error: errorMessage(error) };
   }
 }
 
+/**
+ * EXIF tags of a PNG (eXIf chunk), JPEG (APP1 segment) or HEIC/HEIF (Exif
+ * item) image; empty for other formats or unreadable metadata.
+ */
 export function extractExifMetadata(buffer: Buffer): Record<string, unknown> {
-  if (!isPng(buffer)) return {};
-  const exifChunk = readPngExifChunk(buffer);
-  if (!exifChunk) return {};
-  return parseExifBuffer(exifChunk);
+  try {
+    let exif: Buffer | null = null;
+    if (isPng(buffer)) exif = readPngExifChunk(buffer);
+    else if (isJpeg(buffer)) exif = readJpegExifSegment(buffer);
+    else if (isHeif(buffer)) exif = readHeifExifItem(buffer);
+    return exif ? parseExifBuffer(exif) : {};
+  } catch {
+    return {};
+  }
 }
-